@@ -11,6 +11,9 @@ import "./interfaces/IFantomMintAddressProvider.sol";
 import "./interfaces/IFantomMintTokenRegistry.sol";
 import "./interfaces/IFantomDeFiTokenStorage.sol";
 import "./interfaces/IFantomMintRewardManager.sol";
+import "./interfaces/IFantomMintPriceGuard.sol";
+import "./interfaces/IFantomMintOracleChain.sol";
+import "./interfaces/IERC20Permit.sol";
 import "./modules/FantomMintErrorCodes.sol";
 import "./modules/FantomMintBalanceGuard.sol";
 import "./modules/FantomMintCollateral.sol";
@@ -37,6 +40,32 @@ contract FantomMint is Initializable, FantomMintBalanceGuard, FantomMintCollater
     // contracts.
     IFantomMintAddressProvider public addressProvider;
 
+    // feeClaimed keeps the total amount of fee withdrawn from the fee pool per token.
+    // NOTE: The fee withdrawal state is kept behind the state of the minter modules
+    // so the storage layout of the already deployed minter does not change.
+    mapping(address => uint256) public feeClaimed;
+
+    // feeTreasury represents the address receiving the backstop share
+    // of the collected fees; all the fees go here if no savings vault is set.
+    address public feeTreasury;
+
+    // feeTreasuryShare4dec represents the share of the collected fees
+    // sent to the treasury, the rest is sent to the savings vault
+    // resolved by the address provider.
+    // The value is kept in 4 decimals; 1000 = 0.1 = 10%
+    uint256 public feeTreasuryShare4dec;
+
+    // multicallAccount represents the account of the multicall batch
+    // in progress; the collateral checks of the account are deferred
+    // to the end of the batch.
+    // NOTE: New state variables go after all the existing ones, never
+    // in between, so the deployed proxy keeps its storage slots.
+    address internal multicallAccount;
+
+    // FeeRecipientsChanged is emitted on change of the collected
+    // fees recipients or their shares.
+    event FeeRecipientsChanged(address treasury, uint256 treasuryShare4dec);
+
     // initialize initializes the contract properly before the first use.
     function initialize(address owner, address _addressProvider) public initializer {
         // remember the address provider connecting satellite contracts to the minter
@@ -46,6 +75,9 @@ contract FantomMint is Initializable, FantomMintBalanceGuard, FantomMintCollater
         FantomMintConfig.initialize(owner);
         FantomMintCollateral.initialize();
         FantomMintDebt.initialize();
+
+        // the FIP-001 fee split; 10% backstop and 90% to stakers
+        feeTreasuryShare4dec = 1000;
     }
 
     // -------------------------------------------------------------
@@ -77,6 +109,32 @@ contract FantomMint is Initializable, FantomMintBalanceGuard, FantomMintCollater
         return minDebtValue;
     }
 
+    // getFeeRecipients returns the recipients of the collected fees
+    // and the share of the fees sent to the treasury in 4 decimals.
+    // The stakers share goes to the fUSD savings vault of the address provider.
+    function getFeeRecipients() public view returns (address, address, uint256) {
+        return (feeTreasury, addressProvider.getSavingsVault(), feeTreasuryShare4dec);
+    }
+
+    // cfgSetFeeRecipients changes the treasury receiving the collected fees
+    // and the share of the fees sent to it.
+    function cfgSetFeeRecipients(address _treasury, uint256 _treasuryShare4dec) public onlyOwner {
+        // make sure the share makes sense
+        require(_treasuryShare4dec <= 10000, "invalid fee share");
+
+        // update the values
+        feeTreasury = _treasury;
+        feeTreasuryShare4dec = _treasuryShare4dec;
+
+        // emit event
+        emit FeeRecipientsChanged(_treasury, _treasuryShare4dec);
+    }
+
+    // _feeClaimed adds the given amount to the fee withdrawn from the fee pool of the token.
+    function _feeClaimed(address _token, uint256 _amount) internal {
+        feeClaimed[_token] = feeClaimed[_token].add(_amount);
+    }
+
     // -------------------------------------------------------------
     // Pool balances and values
     // -------------------------------------------------------------
@@ -96,22 +154,55 @@ contract FantomMint is Initializable, FantomMintBalanceGuard, FantomMintCollater
         return addressProvider.getTokenRegistry().canDeposit(_token);
     }
 
-    // canMint checks if the given token can be minted in the fMint protocol.
+    // canMint checks if the given token can be minted in the fMint protocol;
+    // minting is paused while the oracle chain circuit breaker of the token is tripped.
     function canMint(address _token) public view returns (bool) {
+        IFantomMintOracleChain chain = addressProvider.getOracleChain();
+        if (address(chain) != address(0x0) && chain.isCircuitBroken(_token)) {
+            return false;
+        }
         return addressProvider.getTokenRegistry().canMint(_token);
     }
 
+    // depositCapRemaining returns the amount of the given token which can still
+    // be deposited before the deposit cap is reached; unlimited tokens
+    // return the max uint256 value.
+    function depositCapRemaining(address _token) public view returns (uint256) {
+        return _capRemaining(addressProvider.getTokenRegistry().depositCap(_token), getCollateralPool().totalBalanceOf(_token));
+    }
+
+    // mintCapRemaining returns the amount of the given token which can still
+    // be minted before the mint cap is reached; unlimited tokens
+    // return the max uint256 value.
+    function mintCapRemaining(address _token) public view returns (uint256) {
+        return _capRemaining(addressProvider.getTokenRegistry().mintCap(_token), getDebtPool().totalBalanceOf(_token));
+    }
+
+    // _capRemaining (internal) calculates the amount remaining under the given cap.
+    function _capRemaining(uint256 _cap, uint256 _used) internal pure returns (uint256) {
+        // zero cap means no limit
+        if (0 == _cap) {
+            return uint256(-1);
+        }
+
+        // is the cap already depleted?
+        if (_used >= _cap) {
+            return 0;
+        }
+        return _cap.sub(_used);
+    }
+
     // checkCollateralCanDecrease checks if the specified amount of collateral can be removed from account
     // without breaking collateral to debt ratio rule.
     function checkCollateralCanDecrease(address _account, address _token, uint256 _amount) public view returns (bool) {
-        return collateralCanDecrease(_account, _token, _amount);
+        return _account == multicallAccount || collateralCanDecrease(_account, _token, _amount);
     }
 
     // checkDebtCanIncrease (abstract) checks if the specified
     // amount of debt can be added to the account
     // without breaking collateral to debt ratio rule.
     function checkDebtCanIncrease(address _account, address _token, uint256 _amount) public view returns (bool) {
-        return debtCanIncrease(_account, _token, _amount);
+        return _account == multicallAccount || debtCanIncrease(_account, _token, _amount);
     }
 
     // debtValueOf returns the value of account debt.
@@ -138,6 +229,25 @@ contract FantomMint is Initializable, FantomMintBalanceGuard, FantomMintCollater
         return addressProvider.getCollateralPool().totalOf(_account);
     }
 
+    // weightedCollateralValueOf returns the value of account collateral with each
+    // token value reduced by the token collateral factor.
+    function weightedCollateralValueOf(address _account, address _token, uint256 _sub) public view returns (uint256) {
+        // do we have a request to calculate decreased collateral value?
+        if ((0 != _sub) && (address(0x0) != _token)) {
+            // return current weighted value with reduced balance on given token
+            return addressProvider.getCollateralPool().weightedTotalOfDec(_account, _token, _sub);
+        }
+
+        // return current weighted collateral value as-is
+        return addressProvider.getCollateralPool().weightedTotalOf(_account);
+    }
+
+    // getCollateralFactor4dec returns the collateral factor of the given token,
+    // e.g. the share of the token value counted as collateral.
+    function getCollateralFactor4dec(address _token) public view returns (uint256) {
+        return addressProvider.getTokenRegistry().collateralFactor4dec(_token);
+    }
+
     // getMaxToWithdraw returns the max amount of tokens to withdraw with the given ratio.
     function getMaxToWithdraw(address _account, address _token, uint256 _ratio) public view returns (uint256) {
         return maxToWithdraw(_account, _token, _ratio);
@@ -145,19 +255,7 @@ contract FantomMint is Initializable, FantomMintBalanceGuard, FantomMintCollater
 
     // getMaxToWithdrawWithChanges returns the max amount of tokens to withdraw with the given ratio, additional collateral and debt.
     function getMaxToWithdrawWithChanges(address _account, address _token, uint256 _ratio, address collateralToken, int256 collateralDiff, address debtToken, int256 debtDiff) public returns (uint256) {
-        require(msg.sender == address(0), "view function only");
-
-        if (collateralDiff > 0) {
-            getCollateralPool().add(_account, collateralToken, uint256(collateralDiff));
-        } else if (collateralDiff < 0) {
-            getCollateralPool().sub(_account, collateralToken, uint256(-collateralDiff));
-        }
-        if (debtDiff > 0) {
-            getDebtPool().add(_account, debtToken, uint256(debtDiff));
-        } else if (debtDiff < 0) {
-            getDebtPool().sub(_account, debtToken, uint256(-debtDiff));
-        }
-
+        _applyChanges(_account, collateralToken, collateralDiff, debtToken, debtDiff);
         return maxToWithdraw(_account, _token, _ratio);
     }
 
@@ -168,6 +266,14 @@ contract FantomMint is Initializable, FantomMintBalanceGuard, FantomMintCollater
 
     // getMaxToMintWithChanges returns the max amount of tokens to mint with the given ratio, additional collateral and debt.
     function getMaxToMintWithChanges(address _account, address _token, uint256 _ratio, address collateralToken, int256 collateralDiff, address debtToken, int256 debtDiff) public returns (uint256) {
+        _applyChanges(_account, collateralToken, collateralDiff, debtToken, debtDiff);
+        return maxToMint(_account, _token, _ratio);
+    }
+
+    // _applyChanges (internal) applies the given collateral and debt changes to the account
+    // so the limits can be calculated on the changed state. The call is allowed only
+    // as a view call which never commits the changes.
+    function _applyChanges(address _account, address collateralToken, int256 collateralDiff, address debtToken, int256 debtDiff) internal {
         require(msg.sender == address(0), "view function only");
 
         if (collateralDiff > 0) {
@@ -180,8 +286,103 @@ contract FantomMint is Initializable, FantomMintBalanceGuard, FantomMintCollater
         } else if (debtDiff < 0) {
             getDebtPool().sub(_account, debtToken, uint256(-debtDiff));
         }
+    }
+
+    // -------------------------------------------------------------
+    // Mint router support
+    // -------------------------------------------------------------
+
+    // _positionAccount returns the account the call acts on. The mint router
+    // acts on behalf of its callers by appending the account to the call data
+    // of each call it makes; any other caller acts on its own account.
+    function _positionAccount() internal view returns (address account) {
+        account = msg.sender;
+        if (msg.data.length >= 24 && msg.sender == addressProvider.getMintRouter()) {
+            // the account is kept in the last 20 bytes of the call data
+            assembly {
+                account := shr(96, calldataload(sub(calldatasize, 20)))
+            }
+        }
+    }
 
-        return maxToMint(_account, _token, _ratio);
+    // -------------------------------------------------------------
+    // Flash minter support
+    // -------------------------------------------------------------
+
+    // creditFlashFee adds the fee collected by the flash minter on a flash mint
+    // of the token to the fee pool. The flash minter burns the fee tokens,
+    // so they are minted out again with the rest of the pool on the fee withdrawal.
+    function creditFlashFee(address _token, uint256 _fee) external {
+        require(msg.sender == addressProvider.getFlashMinter(), "restricted to flash minter");
+        feePool[_token] = feePool[_token].add(_fee);
+    }
+
+    // -------------------------------------------------------------
+    // Token permits
+    // -------------------------------------------------------------
+
+    // _permit approves the minter to take given amount of tokens of the caller
+    // by the EIP-2612 permit signature of the caller. The permit is skipped
+    // if the allowance is already sufficient, e.g. if someone else submitted
+    // the same permit before this call.
+    function _permit(address _token, uint256 _amount, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) internal {
+        if (ERC20(_token).allowance(msg.sender, address(this)) < _amount) {
+            IERC20Permit(_token).permit(msg.sender, address(this), _amount, _deadline, _v, _r, _s);
+        }
+    }
+
+    // -------------------------------------------------------------
+    // Multicall batching
+    // -------------------------------------------------------------
+
+    // multicall executes the given sequence of deposit, withdraw, mint, repay
+    // and reward claim steps on the account in a single transaction. Each step
+    // is identified by the selector of the function, e.g. deposit(address,uint256),
+    // and uses the token and the amount of the same index; reward claim steps ignore both.
+    // The collateral to debt ratio is checked only once on the final state of the account,
+    // so the position may become unhealthy temporarily between the steps. The final check
+    // is skipped if no step withdraws collateral or mints debt, the same as the single calls.
+    // Any failed step reverts the whole batch.
+    function multicall(bytes4[] calldata _calls, address[] calldata _tokens, uint256[] calldata _amounts) external nonReentrant {
+        // make sure the steps are complete
+        require(_calls.length == _tokens.length && _calls.length == _amounts.length, "invalid multicall steps");
+
+        // defer the collateral checks of the account
+        address account = _positionAccount();
+        multicallAccount = account;
+
+        // execute the steps
+        bool mustCheck;
+        for (uint256 i = 0; i < _calls.length; i++) {
+            if (_multicallStep(_calls[i], _tokens[i], _amounts[i], account)) {
+                mustCheck = true;
+            }
+        }
+
+        // check the final state of the account, if it could drop
+        multicallAccount = address(0x0);
+        require(!mustCheck || collateralCanDecrease(account, address(0x0), 0), "insufficient collateral value");
+    }
+
+    // _multicallStep (internal) executes a single step of a multicall batch
+    // and informs if the step could lower the collateral to debt ratio of the account.
+    function _multicallStep(bytes4 _call, address _token, uint256 _amount, address _account) internal returns (bool) {
+        if (_call == this.deposit.selector) {
+            _checkDeposit(_deposit(_token, _amount));
+        } else if (_call == this.withdraw.selector) {
+            _checkWithdraw(_withdraw(_token, _amount));
+            return true;
+        } else if (_call == this.mint.selector) {
+            _checkMint(_mint(_token, _amount));
+            return true;
+        } else if (_call == this.repay.selector) {
+            _checkRepay(_repay(_token, _amount));
+        } else if (_call == IFantomMintRewardManager(0).rewardClaim.selector) {
+            addressProvider.getRewardDistribution().mustRewardClaimFor(_account);
+        } else {
+            revert("multicall step not allowed");
+        }
+        return false;
     }
 
     // -------------------------------------------------------------
@@ -202,7 +403,17 @@ contract FantomMint is Initializable, FantomMintBalanceGuard, FantomMintCollater
     // expression of an exchange rate between the token and base denomination.
     function getPrice(address _token) public view returns (uint256) {
         // use linked price oracle aggregate to get the token exchange price
-        return addressProvider.getPriceOracleProxy().getPrice(_token);
+        return addressProvider.getTokenPriceOracle(_token).getPrice(_token);
+    }
+
+    // pricesAreTrusted checks if the oracle prices of the tokens held by the account
+    // and the given token can be trusted; all prices are trusted if no price guard is set.
+    function pricesAreTrusted(address _account, address _token) public view returns (bool) {
+        IFantomMintPriceGuard guard = addressProvider.getPriceGuard();
+        if (address(guard) == address(0x0)) {
+            return true;
+        }
+        return guard.arePricesTrusted(_account, _token);
     }
 
     // getExtendedPrice returns the price of given ERC20 token using on-chain oracle
@@ -210,7 +421,7 @@ contract FantomMint is Initializable, FantomMintBalanceGuard, FantomMintCollater
     // the number of digits of the price.
     function getExtendedPrice(address _token) public view returns (uint256 _price, uint256 _digits) {
         // use linked price oracle aggregate to get the token exchange price
-        _price = addressProvider.getPriceOracleProxy().getPrice(_token);
+        _price = addressProvider.getTokenPriceOracle(_token).getPrice(_token);
         _digits = 10 ** uint256(addressProvider.getTokenRegistry().priceDecimals(_token));
 
         return (_price, _digits);
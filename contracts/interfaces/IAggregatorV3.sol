@@ -0,0 +1,26 @@
+pragma solidity ^0.5.0;
+
+// IAggregatorV3 defines the interface of ChainLink compatible
+// AggregatorV3 price feeds used by the fMint price oracle proxy.
+interface IAggregatorV3 {
+    // decimals returns the number of decimals of the feed answers.
+    function decimals() external view returns (uint8);
+
+    // getRoundData returns the answer of the given feed round.
+    function getRoundData(uint80 _roundId) external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    );
+
+    // latestRoundData returns the answer of the latest feed round.
+    function latestRoundData() external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    );
+}
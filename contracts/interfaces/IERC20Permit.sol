@@ -0,0 +1,23 @@
+pragma solidity ^0.5.0;
+
+// IERC20Permit defines the interface of the EIP-2612 permit extension
+// of ERC20 tokens, allowing approvals to be made by signatures.
+interface IERC20Permit {
+    /**
+     * @dev Sets `value` as the allowance of `spender` over `owner`'s tokens,
+     * given `owner`'s signed approval.
+     */
+    function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external;
+
+    /**
+     * @dev Returns the current nonce for `owner`. This value must be
+     * included whenever a signature is generated for {permit}.
+     */
+    function nonces(address owner) external view returns (uint256);
+
+    /**
+     * @dev Returns the domain separator used in the encoding of the signature
+     * for {permit}, as defined by EIP-712.
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32);
+}
@@ -20,15 +20,46 @@ interface IFantomDeFiTokenStorage {
     // with specified token balance decreased by given amount of tokens.
     function totalOfDec(address _account, address _token, uint256 _amount) external view returns (uint256);
 
+    // weightedTotalOf returns the value of current balance of specified account
+    // with each token value reduced by the token collateral factor.
+    function weightedTotalOf(address _account) external view returns (uint256);
+
+    // weightedTotalOfDec returns the value of current balance of an account
+    // with specified token balance decreased by given amount of tokens
+    // and each token value reduced by the token collateral factor.
+    function weightedTotalOfDec(address _account, address _token, uint256 _amount) external view returns (uint256);
+
+    // totalOfAt returns the value of current balance of an account with specified
+    // token balance adjusted up, or down, by given amounts of tokens using the token
+    // prices of the given price mode, optionally reduced by collateral factors.
+    function totalOfAt(address _account, address _token, uint256 _add, uint256 _sub, bool _weighted, uint8 _priceMode) external view returns (uint256);
+
+    // priceOf returns the price of the token of the given price mode.
+    function priceOf(address _token, uint8 _priceMode) external view returns (uint256);
+
     // balanceOf returns the balance of the given token on the given account.
     function balanceOf(address _account, address _token) external view returns (uint256);
 
+    // totalBalanceOf returns the total balance of the given token inside the storage.
+    function totalBalanceOf(address _token) external view returns (uint256);
+
+    // isCircuitBrokenOf checks if the circuit breaker is tripped
+    // on any of the tokens held by the given account.
+    function isCircuitBrokenOf(address _account) external view returns (bool);
+
     // add adds specified amount of tokens to given account.
     function add(address _account, address _token, uint256 _amount) external;
 
     // sub removes specified amount of tokens from given account.
     function sub(address _account, address _token, uint256 _amount) external;
 
+    // transferAll moves all the token balances of an account to another account.
+    function transferAll(address _from, address _to) external;
+
+    // accrue updates the accrual index of the given token and returns
+    // the amount of interest accrued on the token since the previous call.
+    function accrue(address _token) external returns (uint256);
+
     //function tokens() external view returns (address[] memory);
 
     function getToken(uint256 _index) external view returns (address);
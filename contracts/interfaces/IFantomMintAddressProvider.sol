@@ -6,6 +6,10 @@ import "../interfaces/IFantomDeFiTokenStorage.sol";
 import "../interfaces/IFantomMintTokenRegistry.sol";
 import "../interfaces/IFantomMintRewardManager.sol";
 import "../interfaces/IPriceOracleProxy.sol";
+import "../interfaces/IFantomMintRateModel.sol";
+import "../interfaces/IFantomMintPriceGuard.sol";
+import "../interfaces/IFantomMintTwapOracle.sol";
+import "../interfaces/IFantomMintOracleChain.sol";
 import "./IERC20Detailed.sol";
 
 /**
@@ -61,11 +65,69 @@ interface IFantomMintAddressProvider {
 	// setPriceOracleProxy modifies the address of the price oracle aggregate.
 	function setPriceOracleProxy(address _addr) external;
 
+	// getTokenPriceOracle returns the price oracle of the given token; the oracle
+	// registered for the token is used if set, the price oracle aggregate otherwise.
+	function getTokenPriceOracle(address _token) external view returns (IPriceOracleProxy);
+
 	// getRewardToken returns the address of the reward token ERC20 contract.
 	function getRewardToken() external view returns (ERC20);
 
 	// setRewardToken modifies the address of the reward token ERC20 contract.
 	function setRewardToken(address _addr) external;
 
+	// getRateModel returns the address of the interest rate model contract.
+	function getRateModel() external view returns (IFantomMintRateModel);
+
+	// setRateModel modifies the address of the interest rate model contract.
+	function setRateModel(address _addr) external;
+
+	// getSavingsVault returns the address of the fUSD savings vault contract.
+	function getSavingsVault() external view returns (address);
+
+	// setSavingsVault modifies the address of the fUSD savings vault contract.
+	function setSavingsVault(address _addr) external;
+
+	// getPriceGuard returns the address of the oracle price guard contract.
+	function getPriceGuard() external view returns (IFantomMintPriceGuard);
+
+	// setPriceGuard modifies the address of the oracle price guard contract.
+	function setPriceGuard(address _addr) external;
+
+	// getTwapOracle returns the address of the time-weighted average price oracle.
+	function getTwapOracle() external view returns (IFantomMintTwapOracle);
+
+	// setTwapOracle modifies the address of the time-weighted average price oracle.
+	function setTwapOracle(address _addr) external;
+
+	// getOracleChain returns the address of the fallback price oracle chain.
+	function getOracleChain() external view returns (IFantomMintOracleChain);
+
+	// setOracleChain modifies the address of the fallback price oracle chain.
+	function setOracleChain(address _addr) external;
+
+	// getMintRouter returns the address of the mint router acting on behalf of its callers.
+	function getMintRouter() external view returns (address);
+
+	// setMintRouter modifies the address of the mint router.
+	function setMintRouter(address _addr) external;
+
+	// getWrappedFtm returns the address of the wrapped native FTM token.
+	function getWrappedFtm() external view returns (address);
+
+	// setWrappedFtm modifies the address of the wrapped native FTM token.
+	function setWrappedFtm(address _addr) external;
+
+	// getFlashMinter returns the address of the flash minter.
+	function getFlashMinter() external view returns (address);
+
+	// setFlashMinter modifies the address of the flash minter.
+	function setFlashMinter(address _addr) external;
+
+	// getSwapAdapter returns the address of the swap adapter.
+	function getSwapAdapter() external view returns (address);
+
+	// setSwapAdapter modifies the address of the swap adapter.
+	function setSwapAdapter(address _addr) external;
+
 	function getAddress(bytes32 _id) external view returns (address);
 }
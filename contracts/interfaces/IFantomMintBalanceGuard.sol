@@ -15,4 +15,8 @@ interface IFantomMintBalanceGuard {
     // debtCanIncrease checks if the specified amount of debt can be added to the account
     // without breaking collateral to debt ratio rule.
     function debtCanIncrease(address _account, address _token, uint256 _amount) external view returns (bool);
+
+    // isLiquidatable checks if the account collateral to debt ratio dropped
+    // below the lowest allowed ratio and the account can be liquidated.
+    function isLiquidatable(address _account) external view returns (bool);
 }
@@ -0,0 +1,13 @@
+pragma solidity ^0.5.0;
+
+// IFantomMintOracleChain defines the interface of the fallback price oracle chain
+// used by the fMint protocol to pause minting on unreliable prices.
+interface IFantomMintOracleChain {
+    // isCircuitBroken checks if the price sources of the token disagree,
+    // or all of them failed; minting of the token is paused if so.
+    function isCircuitBroken(address _token) external view returns (bool);
+
+    // update records the current price of the token as the latest agreed price,
+    // if the circuit breaker of the token is not tripped; returns true if recorded.
+    function update(address _token) external returns (bool);
+}
@@ -0,0 +1,16 @@
+pragma solidity ^0.5.0;
+
+// IFantomMintPriceGuard defines the interface of the price guard
+// used by the fMint protocol to decide if oracle prices can be trusted.
+interface IFantomMintPriceGuard {
+    // isPriceTrusted checks if the current oracle price of the token can be trusted.
+    function isPriceTrusted(address _token) external view returns (bool);
+
+    // arePricesTrusted checks if the prices of all the tokens held
+    // by the account and the given token can be trusted.
+    function arePricesTrusted(address _account, address _token) external view returns (bool);
+
+    // arePricesFresh checks if the prices of all the tokens held
+    // by the account are not older than their maximal price age.
+    function arePricesFresh(address _account) external view returns (bool);
+}
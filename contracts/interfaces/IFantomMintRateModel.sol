@@ -0,0 +1,10 @@
+pragma solidity ^0.5.0;
+
+// IFantomMintRateModel defines the interface of the interest rate model
+// used by the fMint protocol to calculate the borrow rate of debt tokens.
+interface IFantomMintRateModel {
+    // borrowRatePerSecond returns the interest rate per second charged
+    // on the given debt token for the given amount of outstanding debt.
+    // The rate is kept in 18 decimals; 1e18 = 100% per second.
+    function borrowRatePerSecond(address _token, uint256 _borrowed) external view returns (uint256);
+}
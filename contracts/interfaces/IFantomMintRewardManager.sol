@@ -4,4 +4,13 @@ pragma solidity ^0.5.0;
 interface IFantomMintRewardManager {
     // rewardUpdate updates the stored reward distribution state for the account.
     function rewardUpdate(address _account) external;
+
+    // rewardClaim transfers earned rewards to the caller account address.
+    function rewardClaim() external returns (uint256);
+
+    // mustRewardClaimFor claims the reward of the given account on behalf of the minter.
+    function mustRewardClaimFor(address _account) external;
+
+    // mustRewardClaimTo claims the reward of the given account to the recipient on behalf of the mint router.
+    function mustRewardClaimTo(address _account, address _recipient) external;
 }
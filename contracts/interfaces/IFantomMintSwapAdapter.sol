@@ -0,0 +1,11 @@
+pragma solidity ^0.5.0;
+
+// IFantomMintSwapAdapter defines the interface of a swap adapter connecting
+// the fMint protocol to an exchange, e.g. a DEX router. The adapter is used
+// by the mint router to convert between the collateral and the debt tokens.
+interface IFantomMintSwapAdapter {
+    // swap pulls given amount of the input token from the caller, sells it
+    // for at least the given min amount of the output token and sends
+    // the output tokens to the caller. The amount of the output tokens is returned.
+    function swap(address _tokenIn, address _tokenOut, uint256 _amountIn, uint256 _minAmountOut) external returns (uint256);
+}
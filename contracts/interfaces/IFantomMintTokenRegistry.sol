@@ -9,6 +9,10 @@ interface IFantomMintTokenRegistry {
     // returned for the given token will be encoded to.
 	function priceDecimals(address _token) external view returns (uint8);
 
+    // priceOracle returns the address of the price oracle registered
+    // for the given token; zero address means no token specific oracle.
+    function priceOracle(address _token) external view returns (address);
+
     // isActive informs if the specified token is active and can be used in DeFi protocols.
     function isActive(address _token) external view returns (bool);
 
@@ -20,4 +24,16 @@ interface IFantomMintTokenRegistry {
 
      // canTrade informs if the given token can be traded in the fMint protocol.
      function canTrade(address _token) external view returns (bool);
+
+    // collateralFactor4dec returns the collateral factor of the given token
+    // in 4 decimals, e.g. the share of the token value counted as collateral.
+    function collateralFactor4dec(address _token) external view returns (uint256);
+
+    // depositCap returns the maximal total amount of the given token
+    // allowed to be deposited as collateral; zero means no limit.
+    function depositCap(address _token) external view returns (uint256);
+
+    // mintCap returns the maximal total amount of the given token
+    // allowed to be minted; zero means no limit.
+    function mintCap(address _token) external view returns (uint256);
 }
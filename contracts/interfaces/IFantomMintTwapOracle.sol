@@ -0,0 +1,9 @@
+pragma solidity ^0.5.0;
+
+// IFantomMintTwapOracle defines the interface of the time-weighted
+// average price oracle used by the fMint protocol.
+interface IFantomMintTwapOracle {
+    // consult returns the time-weighted average price of the token
+    // in the token price decimals; zero means no average is available.
+    function consult(address _token) external view returns (uint256);
+}
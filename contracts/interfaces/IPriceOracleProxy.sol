@@ -7,4 +7,16 @@ interface IPriceOracleProxy {
     // getPrice implements the oracle for getting a specified token value
     // compared to the underlying stable denomination.
     function getPrice(address _token) external view returns (uint256);
+
+    // getTimeStamp returns the time stamp of the latest price update of the token.
+    // NOTE: The call is made only if a price age limit is configured for the token.
+    function getTimeStamp(address _token) external view returns (uint256);
+
+    // getPreviousPrice returns the price of the token the given number of updates back.
+    // NOTE: The call is made only if a price deviation limit is configured for the token.
+    function getPreviousPrice(address _token, uint256 _back) external view returns (int256);
+
+    // getPreviousTimeStamp returns the time stamp of the price update
+    // of the token the given number of updates back.
+    function getPreviousTimeStamp(address _token, uint256 _back) external view returns (uint256);
 }
@@ -0,0 +1,12 @@
+pragma solidity ^0.5.0;
+
+// IWrappedFtm defines the interface of the wrapped native FTM token (wFTM)
+// converting native FTM to the ERC20 token and back.
+interface IWrappedFtm {
+    // deposit wraps the received native FTM into wFTM tokens of the caller.
+    function deposit() external payable returns (uint256);
+
+    // withdraw unwraps given amount of wFTM tokens of the caller
+    // and sends the native FTM to the caller.
+    function withdraw(uint256 amount) external returns (uint256);
+}
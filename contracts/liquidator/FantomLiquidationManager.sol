@@ -3,6 +3,7 @@ pragma solidity ^0.5.0;
 import '@openzeppelin/contracts-ethereum-package/contracts/ownership/Ownable.sol';
 import '@openzeppelin/upgrades/contracts/Initializable.sol';
 import '@openzeppelin/contracts-ethereum-package/contracts/utils/ReentrancyGuard.sol';
+import '@openzeppelin/contracts-ethereum-package/contracts/math/Math.sol';
 import '@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20.sol';
 import '@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/SafeERC20.sol';
 
@@ -46,6 +47,8 @@ contract FantomLiquidationManager is
 
   event Repaid(address indexed target, address indexed liquidator, address indexed token, uint256 amount);
   event Seized(address indexed target, address indexed liquidator, address indexed token, uint256 amount);
+  event AuctionStarted(uint256 indexed nonce, address indexed user);
+  event BidPlaced(uint256 indexed nonce, uint256 percentage, address indexed bidder, uint256 offeredRatio);
 
   bytes32 private constant MOD_FANTOM_MINT = 'fantom_mint';
   bytes32 private constant MOD_TOKEN_REGISTRY = 'token_registry';
@@ -57,6 +60,84 @@ contract FantomLiquidationManager is
 
   address public fantomMintContract;
 
+  // AuctionInformation represents a single liquidation auction. The collateral
+  // and debt of the liquidated account are moved into the auction on its start
+  // and bidders buy them out by percentage of the remaining amounts.
+  struct AuctionInformation {
+    address owner;                // the liquidated account
+    address payable initiator;    // the account which started the auction
+    uint256 startTime;            // the time stamp of the auction start
+    uint256 remainingPercent;     // the share of the auction not bought out yet
+    bool initiatorBonusPaid;      // has the initiator received the bonus?
+    address[] collateralList;     // the collateral tokens in the auction
+    uint256[] collateralAmounts;  // the remaining collateral amounts
+    address[] debtList;           // the debt tokens in the auction
+    uint256[] debtAmounts;        // the remaining debt amounts
+  }
+
+  // percentPrecision represents the precision of the auction percentages; 1e8 = 100%
+  uint256 public constant percentPrecision = 1e8;
+
+  // offeringRatioPrecision represents the precision of the offering ratios; 1e18 = 100%
+  uint256 public constant offeringRatioPrecision = 1e18;
+
+  // auctions keeps the liquidation auctions by their nonce.
+  mapping(uint256 => AuctionInformation) internal auctions;
+
+  // totalNonce represents the nonce of the latest auction started.
+  uint256 public totalNonce;
+
+  // admins keeps the accounts allowed to tune the auction parameters.
+  mapping(address => bool) public admins;
+
+  // fantomUSDAddress represents the address of the fUSD token.
+  address public fantomUSDAddress;
+
+  // fantomFeeVault represents the address receiving fUSD paid by bidders.
+  address public fantomFeeVault;
+
+  // initiatorBonus represents the amount of native tokens the first bidder
+  // of an auction pays to the account which started it.
+  uint256 public initiatorBonus;
+
+  // burntAmount keeps the total amount of each debt token burnt by bidders.
+  mapping(address => uint256) internal burntAmount;
+
+  // offeringTimes and offeringRatios define the schedule of the offering ratio,
+  // e.g. the share of the collateral offered to bidders; the ratio rises linearly
+  // between the schedule points by the time elapsed from the auction start.
+  // An empty schedule stands for the default one, see getOfferingSchedule().
+  uint256[] public offeringTimes;
+  uint256[] public offeringRatios;
+
+  // ratioDecimalsCorrection represents the precision of the 4 decimals
+  // close factor and liquidation bonus.
+  uint256 public constant ratioDecimalsCorrection = 10000;
+
+  // defaultCloseFactor4dec and defaultLiquidationBonus4dec represent
+  // the partial liquidation parameters used until the admin sets them;
+  // up to 50% of the debt can be repaid at once with 10% bonus as specified by FIP-001
+  uint256 public constant defaultCloseFactor4dec = 5000;
+  uint256 public constant defaultLiquidationBonus4dec = 1000;
+
+  // closeFactor4dec represents the maximal share of the account debt
+  // in a token a liquidator can repay in a single liquidation.
+  // The value is kept in 4 decimals, e.g. value 5000 = 0.5 = 50%
+  // Zero value stands for the default close factor, see getCloseFactor().
+  uint256 public closeFactor4dec;
+
+  // liquidationBonus4dec represents the extra value of the collateral
+  // a liquidator receives on top of the value of the repaid debt.
+  // The value is kept in 4 decimals, e.g. value 1000 = 0.1 = 10%
+  // Zero value stands for the default bonus, see getLiquidationBonus().
+  uint256 public liquidationBonus4dec;
+
+  // onlyAdmin modifier controls access to the auction parameters.
+  modifier onlyAdmin() {
+    require(isOwner() || admins[msg.sender], 'Caller is not an admin');
+    _;
+  }
+
   // initialize initializes the contract properly before the first use.
   function initialize(address owner, address _addressProvider, address _sfc, address _stakeTokenizer)
     public
@@ -69,6 +150,7 @@ contract FantomLiquidationManager is
     addressProvider = IFantomMintAddressProvider(_addressProvider);
     sfc = ISFC(_sfc);
     stakeTokenizer = IStakeTokenizer(_stakeTokenizer);
+
   }
 
   function updateAddressProvider(address _addressProvider) external onlyOwner {
@@ -82,6 +164,57 @@ contract FantomLiquidationManager is
     fantomMintContract = _fantomMintContract;
   }
 
+  function updateFantomUSDAddress(address _fantomUSDAddress) external onlyOwner {
+    fantomUSDAddress = _fantomUSDAddress;
+  }
+
+  function updateFantomFeeVault(address _fantomFeeVault) external onlyOwner {
+    fantomFeeVault = _fantomFeeVault;
+  }
+
+  function addAdmin(address _admin) external onlyOwner {
+    admins[_admin] = true;
+  }
+
+  function removeAdmin(address _admin) external onlyOwner {
+    admins[_admin] = false;
+  }
+
+  function updateInitiatorBonus(uint256 _initiatorBonus) external onlyAdmin {
+    initiatorBonus = _initiatorBonus;
+  }
+
+  function updateCloseFactor(uint256 _closeFactor4dec) external onlyAdmin {
+    require(_closeFactor4dec > 0 && _closeFactor4dec <= ratioDecimalsCorrection, 'Invalid close factor');
+    closeFactor4dec = _closeFactor4dec;
+  }
+
+  function updateLiquidationBonus(uint256 _liquidationBonus4dec) external onlyAdmin {
+    require(_liquidationBonus4dec > 0 && _liquidationBonus4dec <= ratioDecimalsCorrection, 'Invalid liquidation bonus');
+    liquidationBonus4dec = _liquidationBonus4dec;
+  }
+
+  // updateOfferingSchedule replaces the offering ratio schedule; times are
+  // counted from the auction start and both lists must be ascending.
+  function updateOfferingSchedule(uint256[] calldata _times, uint256[] calldata _ratios) external onlyAdmin {
+    require(_times.length > 0 && _times.length == _ratios.length, 'Invalid schedule length');
+
+    for (uint256 i = 0; i < _times.length; i++) {
+      require(_ratios[i] <= offeringRatioPrecision, 'Invalid offering ratio');
+      if (i > 0) {
+        require(_times[i] > _times[i - 1] && _ratios[i] >= _ratios[i - 1], 'Schedule not ascending');
+      }
+    }
+
+    offeringTimes = _times;
+    offeringRatios = _ratios;
+  }
+
+  // getBurntAmount returns the total amount of the debt token burnt by bidders.
+  function getBurntAmount(address _token) external view returns (uint256) {
+    return burntAmount[_token];
+  }
+
   // getCollateralPool returns the address of collateral pool.
   function getCollateralPool() public view returns (IFantomDeFiTokenStorage) {
     return addressProvider.getCollateralPool();
@@ -92,15 +225,27 @@ contract FantomLiquidationManager is
     return addressProvider.getDebtPool();
   }
 
-  // collateralIsEligible checks if the account is eligible to liquidate.
-  function collateralIsEligible(address _account, address _token) public view returns (bool) {
-    return
-      FantomMint(addressProvider.getAddress(MOD_FANTOM_MINT))
-        .checkCollateralCanDecrease(
-          _account,
-          _token,
-          0
-        );
+  // collateralIsEligible checks if the account collateral is sufficient,
+  // e.g. the account is not eligible to liquidate. The check uses the time-weighted
+  // average prices, if available; the token is kept for compatibility only.
+  function collateralIsEligible(address _account, address) public view returns (bool) {
+    return !FantomMint(addressProvider.getAddress(MOD_FANTOM_MINT)).isLiquidatable(_account);
+  }
+
+  // pricesAreFresh checks if the oracle prices of the tokens held by the account
+  // are not stale; the price deviation is not checked so a large price move
+  // does not block the liquidation. All prices are fresh if no price guard is set.
+  function pricesAreFresh(address _account) public view returns (bool) {
+    IFantomMintPriceGuard guard = addressProvider.getPriceGuard();
+    if (address(guard) == address(0x0)) {
+      return true;
+    }
+    return guard.arePricesFresh(_account);
+  }
+
+  // _now returns the current time stamp; it's separated so tests can move the time.
+  function _now() internal view returns (uint256) {
+    return now;
   }
 
   function() payable external {
@@ -119,93 +264,475 @@ contract FantomLiquidationManager is
     require(sent, "Failed to send FTM");
   }
 
+  // liquidate repays the debt of an under-collateralized account from the liquidator
+  // up to the close factor in each debt token and hands over the collateral worth
+  // the repaid debt increased by the liquidation bonus, taken from the collateral
+  // tokens in their order; sFTM collateral is liquidated on the SFC from the given
+  // validators and paid out in native tokens.
   function liquidate(address _targetAddress, uint256[] calldata validatorIDs) external nonReentrant {
+    IFantomDeFiTokenStorage debtPool = getDebtPool();
+
+    require(
+      getCollateralPool().totalOf(_targetAddress) > 0,
+      'The value of the collateral is 0'
+    );
+    require(
+      pricesAreFresh(_targetAddress),
+      'Price is not trusted'
+    );
+    require(
+      !collateralIsEligible(_targetAddress, address(0x0)),
+      'Collateral is not eligible for liquidation'
+    );
+
+    addressProvider.getRewardDistribution().rewardUpdate(_targetAddress);
+
+    // value of the collateral to be seized
+    uint256 value;
+
+    for (uint256 index = 0; index < debtPool.tokensCount(); index++) {
+      address tokenAddress = debtPool.getToken(index);
+      uint256 amount = getMaxToRepay(_targetAddress, tokenAddress);
+      if (amount > 0) {
+        require(amount <= ERC20(tokenAddress).allowance(msg.sender, address(this)), 'Low allowance of debt token.');
+
+        ERC20Burnable(tokenAddress).burnFrom(msg.sender, amount);
+        debtPool.sub(_targetAddress, tokenAddress, amount);
+        value = value.add(_repaidValue(tokenAddress, amount));
+
+        emit Repaid(_targetAddress, msg.sender, tokenAddress, amount);
+      }
+    }
+
+    _seizeValue(_targetAddress, value, validatorIDs);
+  }
+
+  // _seizeValue hands over the collateral of the account worth the given value
+  // to the liquidator, taken from the collateral tokens in their order.
+  function _seizeValue(address _targetAddress, uint256 _value, uint256[] memory validatorIDs) internal {
+    IFantomDeFiTokenStorage collateralPool = getCollateralPool();
+
+    for (uint256 index = 0; index < collateralPool.tokensCount() && _value > 0; index++) {
+      address tokenAddress = collateralPool.getToken(index);
+      uint256 balance = collateralPool.balanceOf(_targetAddress, tokenAddress);
+      if (balance == 0) {
+        continue;
+      }
+
+      // the value not covered by the balance is left for the next collateral token
+      uint256 seized = _tokenAmount(tokenAddress, _value);
+      if (seized > balance) {
+        _value = _value.mul(seized.sub(balance)).div(seized);
+        seized = balance;
+      } else {
+        _value = 0;
+      }
+
+      collateralPool.sub(_targetAddress, tokenAddress, seized);
+      _seizeCollateral(_targetAddress, tokenAddress, seized, validatorIDs);
+
+      emit Seized(_targetAddress, msg.sender, tokenAddress, seized);
+    }
+  }
+
+  // liquidatePartial repays the given amount of a single debt token of an under-collateralized
+  // account from the liquidator and hands over the collateral token worth the repaid
+  // amount increased by the liquidation bonus. The repaid amount is capped
+  // by the close factor of the account debt in the token. If the collateral is not
+  // enough to cover the bonus, the whole remaining balance of it is seized.
+  function liquidatePartial(
+    address _targetAddress,
+    address _debtToken,
+    uint256 _amount,
+    address _collateralToken,
+    uint256[] calldata validatorIDs
+  ) external nonReentrant {
     IFantomDeFiTokenStorage collateralPool = getCollateralPool();
     IFantomDeFiTokenStorage debtPool = getDebtPool();
 
+    require(_amount > 0, 'Repay amount must be greater than 0');
     require(
-      collateralPool.totalOf(_targetAddress) > 0,
+      collateralPool.balanceOf(_targetAddress, _collateralToken) > 0,
       'The value of the collateral is 0'
     );
+    require(
+      pricesAreFresh(_targetAddress),
+      'Price is not trusted'
+    );
+    require(
+      !collateralIsEligible(_targetAddress, address(0x0)),
+      'Collateral is not eligible for liquidation'
+    );
+    require(
+      _amount <= getMaxToRepay(_targetAddress, _debtToken),
+      'Repay amount exceeds the close factor'
+    );
+    require(_amount <= ERC20(_debtToken).allowance(msg.sender, address(this)), 'Low allowance of debt token.');
 
     addressProvider.getRewardDistribution().rewardUpdate(_targetAddress);
 
-    uint256 index;
-    uint subIndex;
-    uint256 tokenCount;
-    address tokenAddress;
-    uint256 tokenBalance;
-    uint256 remainingBalance;
+    // calculate the collateral seized, it can not exceed the account balance
+    uint256 seized = Math.min(
+      getCollateralToSeize(_debtToken, _amount, _collateralToken),
+      collateralPool.balanceOf(_targetAddress, _collateralToken)
+    );
 
-    tokenCount = collateralPool.tokensCount();
+    ERC20Burnable(_debtToken).burnFrom(msg.sender, _amount);
+    debtPool.sub(_targetAddress, _debtToken, _amount);
 
-    for (index = 0; index < tokenCount; index++) {
-      tokenAddress = collateralPool.getToken(index);
+    emit Repaid(_targetAddress, msg.sender, _debtToken, _amount);
 
-      tokenBalance = collateralPool.balanceOf(_targetAddress, tokenAddress);
-      if (tokenBalance > 0) {
-        require(
-          !collateralIsEligible(_targetAddress, tokenAddress),
-          'Collateral is not eligible for liquidation'
-        );
+    collateralPool.sub(_targetAddress, _collateralToken, seized);
+    _seizeCollateral(_targetAddress, _collateralToken, seized, validatorIDs);
+
+    emit Seized(_targetAddress, msg.sender, _collateralToken, seized);
+  }
+
+  // _seizeCollateral sends the seized collateral to the liquidator; sFTM collateral
+  // is liquidated on the SFC from the given validators and paid out in native tokens.
+  function _seizeCollateral(
+    address _targetAddress,
+    address _token,
+    uint256 _amount,
+    uint256[] memory validatorIDs
+  ) internal {
+    if (_token != stakeTokenizer.sFTMTokenAddress()) {
+      FantomMint(fantomMintContract).settleLiquidation(_token, msg.sender, _amount);
+      return;
+    }
+
+    uint256 remainingBalance = _amount;
+    for (uint256 subIndex = 0; subIndex < validatorIDs.length && remainingBalance != 0; subIndex++) {
+      uint256 stakedsFTM = Math.min(
+        stakeTokenizer.outstandingSFTM(_targetAddress, validatorIDs[subIndex]),
+        remainingBalance
+      );
+
+      if (stakedsFTM > 0) {
+        FantomMint(fantomMintContract).settleLiquidation(_token, address(this), stakedsFTM);
+        _handleSFTM(_targetAddress, stakedsFTM, validatorIDs[subIndex]);
+        remainingBalance = remainingBalance - stakedsFTM;
+      }
+    }
+
+    require(remainingBalance == 0, 'Not enough sFTM outstanding on the validators');
+  }
+
+  // getCloseFactor returns the close factor in use in 4 decimals.
+  function getCloseFactor() public view returns (uint256) {
+    if (closeFactor4dec == 0) {
+      return defaultCloseFactor4dec;
+    }
+    return closeFactor4dec;
+  }
+
+  // getLiquidationBonus returns the liquidation bonus in use in 4 decimals.
+  function getLiquidationBonus() public view returns (uint256) {
+    if (liquidationBonus4dec == 0) {
+      return defaultLiquidationBonus4dec;
+    }
+    return liquidationBonus4dec;
+  }
+
+  // getMaxToRepay returns the maximal amount of the debt token a liquidator
+  // can repay on the account in a single partial liquidation.
+  function getMaxToRepay(address _targetAddress, address _debtToken) public view returns (uint256) {
+    return getDebtPool().balanceOf(_targetAddress, _debtToken)
+      .mul(getCloseFactor())
+      .div(ratioDecimalsCorrection);
+  }
+
+  // getCollateralToSeize returns the amount of the collateral token worth the given
+  // amount of the debt token increased by the liquidation bonus.
+  function getCollateralToSeize(address _debtToken, uint256 _amount, address _collateralToken) public view returns (uint256) {
+    return _tokenAmount(_collateralToken, _repaidValue(_debtToken, _amount));
+  }
+
+  // _repaidValue returns the value of the repaid amount of the debt token
+  // with the liquidation bonus applied.
+  function _repaidValue(address _debtToken, uint256 _amount) internal view returns (uint256) {
+    (uint256 price, uint256 digits) = FantomMint(fantomMintContract).getExtendedPrice(_debtToken);
+    return _amount.mul(price).div(digits)
+      .mul(ratioDecimalsCorrection.add(getLiquidationBonus()))
+      .div(ratioDecimalsCorrection);
+  }
+
+  // _tokenAmount converts the value to the amount of the collateral token.
+  function _tokenAmount(address _collateralToken, uint256 _value) internal view returns (uint256) {
+    (uint256 price, uint256 digits) = FantomMint(fantomMintContract).getExtendedPrice(_collateralToken);
+    return _value.mul(digits).div(price);
+  }
+
+  // -------------------------------------------------------------
+  // Liquidation auction
+  // -------------------------------------------------------------
+
+  // startLiquidation moves the collateral and debt of an under-collateralized
+  // account into a new auction and returns its nonce. Non-tradable collateral,
+  // e.g. sFTM, can not be handed over to bidders and stays with the account
+  // along with the share of the debt matching its value.
+  function startLiquidation(address _targetAddress) external nonReentrant returns (uint256) {
+    IFantomDeFiTokenStorage collateralPool = getCollateralPool();
+    uint256 totalValue = collateralPool.totalOf(_targetAddress);
+
+    require(
+      totalValue > 0,
+      'The value of the collateral is 0'
+    );
+    require(
+      pricesAreFresh(_targetAddress),
+      'Price is not trusted'
+    );
+    require(
+      !collateralIsEligible(_targetAddress, address(0x0)),
+      'Collateral is not eligible for liquidation'
+    );
+
+    addressProvider.getRewardDistribution().rewardUpdate(_targetAddress);
+
+    totalNonce = totalNonce.add(1);
+    AuctionInformation storage auction = auctions[totalNonce];
+    auction.owner = _targetAddress;
+    auction.initiator = msg.sender;
+    auction.startTime = _now();
+    auction.remainingPercent = percentPrecision;
+
+    uint256 auctionValue = _moveAuctionCollateral(auction, collateralPool);
+    require(auctionValue > 0, 'Collateral can not be auctioned');
+
+    _moveAuctionDebt(auction, auctionValue, totalValue);
+
+    emit AuctionStarted(totalNonce, _targetAddress);
+
+    return totalNonce;
+  }
+
+  // _moveAuctionCollateral moves the tradable collateral of the liquidated account
+  // into the auction and returns its value.
+  function _moveAuctionCollateral(AuctionInformation storage _auction, IFantomDeFiTokenStorage _collateralPool) internal returns (uint256 auctionValue) {
+    IFantomMintTokenRegistry tokenRegistry = addressProvider.getTokenRegistry();
+
+    for (uint256 index = 0; index < _collateralPool.tokensCount(); index++) {
+      address tokenAddress = _collateralPool.getToken(index);
+      uint256 tokenBalance = _collateralPool.balanceOf(_auction.owner, tokenAddress);
+      if (tokenBalance > 0 && tokenRegistry.canTrade(tokenAddress)) {
+        auctionValue = auctionValue.add(_collateralPool.tokenValue(tokenAddress, tokenBalance));
+
+        _collateralPool.sub(_auction.owner, tokenAddress, tokenBalance);
+        _auction.collateralList.push(tokenAddress);
+        _auction.collateralAmounts.push(tokenBalance);
       }
     }
+  }
 
-    tokenCount = debtPool.tokensCount();
+  // _moveAuctionDebt moves the share of the liquidated account debt matching
+  // the auctioned part of the collateral value into the auction.
+  function _moveAuctionDebt(AuctionInformation storage _auction, uint256 _auctionValue, uint256 _totalValue) internal {
+    IFantomDeFiTokenStorage debtPool = getDebtPool();
 
-    for (index = 0; index < tokenCount; index++) {
-      tokenAddress = debtPool.getToken(index);
-      tokenBalance = debtPool.balanceOf(_targetAddress, tokenAddress);
+    for (uint256 index = 0; index < debtPool.tokensCount(); index++) {
+      address tokenAddress = debtPool.getToken(index);
+      uint256 tokenBalance = debtPool.balanceOf(_auction.owner, tokenAddress).mul(_auctionValue).div(_totalValue);
       if (tokenBalance > 0) {
-        require(tokenBalance <= ERC20(tokenAddress).allowance(msg.sender, address(this)), 'Low allowance of debt token.');
+        debtPool.sub(_auction.owner, tokenAddress, tokenBalance);
+        _auction.debtList.push(tokenAddress);
+        _auction.debtAmounts.push(tokenBalance);
+      }
+    }
+  }
+
+  // bidAuction buys out the given percentage of the remaining auction; the bidder
+  // repays the share of the debt and receives the share of the collateral reduced
+  // by the current offering ratio, the rest of the collateral is refunded to the
+  // liquidated account. The first bidder pays the initiator bonus, any native
+  // tokens sent above the bonus are refunded.
+  function bidAuction(uint256 _nonce, uint256 _percentage) external payable nonReentrant {
+    AuctionInformation storage auction = auctions[_nonce];
+    require(auction.owner != address(0x0), 'Auction not found');
+    require(auction.remainingPercent > 0, 'Auction already settled');
+    require(_percentage > 0, 'Percentage must be greater than 0');
+
+    // the bid can not exceed the remaining share of the auction
+    uint256 percentage = Math.min(_percentage, auction.remainingPercent);
+
+    uint256 refund = msg.value;
+    if (!auction.initiatorBonusPaid) {
+      require(msg.value >= initiatorBonus, 'Insufficient funds to pay the initiator bonus');
+      auction.initiatorBonusPaid = true;
+      refund = msg.value.sub(initiatorBonus);
+
+      (bool paid,) = auction.initiator.call.value(initiatorBonus)('');
+      require(paid, 'Failed to pay the initiator bonus');
+    }
 
-        ERC20Burnable(tokenAddress).burnFrom(msg.sender, tokenBalance);
-        debtPool.sub(_targetAddress, tokenAddress, tokenBalance);
+    uint256 offeringRatio = getOfferingRatio(_now().sub(auction.startTime));
 
-        emit Repaid(_targetAddress, msg.sender, tokenAddress, tokenBalance);
+    _repayAuctionDebt(auction, percentage);
+    _settleAuctionCollateral(auction, percentage, offeringRatio);
+
+    auction.remainingPercent = auction.remainingPercent.sub(percentage);
+
+    if (refund > 0) {
+      (bool sent,) = msg.sender.call.value(refund)('');
+      require(sent, 'Failed to refund the bidder');
+    }
+
+    emit BidPlaced(_nonce, percentage, msg.sender, offeringRatio);
+  }
+
+  // _repayAuctionDebt collects the given share of the auction debt from the bidder;
+  // fUSD is sent to the fee vault, if set, other debt tokens are burnt.
+  function _repayAuctionDebt(AuctionInformation storage _auction, uint256 _percentage) internal {
+    for (uint256 index = 0; index < _auction.debtList.length; index++) {
+      address tokenAddress = _auction.debtList[index];
+      uint256 amount = _auctionShare(_auction.debtAmounts[index], _percentage, _auction.remainingPercent);
+      if (amount == 0) {
+        continue;
       }
+
+      _auction.debtAmounts[index] = _auction.debtAmounts[index].sub(amount);
+      require(amount <= ERC20(tokenAddress).allowance(msg.sender, address(this)), 'Low allowance of debt token.');
+
+      if (tokenAddress == fantomUSDAddress && fantomFeeVault != address(0x0)) {
+        ERC20(tokenAddress).safeTransferFrom(msg.sender, fantomFeeVault, amount);
+      } else {
+        ERC20Burnable(tokenAddress).burnFrom(msg.sender, amount);
+        burntAmount[tokenAddress] = burntAmount[tokenAddress].add(amount);
+      }
+
+      emit Repaid(_auction.owner, msg.sender, tokenAddress, amount);
     }
+  }
 
-    tokenCount = collateralPool.tokensCount();
+  // _settleAuctionCollateral sends the offered part of the given share of the auction
+  // collateral to the bidder and refunds the rest to the liquidated account.
+  function _settleAuctionCollateral(AuctionInformation storage _auction, uint256 _percentage, uint256 _offeringRatio) internal {
+    for (uint256 index = 0; index < _auction.collateralList.length; index++) {
+      address tokenAddress = _auction.collateralList[index];
+      uint256 amount = _auctionShare(_auction.collateralAmounts[index], _percentage, _auction.remainingPercent);
+      if (amount == 0) {
+        continue;
+      }
 
-    for (index = 0; index < tokenCount; index++) {
-      tokenAddress = collateralPool.getToken(index);
-      tokenBalance = collateralPool.balanceOf(_targetAddress, tokenAddress);
-      if (tokenBalance > 0) {
-        collateralPool.sub(_targetAddress, tokenAddress, tokenBalance);
-
-        remainingBalance = tokenBalance; 
-
-        if (tokenAddress == stakeTokenizer.sFTMTokenAddress()) {
-          for (subIndex = 0; subIndex < validatorIDs.length; subIndex++) {
-            uint256 stakedsFTM = stakeTokenizer.outstandingSFTM(
-                _targetAddress,
-                validatorIDs[subIndex]
-            );
-
-            if (stakedsFTM > 0 && remainingBalance != 0) {
-                if (stakedsFTM <= remainingBalance) {
-                    FantomMint(fantomMintContract).settleLiquidation(tokenAddress, address(this), stakedsFTM);
-                    _handleSFTM(_targetAddress, stakedsFTM, validatorIDs[subIndex]);
-                    remainingBalance = remainingBalance - stakedsFTM; 
-                } 
-                else {
-                    FantomMint(fantomMintContract).settleLiquidation(tokenAddress, address(this), remainingBalance);
-                    _handleSFTM(_targetAddress, remainingBalance, validatorIDs[subIndex]);
-                    remainingBalance = 0;
-                }
-            }
-          }
-
-          if (remainingBalance != 0) {
-            revert();
-          }
-        } else {
-          FantomMint(fantomMintContract).settleLiquidation(tokenAddress, msg.sender, tokenBalance);
-        }
-
-        emit Seized(_targetAddress, msg.sender, tokenAddress, tokenBalance);
+      _auction.collateralAmounts[index] = _auction.collateralAmounts[index].sub(amount);
+
+      uint256 offered = amount.mul(_offeringRatio).div(offeringRatioPrecision);
+      if (offered > 0) {
+        FantomMint(fantomMintContract).settleLiquidation(tokenAddress, msg.sender, offered);
+        emit Seized(_auction.owner, msg.sender, tokenAddress, offered);
+      }
+
+      if (amount > offered) {
+        FantomMint(fantomMintContract).settleLiquidation(tokenAddress, _auction.owner, amount.sub(offered));
       }
     }
   }
+
+  // _auctionShare calculates the part of the remaining amount matching the given
+  // percentage; the last bid takes the whole remaining amount to avoid rounding dust.
+  function _auctionShare(uint256 _amount, uint256 _percentage, uint256 _remainingPercent) internal pure returns (uint256) {
+    if (_percentage == _remainingPercent) {
+      return _amount;
+    }
+    return _amount.mul(_percentage).div(_remainingPercent);
+  }
+
+  // getOfferingSchedule returns the offering ratio schedule in use. If the schedule
+  // has not been set, e.g. on a proxy upgraded from the implementation without
+  // auctions, the default one applies; 30% for the first minute rising
+  // to 34% in 2 minutes, 60% in an hour and 100% in 5 days.
+  function getOfferingSchedule() public view returns (uint256[] memory times, uint256[] memory ratios) {
+    if (offeringTimes.length > 0) {
+      return (offeringTimes, offeringRatios);
+    }
+
+    times = new uint256[](4);
+    ratios = new uint256[](4);
+    (times[0], times[1], times[2], times[3]) = (60, 120, 1 hours, 5 days);
+    (ratios[0], ratios[1], ratios[2], ratios[3]) = (30 * 1e16, 34 * 1e16, 60 * 1e16, 1e18);
+  }
+
+  // getOfferingRatio returns the share of the collateral offered to bidders
+  // at the given time elapsed from the auction start. Between the schedule points
+  // the ratio approaches the next point by a constant step per second.
+  function getOfferingRatio(uint256 _elapsed) public view returns (uint256) {
+    (uint256[] memory times, uint256[] memory ratios) = getOfferingSchedule();
+
+    uint256 last = times.length - 1;
+    if (_elapsed <= times[0]) {
+      return ratios[0];
+    }
+    if (_elapsed >= times[last]) {
+      return ratios[last];
+    }
+
+    uint256 index = 1;
+    while (_elapsed > times[index]) {
+      index++;
+    }
+
+    uint256 step = ratios[index].sub(ratios[index - 1]).div(times[index].sub(times[index - 1]));
+    return ratios[index].sub(step.mul(times[index].sub(_elapsed)));
+  }
+
+  // getAuctionPricing returns the offering ratio of the auction at the given time stamp
+  // along with the value of the remaining collateral and debt and the auction start.
+  function getAuctionPricing(uint256 _nonce, uint256 _timestamp)
+    external
+    view
+    returns (
+      uint256 offeringRatio,
+      uint256 collateralValue,
+      uint256 debtValue,
+      uint256 startTime
+    )
+  {
+    AuctionInformation storage auction = auctions[_nonce];
+    require(auction.owner != address(0x0), 'Auction not found');
+
+    startTime = auction.startTime;
+    offeringRatio = getOfferingRatio(_timestamp > startTime ? _timestamp.sub(startTime) : 0);
+
+    uint256 index;
+    for (index = 0; index < auction.collateralList.length; index++) {
+      collateralValue = collateralValue.add(
+        getCollateralPool().tokenValue(auction.collateralList[index], auction.collateralAmounts[index])
+      );
+    }
+    for (index = 0; index < auction.debtList.length; index++) {
+      debtValue = debtValue.add(
+        getDebtPool().tokenValue(auction.debtList[index], auction.debtAmounts[index])
+      );
+    }
+  }
+
+  // getLiquidationDetails returns the state of the given auction.
+  function getLiquidationDetails(uint256 _nonce)
+    external
+    view
+    returns (
+      address owner,
+      address initiator,
+      uint256 startTime,
+      uint256 remainingPercent,
+      address[] memory collateralList,
+      uint256[] memory collateralAmounts,
+      address[] memory debtList,
+      uint256[] memory debtAmounts
+    )
+  {
+    AuctionInformation storage auction = auctions[_nonce];
+    require(auction.owner != address(0x0), 'Auction not found');
+
+    return (
+      auction.owner,
+      auction.initiator,
+      auction.startTime,
+      auction.remainingPercent,
+      auction.collateralList,
+      auction.collateralAmounts,
+      auction.debtList,
+      auction.debtAmounts
+    );
+  }
 }
@@ -0,0 +1,46 @@
+pragma solidity ^0.5.0;
+
+import "../interfaces/IAggregatorV3.sol";
+
+contract MockAggregatorV3 is IAggregatorV3 {
+    struct Round {
+        int256 answer;
+        uint256 updatedAt;
+        uint80 answeredInRound;
+    }
+
+    uint8 public decimals;
+    uint80 public latestRound;
+    mapping(uint80 => Round) public rounds;
+
+    function setDecimals(uint8 _decimals) external {
+        decimals = _decimals;
+    }
+
+    function updateAnswer(int256 _answer) external {
+        latestRound++;
+        rounds[latestRound] = Round(_answer, now, latestRound);
+    }
+
+    function setRoundData(uint80 _roundId, int256 _answer, uint256 _updatedAt, uint80 _answeredInRound) external {
+        if (_roundId > latestRound) {
+            latestRound = _roundId;
+        }
+        rounds[_roundId] = Round(_answer, _updatedAt, _answeredInRound);
+    }
+
+    // getRoundData reverts on unknown rounds the same way the ChainLink feeds do.
+    function getRoundData(uint80 _roundId) external view returns (uint80, int256, uint256, uint256, uint80) {
+        require(0 < rounds[_roundId].updatedAt, "No data present");
+        return _roundData(_roundId);
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        return _roundData(latestRound);
+    }
+
+    function _roundData(uint80 _roundId) internal view returns (uint80, int256, uint256, uint256, uint80) {
+        Round storage round = rounds[_roundId];
+        return (_roundId, round.answer, round.updatedAt, round.updatedAt, round.answeredInRound);
+    }
+}
@@ -0,0 +1,30 @@
+pragma solidity ^0.5.0;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/IERC20.sol";
+
+import "../interfaces/IERC3156FlashBorrower.sol";
+import "../interfaces/IERC3156FlashLender.sol";
+
+contract MockFlashBorrower is IERC3156FlashBorrower {
+    // the balance seen inside of the callback
+    uint256 public loanBalance;
+
+    // repay the loan back on the callback
+    bool public shouldRepay = true;
+
+    function setShouldRepay(bool _repay) public {
+        shouldRepay = _repay;
+    }
+
+    function borrow(IERC3156FlashLender lender, address token, uint256 amount) public {
+        lender.flashLoan(this, token, amount, "");
+    }
+
+    function onFlashLoan(address, address token, uint256 amount, uint256 fee, bytes calldata) external returns (bytes32) {
+        loanBalance = IERC20(token).balanceOf(address(this));
+        if (shouldRepay) {
+            IERC20(token).approve(msg.sender, amount + fee);
+        }
+        return keccak256("ERC3156FlashBorrower.onFlashLoan");
+    }
+}
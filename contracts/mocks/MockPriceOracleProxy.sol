@@ -4,12 +4,48 @@ import "../interfaces/IPriceOracleProxy.sol";
 
 contract MockPriceOracleProxy is IPriceOracleProxy {
     mapping(address => uint256) public prices;
+    mapping(address => uint256) public timeStamps;
+    mapping(address => uint256[]) public history;
+    mapping(address => uint256[]) public historyTimeStamps;
 
     function getPrice(address _token) external view returns (uint256) {
         return prices[_token];
     }
 
+    function getTimeStamp(address _token) external view returns (uint256) {
+        return timeStamps[_token];
+    }
+
+    function getPreviousPrice(address _token, uint256 _back) external view returns (int256) {
+        if (_back == 0) {
+            return int256(prices[_token]);
+        }
+        if (_back > history[_token].length) {
+            return 0;
+        }
+        return int256(history[_token][history[_token].length - _back]);
+    }
+
+    function getPreviousTimeStamp(address _token, uint256 _back) external view returns (uint256) {
+        if (_back == 0) {
+            return timeStamps[_token];
+        }
+        if (_back > historyTimeStamps[_token].length) {
+            return 0;
+        }
+        return historyTimeStamps[_token][historyTimeStamps[_token].length - _back];
+    }
+
     function setPrice(address _token, uint256 _price) external {
+        setPriceAt(_token, _price, now);
+    }
+
+    function setPriceAt(address _token, uint256 _price, uint256 _timeStamp) public {
+        if (timeStamps[_token] != 0) {
+            history[_token].push(prices[_token]);
+            historyTimeStamps[_token].push(timeStamps[_token]);
+        }
         prices[_token] = _price;
+        timeStamps[_token] = _timeStamp;
     }
-}
\ No newline at end of file
+}
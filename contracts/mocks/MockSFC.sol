@@ -0,0 +1,25 @@
+pragma solidity ^0.5.0;
+
+// MockSFC pays out the liquidated sFTM stake in native tokens from its own
+// balance and remembers the last liquidation for inspection.
+contract MockSFC {
+
+    address public lastDelegator;
+    uint256 public lastValidatorID;
+    uint256 public lastAmount;
+
+    function() payable external {}
+
+    function getValidatorID(address) external pure returns (uint256) {
+        return 0;
+    }
+
+    function liquidateSFTM(address delegator, uint256 toValidatorID, uint256 amount) external {
+        lastDelegator = delegator;
+        lastValidatorID = toValidatorID;
+        lastAmount = amount;
+
+        (bool sent,) = msg.sender.call.value(amount)("");
+        require(sent, "Failed to send FTM");
+    }
+}
@@ -0,0 +1,16 @@
+pragma solidity ^0.5.0;
+
+// MockStakeTokenizer keeps the sFTM outstanding per delegator and validator.
+contract MockStakeTokenizer {
+
+    address public sFTMTokenAddress;
+    mapping(address => mapping(uint256 => uint256)) public outstandingSFTM;
+
+    constructor(address _sFTMTokenAddress) public {
+        sFTMTokenAddress = _sFTMTokenAddress;
+    }
+
+    function setOutstandingSFTM(address delegator, uint256 validatorID, uint256 amount) public {
+        outstandingSFTM[delegator][validatorID] = amount;
+    }
+}
@@ -0,0 +1,25 @@
+pragma solidity ^0.5.0;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/IERC20.sol";
+
+import "../interfaces/IFantomMintSwapAdapter.sol";
+
+contract MockSwapAdapter is IFantomMintSwapAdapter {
+    using SafeMath for uint256;
+
+    // exchange rates between the tokens in 18 decimals
+    mapping(address => mapping(address => uint256)) public rates;
+
+    function setRate(address tokenIn, address tokenOut, uint256 rate) public {
+        rates[tokenIn][tokenOut] = rate;
+    }
+
+    function swap(address tokenIn, address tokenOut, uint256 amountIn, uint256 minAmountOut) external returns (uint256 amountOut) {
+        amountOut = amountIn.mul(rates[tokenIn][tokenOut]).div(1e18);
+        require(amountOut >= minAmountOut, "insufficient output amount");
+
+        IERC20(tokenIn).transferFrom(msg.sender, address(this), amountIn);
+        IERC20(tokenOut).transfer(msg.sender, amountOut);
+    }
+}
@@ -0,0 +1,16 @@
+pragma solidity ^0.5.0;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20Detailed.sol";
+
+contract MockWrappedFtm is ERC20, ERC20Detailed {
+    function deposit() public payable returns (uint256) {
+        _mint(msg.sender, msg.value);
+        return 0;
+    }
+    function withdraw(uint256 amount) public returns (uint256) {
+        _burn(msg.sender, amount);
+        msg.sender.transfer(amount);
+        return 0;
+    }
+}
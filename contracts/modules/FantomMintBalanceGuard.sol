@@ -8,10 +8,18 @@ import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/SafeERC20
 import "../interfaces/IFantomMintBalanceGuard.sol";
 import "../interfaces/IFantomDeFiTokenStorage.sol";
 import "./FantomMintErrorCodes.sol";
+import "./FantomMintPriceModes.sol";
 
 // FantomMintBalanceGuard implements a calculation of different rate steps
 // between collateral and debt pools to ensure healthy accounts.
-contract FantomMintBalanceGuard is FantomMintErrorCodes, IFantomMintBalanceGuard
+//
+// NOTE: Collateral decrease and debt increase are checked on the stricter
+// of the spot and the time-weighted average price, e.g. the lower price
+// for collateral and the higher price for debt; liquidation eligibility
+// is checked on the time-weighted average price so a single bad price print
+// does not make accounts liquidatable. Both fall back to the spot price
+// if no average price is available.
+contract FantomMintBalanceGuard is FantomMintErrorCodes, FantomMintPriceModes, IFantomMintBalanceGuard
 {
     // define used libs
     using SafeMath for uint256;
@@ -32,6 +40,11 @@ contract FantomMintBalanceGuard is FantomMintErrorCodes, IFantomMintBalanceGuard
     // to be able to receive rewards.
     function getRewardEligibilityRatio4dec() public view returns (uint256);
 
+    // getCollateralFactor4dec (abstract) returns the collateral factor of the given token,
+    // e.g. the share of the token value counted as collateral.
+    // The value is kept in 4 decimals; 5000 = 0.5 = 50%
+    function getCollateralFactor4dec(address _token) public view returns (uint256);
+
     // collateralRatioDecimalsCorrection represents the value to be used
     // to adjust result decimals after applying ratio to a value calculation.
     uint256 public constant collateralRatioDecimalsCorrection = 10000;
@@ -58,6 +71,10 @@ contract FantomMintBalanceGuard is FantomMintErrorCodes, IFantomMintBalanceGuard
     // collateralValueOf (abstract) returns the value of account collateral.
     function collateralValueOf(address _account, address _token, uint256 _sub) public view returns (uint256);
 
+    // weightedCollateralValueOf (abstract) returns the value of account collateral
+    // with each token value reduced by the token collateral factor.
+    function weightedCollateralValueOf(address _account, address _token, uint256 _sub) public view returns (uint256);
+
     // getExtendedPrice returns the price of given ERC20 token using on-chain oracle
     // expression of an exchange rate between the token and base denomination
     // and the number of digits of the price.
@@ -89,7 +106,10 @@ contract FantomMintBalanceGuard is FantomMintErrorCodes, IFantomMintBalanceGuard
         return max;
     }
 
-    function _calcMinCollateralValue(uint256 cDebtValue, uint256 _ratio) internal pure returns (uint256) {
+    // calcMinCollateralValue calculates the minimal collateral value required
+    // for the given debt value to stay within the given ratio; the value
+    // is rounded up unless the ratio is a whole multiple of 100%.
+    function calcMinCollateralValue(uint256 cDebtValue, uint256 _ratio) public pure returns (uint256) {
         uint256 minCollateralValue = cDebtValue
         .mul(_ratio)
         .div(collateralRatioDecimalsCorrection);
@@ -99,19 +119,36 @@ contract FantomMintBalanceGuard is FantomMintErrorCodes, IFantomMintBalanceGuard
         return minCollateralValue;
     }
 
+    // _accountState (internal) returns the price of the given token of the given
+    // price mode, making sure not to divide by zero later, and the current
+    // risk-weighted collateral and debt values of the account. The values use
+    // the same price modes as the collateral decrease and debt increase checks.
+    function _accountState(address _account, address _token, uint8 _priceMode) internal view returns (uint256 _price, uint256 _digits, uint256 cDebtValue, uint256 cCollateralValue) {
+        (, _digits) = getExtendedPrice(_token);
+        _price = getCollateralPool().priceOf(_token, _priceMode);
+        require(_price != 0, "collateral token has no value");
+
+        (cDebtValue, cCollateralValue) = _accountValues(_account, address(0x0), 0, 0, PRICE_MAX, PRICE_MIN);
+    }
+
+    // _accountValues (internal) returns the debt value and the risk-weighted collateral value
+    // of the account with the given adjustments to the token balances, valued using
+    // the given price modes.
+    function _accountValues(address _account, address _token, uint256 _subCollateral, uint256 _addDebt, uint8 _debtPriceMode, uint8 _collateralPriceMode) internal view returns (uint256, uint256) {
+        return (
+            getDebtPool().totalOfAt(_account, _token, _addDebt, 0, false, _debtPriceMode),
+            getCollateralPool().totalOfAt(_account, _token, 0, _subCollateral, true, _collateralPriceMode)
+        );
+    }
+
     // _maxToWithdraw calculates the max amount of the given token the account can withdraw
     // safely and still obey given debt to collateral ratio.
     function _maxToWithdraw(address _account, address _token, uint256 _ratio) internal view returns (uint256) {
-        // get token price, make sure not to divide by zero
-        (uint256 _price, uint256 _digits) = getExtendedPrice(_token);
-        require(_price != 0, "collateral token has no value");
-
-        // calculate current collateral and debt situation
-        uint256 cDebtValue = debtValueOf(_account, address(0x0), 0);
-        uint256 cCollateralValue = collateralValueOf(_account, address(0x0), 0);
+        // get token price and the current risk-weighted collateral and debt situation
+        (uint256 _price, uint256 _digits, uint256 cDebtValue, uint256 cCollateralValue) = _accountState(_account, _token, PRICE_MIN);
 
         // what is the minimal collateral value required?
-        uint256 minCollateralValue = _calcMinCollateralValue(cDebtValue, _ratio);
+        uint256 minCollateralValue = calcMinCollateralValue(cDebtValue, _ratio);
 
         // check if we are safely over the required collateral ratio
         if (cCollateralValue <= minCollateralValue) {
@@ -119,24 +156,22 @@ contract FantomMintBalanceGuard is FantomMintErrorCodes, IFantomMintBalanceGuard
         }
 
         // calculate the excessive value and convert it
-        // to the amount of tokens using price
-        return cCollateralValue.sub(minCollateralValue).mul(_digits).div(_price);
+        // to the amount of tokens using price and the token collateral factor
+        return cCollateralValue.sub(minCollateralValue)
+        .mul(_digits)
+        .mul(collateralRatioDecimalsCorrection)
+        .div(_price.mul(getCollateralFactor4dec(_token)));
     }
 
     // minToDeposit calculates the minimal amount of tokens the account needs to deposit
     // to get over the given collateral to debt ratio.
     function minToDeposit(address _account, address _token, uint256 _ratio) public view returns (uint256) {
-        // get token price, make sure not to divide by zero
-        (uint256 _price, uint256 _digits) = getExtendedPrice(_token);
-        require(_price != 0, "collateral token has no value");
-
-        // calculate current collateral and debt situation
-        uint256 cDebtValue = debtValueOf(_account, address(0x0), 0);
-        uint256 cCollateralValue = collateralValueOf(_account, address(0x0), 0);
+        // get token price and the current risk-weighted collateral and debt situation
+        (uint256 _price, uint256 _digits, uint256 cDebtValue, uint256 cCollateralValue) = _accountState(_account, _token, PRICE_MIN);
 
         // what's the largest possible debt value allowed?
         // what is the minimal collateral value required?
-        uint256 minCollateralValue = _calcMinCollateralValue(cDebtValue, _ratio);
+        uint256 minCollateralValue = calcMinCollateralValue(cDebtValue, _ratio);
 
         // check if we are safely over the required collateral ratio
         // if so, there is no need to add anything to get over
@@ -145,23 +180,23 @@ contract FantomMintBalanceGuard is FantomMintErrorCodes, IFantomMintBalanceGuard
         }
 
         // calculate the required extra tokens to be deposited to get
-        // the ratio the call asked for; round all corners up
-        return (minCollateralValue.sub(cCollateralValue).add(1)).mul(_digits).div(_price).add(1);
+        // the ratio the call asked for including the token collateral factor;
+        // round all corners up
+        return (minCollateralValue.sub(cCollateralValue).add(1))
+        .mul(_digits)
+        .mul(collateralRatioDecimalsCorrection)
+        .div(_price.mul(getCollateralFactor4dec(_token)))
+        .add(1);
     }
 
     // maxToMint calculates the maximum amount of tokens the address can mint
     // and still stay safely within the requested collateral to debt ratio.
     function maxToMint(address _account, address _token, uint256 _ratio) public view returns (uint256) {
-        // get token price, make sure not to divide by zero
-        (uint256 _price, uint256 _digits) = getExtendedPrice(_token);
-        require(_price != 0, "collateral token has no value");
-
-        // calculate current collateral and debt situation\
-        uint256 cDebtValue = debtValueOf(_account, address(0x0), 0);
-        uint256 cCollateralValue = collateralValueOf(_account, address(0x0), 0);
+        // get token price and the current risk-weighted collateral and debt situation
+        (uint256 _price, uint256 _digits, uint256 cDebtValue, uint256 cCollateralValue) = _accountState(_account, _token, PRICE_MAX);
 
         // what is the minimal collateral value required?
-        uint256 minCollateralValue = _calcMinCollateralValue(cDebtValue, _ratio);
+        uint256 minCollateralValue = calcMinCollateralValue(cDebtValue, _ratio);
 
         // if the account is under-collateralized already,
         // no tokens can be added
@@ -191,21 +226,21 @@ contract FantomMintBalanceGuard is FantomMintErrorCodes, IFantomMintBalanceGuard
     // isCollateralSufficient checks if collateral value is sufficient
     // to cover the debt (collateral to debt ratio) after
     // predefined adjustments to the collateral and debt values.
-    function isCollateralSufficient(address _account, address _token, uint256 _subCollateral, uint256 _addDebt, uint256 _ratio) internal view returns (bool) {
+    // The debt and the collateral are valued using the given price modes.
+    function isCollateralSufficient(address _account, address _token, uint256 _subCollateral, uint256 _addDebt, uint256 _ratio, uint8 _debtPriceMode, uint8 _collateralPriceMode) internal view returns (bool) {
         // make sure the call does not try to pull out more than the balance we have
         if (_subCollateral > getCollateralPool().balanceOf(_account, _token)) {
             return false;
         }
 
-        // calculate the collateral and debt values in ref. denomination
-        // for the current exchange rate and balance amounts including
+        // calculate the risk-weighted collateral and debt values in ref. denomination
+        // for the exchange rate of the price mode and balance amounts including
         // given adjustments to both values as requested.
-        uint256 cDebtValue = debtValueOf(_account, _token, _addDebt);
-        uint256 cCollateralValue = collateralValueOf(_account, _token, _subCollateral);
+        (uint256 cDebtValue, uint256 cCollateralValue) = _accountValues(_account, _token, _subCollateral, _addDebt, _debtPriceMode, _collateralPriceMode);
 
         // minCollateralValue is the minimal collateral value required for the current debt
         // to be within the minimal allowed collateral to debt ratio
-        uint256 minCollateralValue = _calcMinCollateralValue(cDebtValue, _ratio);
+        uint256 minCollateralValue = calcMinCollateralValue(cDebtValue, _ratio);
 
         // final collateral value must match the minimal value or exceed it
         return (cCollateralValue >= minCollateralValue);
@@ -215,25 +250,31 @@ contract FantomMintBalanceGuard is FantomMintErrorCodes, IFantomMintBalanceGuard
     // without breaking collateral to debt ratio rule.
     function collateralCanDecrease(address _account, address _token, uint256 _amount) public view returns (bool) {
         // collateral to debt ratio must be valid after collateral decrease
-        return isCollateralSufficient(_account, _token, _amount, 0, getCollateralLowestDebtRatio4dec());
+        return isCollateralSufficient(_account, _token, _amount, 0, getCollateralLowestDebtRatio4dec(), PRICE_MAX, PRICE_MIN);
     }
 
     // debtCanIncrease checks if the specified amount of debt can be added to the account
     // without breaking collateral to debt ratio rule.
     function debtCanIncrease(address _account, address _token, uint256 _amount) public view returns (bool) {
         // collateral to debt ratio must be valid after debt increase
-        return isCollateralSufficient(_account, _token, 0, _amount, getCollateralLowestDebtRatio4dec());
+        return isCollateralSufficient(_account, _token, 0, _amount, getCollateralLowestDebtRatio4dec(), PRICE_MAX, PRICE_MIN);
+    }
+
+    // isLiquidatable checks if the account collateral to debt ratio dropped
+    // below the lowest allowed ratio on the time-weighted average prices.
+    function isLiquidatable(address _account) public view returns (bool) {
+        return !isCollateralSufficient(_account, address(0x0), 0, 0, getCollateralLowestDebtRatio4dec(), PRICE_TWAP, PRICE_TWAP);
     }
 
     // rewardCanClaim checks if the account can claim accumulated rewards
     // by being on a high enough collateral to debt ratio.
     // Implements abstract function of the <FantomMintRewardManager>.
     function rewardCanClaim(address _account) external view returns (bool) {
-        return isCollateralSufficient(_account, address(0x0), 0, 0, getCollateralLowestDebtRatio4dec());
+        return isCollateralSufficient(_account, address(0x0), 0, 0, getCollateralLowestDebtRatio4dec(), PRICE_SPOT, PRICE_SPOT);
     }
 
     // rewardIsEligible checks if the account is eligible to receive any reward.
     function rewardIsEligible(address _account) external view returns (bool) {
-        return isCollateralSufficient(_account, address(0x0), 0, 0, getRewardEligibilityRatio4dec());
+        return isCollateralSufficient(_account, address(0x0), 0, 0, getRewardEligibilityRatio4dec(), PRICE_SPOT, PRICE_SPOT);
     }
 }
@@ -54,6 +54,10 @@ contract FantomMintCollateral is Initializable, ReentrancyGuard, FantomMintError
     // which can be withdrawn and still be withing the given collateral to debt rate.
     function getMaxToWithdraw(address _account, address _token, uint256 _ratio) public view returns (uint256);
 
+    // pricesAreTrusted (abstract) checks if the oracle prices of the tokens
+    // held by the account and the given token can be trusted.
+    function pricesAreTrusted(address _account, address _token) public view returns (bool);
+
     // getPrice (abstract) returns the price of given ERC20 token using on-chain oracle
     // expression of an exchange rate between the token and base denomination.
     function getPrice(address _token) public view returns (uint256);
@@ -61,37 +65,45 @@ contract FantomMintCollateral is Initializable, ReentrancyGuard, FantomMintError
     // canDeposit (abstract) checks if the given token can be deposited to the collateral pool.
     function canDeposit(address _token) public view returns (bool);
 
+    // depositCapRemaining (abstract) returns the amount of the given token
+    // which can still be deposited before the deposit cap is reached.
+    function depositCapRemaining(address _token) public view returns (uint256);
+
     // rewardUpdate (abstract) notifies the reward distribution to update state
     // of the given account.
     function rewardUpdate(address _account) public;
 
+    // _positionAccount (abstract) returns the account the call acts on;
+    // the tokens are always transferred from, or to, the caller.
+    function _positionAccount() internal view returns (address);
+
+    // _permit (abstract) approves the minter to take given amount of tokens
+    // of the caller by the EIP-2612 permit signature of the caller.
+    function _permit(address _token, uint256 _amount, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) internal;
+
     // -------------------------------------------------------------
     // Collateral management functions below
     // -------------------------------------------------------------
 
     // mustDeposit (wrapper) tries to deposit given amount of tokens
     // and reverts on failure.
-    function mustDeposit(address _token, uint256 _amount) public nonReentrant {
-        // make the attempt
-        uint256 result = _deposit(_token, _amount);
-
-        // check zero amount condition
-        require(result != ERR_ZERO_AMOUNT, "non-zero amount expected");
+    function mustDeposit(address _token, uint256 _amount) public {
+        _checkDeposit(deposit(_token, _amount));
+    }
 
+    // _checkDeposit (internal) reverts with the reason of the given deposit result on failure.
+    function _checkDeposit(uint256 result) internal pure {
         // check deposit prohibited condition
         require(result != ERR_DEPOSIT_PROHIBITED, "deposit of the token prohibited");
 
+        // check deposit cap condition
+        require(result != ERR_CAP_EXCEEDED, "deposit cap exceeded");
+
         // check low balance condition
         require(result != ERR_LOW_BALANCE, "insufficient token balance");
 
-        // check missing allowance condition
-        require(result != ERR_LOW_ALLOWANCE, "insufficient allowance");
-
-        // check no value condition
-        require(result != ERR_NO_VALUE, "token has no value");
-
-        // sanity check for any non-covered condition
-        require(result == ERR_NO_ERROR, "unexpected failure");
+        // check the common conditions
+        _checkResult(result);
     }
 
     // deposit receives assets to build up the collateral value.
@@ -101,6 +113,13 @@ contract FantomMintCollateral is Initializable, ReentrancyGuard, FantomMintError
         return _deposit(_token, _amount);
     }
 
+    // depositWithPermit receives assets to build up the collateral value
+    // approved by the EIP-2612 permit signature instead of a separate approval.
+    function depositWithPermit(address _token, uint256 _amount, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) public returns (uint256) {
+        _permit(_token, _amount, _deadline, _v, _r, _s);
+        return deposit(_token, _amount);
+    }
+
     // _deposit (internal) does the collateral increase job.
     function _deposit(address _token, uint256 _amount) internal returns (uint256)
     {
@@ -114,6 +133,11 @@ contract FantomMintCollateral is Initializable, ReentrancyGuard, FantomMintError
             return ERR_DEPOSIT_PROHIBITED;
         }
 
+        // make sure the deposit fits into the token deposit cap
+        if (_amount > depositCapRemaining(_token)) {
+            return ERR_CAP_EXCEEDED;
+        }
+
         // make sure caller has enough balance to cover the deposit
         if (_amount > ERC20(_token).balanceOf(msg.sender)) {
             return ERR_LOW_BALANCE;
@@ -131,16 +155,17 @@ contract FantomMintCollateral is Initializable, ReentrancyGuard, FantomMintError
         }
 
         // update the reward distribution for the account before the state changes
-        rewardUpdate(msg.sender);
+        address account = _positionAccount();
+        rewardUpdate(account);
 
-        // transfer ERC20 tokens from account to the collateral
+        // transfer ERC20 tokens from the caller to the collateral
         ERC20(_token).safeTransferFrom(msg.sender, address(this), _amount);
 
         // add the collateral to the account
-        getCollateralPool().add(msg.sender, _token, _amount);
+        getCollateralPool().add(account, _token, _amount);
 
         // emit the event signaling a successful deposit
-        emit Deposited(_token, msg.sender, _amount);
+        emit Deposited(_token, account, _amount);
 
         // deposit successful
         return ERR_NO_ERROR;
@@ -148,24 +173,20 @@ contract FantomMintCollateral is Initializable, ReentrancyGuard, FantomMintError
 
     // mustWithdraw (wrapper) tries to subtracts any deposited collateral token from the contract
     // and reverts on failure.
-    function mustWithdraw(address _token, uint256 _amount) public nonReentrant {
-        // make the attempt
-        uint256 result = _withdraw(_token, _amount);
-
-        // check zero amount condition
-        require(result != ERR_ZERO_AMOUNT, "non-zero amount expected");
+    function mustWithdraw(address _token, uint256 _amount) public {
+        _checkWithdraw(withdraw(_token, _amount));
+    }
 
+    // _checkWithdraw (internal) reverts with the reason of the given withdraw result on failure.
+    function _checkWithdraw(uint256 result) internal pure {
         // check low balance condition
         require(result != ERR_LOW_BALANCE, "insufficient collateral balance");
 
-        // check no value condition
-        require(result != ERR_NO_VALUE, "token has no value");
-
         // check low balance condition
         require(result != ERR_LOW_COLLATERAL_RATIO, "insufficient collateral value remains");
 
-        // sanity check for any non-covered condition
-        require(result == ERR_NO_ERROR, "unexpected failure");
+        // check the common conditions
+        _checkResult(result);
     }
 
     // withdraw subtracts any deposited collateral token from the contract.
@@ -183,31 +204,37 @@ contract FantomMintCollateral is Initializable, ReentrancyGuard, FantomMintError
             return ERR_ZERO_AMOUNT;
         }
 
-        // get the collateral pool
+        // get the collateral pool and the account
         IFantomDeFiTokenStorage pool = IFantomDeFiTokenStorage(getCollateralPool());
+        address account = _positionAccount();
 
         // make sure the withdraw does not exceed collateral balance
-        if (_amount > pool.balanceOf(msg.sender, _token)) {
+        if (_amount > pool.balanceOf(account, _token)) {
             return ERR_LOW_BALANCE;
         }
 
+        // make sure the account value is calculated on trusted prices
+        if (!pricesAreTrusted(account, _token)) {
+            return ERR_STALE_PRICE;
+        }
+
         // does the new state obey the enforced minimal collateral to debt ratio?
         // if the check fails, the collateral withdraw is rejected
-        if (!checkCollateralCanDecrease(msg.sender, _token, _amount)) {
+        if (!checkCollateralCanDecrease(account, _token, _amount)) {
             return ERR_LOW_COLLATERAL_RATIO;
         }
 
         // update the reward distribution for the account before state changes
-        rewardUpdate(msg.sender);
+        rewardUpdate(account);
 
         // remove the collateral from account
-        pool.sub(msg.sender, _token, _amount);
+        pool.sub(account, _token, _amount);
 
         // transfer withdrawn ERC20 tokens to the caller
         ERC20(_token).safeTransfer(msg.sender, _amount);
 
         // signal the successful asset withdrawal
-        emit Withdrawn(_token, msg.sender, _amount);
+        emit Withdrawn(_token, account, _amount);
 
         // withdraw successful
         return ERR_NO_ERROR;
@@ -216,24 +243,9 @@ contract FantomMintCollateral is Initializable, ReentrancyGuard, FantomMintError
     // mustWithdrawMax tries to subtracts maximum of deposited collateral token from the contract
     // it can to still satisfy the required collateral ratio. It reverts the transaction
     // if it fails.
-    function mustWithdrawMax(address _token, uint256 _ratio) public nonReentrant {
+    function mustWithdrawMax(address _token, uint256 _ratio) public {
         // try to withdraw max amount of tokens allowed
-        uint256 result = _withdrawMax(_token, _ratio);
-
-        // check zero amount condition
-        require(result != ERR_ZERO_AMOUNT, "non-zero amount expected");
-
-        // check low balance condition
-        require(result != ERR_LOW_BALANCE, "insufficient collateral balance");
-
-        // check no value condition
-        require(result != ERR_NO_VALUE, "token has no value");
-
-        // check low balance condition
-        require(result != ERR_LOW_COLLATERAL_RATIO, "insufficient collateral value remains");
-
-        // sanity check for any non-covered condition
-        require(result == ERR_NO_ERROR, "unexpected failure");
+        _checkWithdraw(withdrawMax(_token, _ratio));
     }
 
     // withdrawMax tries to subtracts maximum of deposited collateral token from the contract
@@ -246,6 +258,6 @@ contract FantomMintCollateral is Initializable, ReentrancyGuard, FantomMintError
     // collateral value calculated for the current price conditions and debt to collateral
     // ratio situation of the account.
     function _withdrawMax(address _token, uint256 _ratio) internal returns (uint256) {
-        return _withdraw(_token, getMaxToWithdraw(msg.sender, _token, _ratio));
+        return _withdraw(_token, getMaxToWithdraw(_positionAccount(), _token, _ratio));
     }
 }
@@ -11,6 +11,8 @@ contract FantomMintConfig is Initializable, Ownable
     // collateral value and debt value allowed for the user.
     // User can not withdraw his collateral if the active ratio would
     // drop below this value.
+    // The collateral value is risk-weighted by per-token collateral factors
+    // set in the token registry before being compared with the debt.
     // The value is returned in 4 decimals, e.g. value 30000 = 3.0
     uint256 public collateralLowestDebtRatio4dec;
 
@@ -103,4 +105,4 @@ contract FantomMintConfig is Initializable, Ownable
         // emit event
         emit MinDebtValueChanged(_minDebtValue);
     }
-}
\ No newline at end of file
+}
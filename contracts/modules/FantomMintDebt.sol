@@ -23,8 +23,8 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
     using SafeERC20 for ERC20;
 
     // feePool keeps information about the fee collected from token created
-    // in minted tokens denomination.
-    // NOTE: No idea what we shall do with the fee pool. Mint and distribute along with rewards maybe?
+    // and the interest accrued on the token debt in minted tokens denomination.
+    // The pool is minted out to the fee recipients on fee withdrawal.
     mapping(address => uint256) public feePool;
 
     // fMintFeeDigitsCorrection represents the value to be used
@@ -46,6 +46,14 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
     // Repaid is emitted on confirmed token repay of user's debt of the token.
     event Repaid(address indexed token, address indexed user, uint256 amount);
 
+    // InterestAccrued is emitted on the interest accrued on the token debt
+    // being added to the fee pool.
+    event InterestAccrued(address indexed token, uint256 amount);
+
+    // FeeWithdrawn is emitted on the fee pool of the token minted out
+    // to the treasury and the fee vault.
+    event FeeWithdrawn(address indexed token, address indexed treasury, uint256 treasuryAmount, address indexed vault, uint256 vaultAmount);
+
     // -------------------------------------------------------------
     // Abstract function required for the collateral manager
     // -------------------------------------------------------------
@@ -58,6 +66,9 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
     // getDebtPool (abstract) returns the address of debt pool.
     function getDebtPool() public view returns (IFantomDeFiTokenStorage);
 
+    // getCollateralPool (abstract) returns the address of collateral pool.
+    function getCollateralPool() public view returns (IFantomDeFiTokenStorage);
+
     // getMinDebtValue is a minimum allowed debt value
     function getMinDebtValue() public view returns (uint256);
 
@@ -77,40 +88,128 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
     // canMint checks if the given token can be minted in the fMint protocol.
     function canMint(address _token) public view returns (bool);
 
+    // mintCapRemaining (abstract) returns the amount of the given token
+    // which can still be minted before the mint cap is reached.
+    function mintCapRemaining(address _token) public view returns (uint256);
+
     // getMaxToMint (abstract) calculates the maximum amount of given token
     // which will satisfy the given collateral to debt ratio, if added.
     function getMaxToMint(address _account, address _token, uint256 _ratio) public view returns (uint256);
 
+    // getFeeRecipients (abstract) returns the recipients of the collected fees
+    // and the share of the fees sent to the treasury in 4 decimals.
+    function getFeeRecipients() public view returns (address, address, uint256);
+
+    // _feeClaimed (abstract) adds the given amount to the fee withdrawn
+    // from the fee pool of the token.
+    function _feeClaimed(address _token, uint256 _amount) internal;
+
+    // pricesAreTrusted (abstract) checks if the oracle prices of the tokens
+    // held by the account and the given token can be trusted.
+    function pricesAreTrusted(address _account, address _token) public view returns (bool);
+
+    // isOwner (abstract) checks if the caller is the owner of the minter.
+    function isOwner() public view returns (bool);
+
+    // _positionAccount (abstract) returns the account the call acts on;
+    // the tokens are always transferred from, or to, the caller.
+    function _positionAccount() internal view returns (address);
+
+    // _permit (abstract) approves the minter to take given amount of tokens
+    // of the caller by the EIP-2612 permit signature of the caller.
+    function _permit(address _token, uint256 _amount, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) internal;
+
+    // -------------------------------------------------------------
+    // Debt interest accrual
+    // -------------------------------------------------------------
+
+    // accrueInterest updates the debt accrual index of the given token
+    // and adds the interest accrued since the previous update to the fee pool.
+    // NOTE: We don't restrict the call source since the accrual doesn't depend
+    // on the caller; it's also done on each mint and repay of the token.
+    function accrueInterest(address _token) public {
+        // pull the interest accrued on the debt pool
+        uint256 interest = getDebtPool().accrue(_token);
+
+        // update the fee pool
+        if (0 < interest) {
+            feePool[_token] = feePool[_token].add(interest);
+            emit InterestAccrued(_token, interest);
+        }
+    }
+
+    // -------------------------------------------------------------
+    // Fee pool withdrawal
+    // -------------------------------------------------------------
+
+    // withdrawFee mints the fee pool of the given token to the fee recipients;
+    // the treasury receives its configured share and the rest goes
+    // to the fUSD savings vault. All of the fee goes to the treasury if no vault is set.
+    function withdrawFee(address _token) public nonReentrant {
+        // only the owner (governance) can withdraw the fee
+        require(isOwner(), "fee withdrawal restricted");
+
+        // include the interest accrued so far
+        accrueInterest(_token);
+
+        // get the recipients
+        (address treasury, address vault, uint256 treasuryShare4dec) = getFeeRecipients();
+        require(treasury != address(0x0), "fee treasury not set");
+
+        // make sure there is something to withdraw
+        uint256 amount = feePool[_token];
+        require(0 < amount, "no fee to withdraw");
+
+        // split the fee between the treasury and the vault
+        uint256 treasuryAmount = amount;
+        if (vault != address(0x0)) {
+            treasuryAmount = amount.mul(treasuryShare4dec).div(fMintFeeDigitsCorrection);
+        }
+        uint256 vaultAmount = amount.sub(treasuryAmount);
+
+        // update the fee pool state
+        feePool[_token] = 0;
+        _feeClaimed(_token, amount);
+
+        // mint the fee to the recipients
+        // @NOTE: the fMint contract must have the minter privilege on the ERC20 token!
+        if (0 < treasuryAmount) {
+            ERC20Mintable(_token).mint(treasury, treasuryAmount);
+        }
+        if (0 < vaultAmount) {
+            ERC20Mintable(_token).mint(vault, vaultAmount);
+        }
+
+        // emit the notification event
+        emit FeeWithdrawn(_token, treasury, treasuryAmount, vault, vaultAmount);
+    }
+
     // -------------------------------------------------------------
     // Debt management functions below, the actual minter work
     // -------------------------------------------------------------
 
     // mustMint (wrapper) tries to mint specified amount of tokens
     // and reverts on failure.
-    function mustMint(address _token, uint256 _amount) public nonReentrant {
-        // make the attempt
-        uint256 result = _mint(_token, _amount);
-
-        // check zero amount condition
-        require(result != ERR_ZERO_AMOUNT, "non-zero amount expected");
+    function mustMint(address _token, uint256 _amount) public {
+        _checkMint(mint(_token, _amount));
+    }
 
+    // _checkMint (internal) reverts with the reason of the given mint result on failure.
+    function _checkMint(uint256 result) internal pure {
         // check low amount condition (fee to amount check)
         require(result != ERR_LOW_AMOUNT, "amount too low");
 
         // check minting now enabled for the token condition
         require(result != ERR_MINTING_PROHIBITED, "minting of the token prohibited");
 
-        // check no value condition
-        require(result != ERR_NO_VALUE, "token has no value");
+        // check mint cap condition
+        require(result != ERR_CAP_EXCEEDED, "mint cap exceeded");
 
         // check low collateral ratio condition
         require(result != ERR_LOW_COLLATERAL_RATIO, "insufficient collateral value");
 
-        // require that the resulting debt value isn't a dust amount
-        require(result != ERR_DUST_DEBT, "dust debt value");
-
-        // sanity check for any non-covered condition
-        require(result == ERR_NO_ERROR, "unexpected failure");
+        // check the common conditions
+        _checkResult(result);
     }
 
     // mint allows user to create a specified token against already established
@@ -128,18 +227,30 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
             return ERR_ZERO_AMOUNT;
         }
 
-        // make sure the requested token can be minted
-        if (!canMint(_token)) {
+        // make sure the requested token can be minted and the circuit
+        // breaker is not tripped on any collateral of the account
+        address account = _positionAccount();
+        if (!canMint(_token) || getCollateralPool().isCircuitBrokenOf(account)) {
             return ERR_MINTING_PROHIBITED;
         }
 
+        // make sure the minted amount fits into the token mint cap
+        if (_amount > mintCapRemaining(_token)) {
+            return ERR_CAP_EXCEEDED;
+        }
+
         // what is the value of the borrowed token?
         if (0 == getPrice(_token)) {
             return ERR_NO_VALUE;
         }
 
+        // make sure the account value is calculated on trusted prices
+        if (!pricesAreTrusted(account, _token)) {
+            return ERR_STALE_PRICE;
+        }
+
         // make sure the debt can be increased on the account
-        if (!checkDebtCanIncrease(msg.sender, _token, _amount)) {
+        if (!checkDebtCanIncrease(account, _token, _amount)) {
             return ERR_LOW_COLLATERAL_RATIO;
         }
 
@@ -154,16 +265,19 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
 
         // ensure that the resulting debt value isn't a dust amount
         IFantomDeFiTokenStorage debtPool = getDebtPool();
-        uint256 resultingDebtValue = debtPool.totalOfInc(msg.sender, _token, _amount);
+        uint256 resultingDebtValue = debtPool.totalOfInc(account, _token, _amount);
         if (resultingDebtValue < getMinDebtValue()) {
             return ERR_DUST_DEBT;
         }
 
+        // update the debt interest accrual before the state changes
+        accrueInterest(_token);
+
         // update the reward distribution for the account before the state changes
-        rewardUpdate(msg.sender);
+        rewardUpdate(account);
 
         // add the requested amount to the debt
-        debtPool.add(msg.sender, _token, _amount);
+        debtPool.add(account, _token, _amount);
 
         // update the fee pool
         feePool[_token] = feePool[_token].add(fee);
@@ -173,7 +287,7 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
         ERC20Mintable(_token).mint(msg.sender, _amount.sub(fee));
 
         // emit the minter notification event
-        emit Minted(_token, msg.sender, _amount, fee);
+        emit Minted(_token, account, _amount, fee);
 
         // success
         return ERR_NO_ERROR;
@@ -181,30 +295,9 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
 
     // mustMintMax tries to increase the debt by maxim allowed amount to stoll satisfy
     // the required debt to collateral ratio. It reverts the transaction if the fails.
-    function mustMintMax(address _token, uint256 _ratio) public nonReentrant {
-        // try to withdraw max amount of tokens allowed
-        uint256 result = _mintMax(_token, _ratio);
-
-        // check zero amount condition
-        require(result != ERR_ZERO_AMOUNT, "non-zero amount expected");
-
-        // check low amount condition (fee to amount check)
-        require(result != ERR_LOW_AMOUNT, "amount too low");
-
-        // check minting now enabled for the token condition
-        require(result != ERR_MINTING_PROHIBITED, "minting of the token prohibited");
-
-        // check no value condition
-        require(result != ERR_NO_VALUE, "token has no value");
-
-        // check low collateral ratio condition
-        require(result != ERR_LOW_COLLATERAL_RATIO, "insufficient collateral value");
-
-        // require that the resulting debt value isn't a dust amount
-        require(result != ERR_DUST_DEBT, "dust debt value");
-
-        // sanity check for any non-covered condition
-        require(result == ERR_NO_ERROR, "unexpected failure");
+    function mustMintMax(address _token, uint256 _ratio) public {
+        // try to mint max amount of tokens allowed
+        _checkMint(mintMax(_token, _ratio));
     }
 
     // mintMax tries to increase the debt by maxim allowed amount to stoll satisfy
@@ -214,31 +307,24 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
     }
 
     // _mintMax (internal) does the actual minting of tokens. It tries to mint as much
-    // as possible and still obey the given collateral to debt ratio.
+    // as possible and still obey the given collateral to debt ratio and the mint cap.
     function _mintMax(address _token, uint256 _ratio) internal returns (uint256) {
-        return _mint(_token, getMaxToMint(msg.sender, _token, _ratio));
+        return _mint(_token, Math.min(getMaxToMint(_positionAccount(), _token, _ratio), mintCapRemaining(_token)));
     }
 
     // mustRepay (wrapper) tries to lower the debt on account by given amount
     // and reverts on failure.
-    function mustRepay(address _token, uint256 _amount) public nonReentrant {
-        // make the attempt
-        uint256 result = _repay(_token, _amount);
-
-        // check zero amount condition
-        require(result != ERR_ZERO_AMOUNT, "non-zero amount expected");
+    function mustRepay(address _token, uint256 _amount) public {
+        _checkRepay(repay(_token, _amount));
+    }
 
+    // _checkRepay (internal) reverts with the reason of the given repay result on failure.
+    function _checkRepay(uint256 result) internal pure {
         // check low balance condition
         require(result != ERR_LOW_BALANCE, "insufficient debt outstanding");
 
-        // check low allowance condition
-        require(result != ERR_LOW_ALLOWANCE, "insufficient allowance");
-
-        // require that the resulting debt value isn't a dust amount
-        require(result != ERR_DUST_DEBT, "dust debt value");
-
-        // sanity check for any non-covered condition
-        require(result == ERR_NO_ERROR, "unexpected failure");
+        // check the common conditions
+        _checkResult(result);
     }
 
     // repay allows user to return some of the debt of the specified token
@@ -248,6 +334,13 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
         return _repay(_token, _amount);
     }
 
+    // repayWithPermit allows user to return some of the debt of the specified token
+    // approved by the EIP-2612 permit signature instead of a separate approval.
+    function repayWithPermit(address _token, uint256 _amount, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) public returns (uint256) {
+        _permit(_token, _amount, _deadline, _v, _r, _s);
+        return repay(_token, _amount);
+    }
+
     // _repay (internal) does the token burning action.
     function _repay(address _token, uint256 _amount) internal returns (uint256)
     {
@@ -256,11 +349,12 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
             return ERR_ZERO_AMOUNT;
         }
 
-        // get the pool address
+        // get the pool address and the account
         IFantomDeFiTokenStorage pool = getDebtPool();
+        address account = _positionAccount();
 
         // make sure there is enough debt on the token specified (if any at all)
-        if (_amount > pool.balanceOf(msg.sender, _token)) {
+        if (_amount > pool.balanceOf(account, _token)) {
             return ERR_LOW_BALANCE;
         }
 
@@ -271,7 +365,7 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
         }
 
         // ensure that the resulting debt value isn't a dust amount
-        uint256 resultingDebtValue = pool.totalOfDec(msg.sender, _token, _amount);
+        uint256 resultingDebtValue = pool.totalOfDec(account, _token, _amount);
         if (resultingDebtValue != 0 && resultingDebtValue < getMinDebtValue()) {
             return ERR_DUST_DEBT;
         }
@@ -279,14 +373,17 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
         // burn the tokens returned by the user first
         ERC20Burnable(_token).burnFrom(msg.sender, _amount);
 
+        // update the debt interest accrual before the state changes
+        accrueInterest(_token);
+
         // update the reward distribution for the account before the state changes
-        rewardUpdate(msg.sender);
+        rewardUpdate(account);
 
         // clear the repaid amount from the account debt balance
-        pool.sub(msg.sender, _token, _amount);
+        pool.sub(account, _token, _amount);
 
         // emit the repay notification
-        emit Repaid(_token, msg.sender, _amount);
+        emit Repaid(_token, account, _amount);
 
         // success
         return ERR_NO_ERROR;
@@ -294,24 +391,9 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
 
     // mustRepayMax allows user to return as much of the debt of the specified token
     // as possible. If the transaction fails, it reverts.
-    function mustRepayMax(address _token) public nonReentrant {
+    function mustRepayMax(address _token) public {
         // try to repay
-        uint256 result = _repayMax(_token);
-
-        // check zero amount condition
-        require(result != ERR_ZERO_AMOUNT, "non-zero amount expected");
-
-        // check low balance condition
-        require(result != ERR_LOW_BALANCE, "insufficient debt outstanding");
-
-        // check low allowance condition
-        require(result != ERR_LOW_ALLOWANCE, "insufficient allowance");
-
-        // require that the resulting debt value isn't a dust amount
-        require(result != ERR_DUST_DEBT, "dust debt value");
-
-        // sanity check for any non-covered condition
-        require(result == ERR_NO_ERROR, "unexpected failure");
+        _checkRepay(repayMax(_token));
     }
 
     // repayMax allows user to return as much of the debt of the specified token
@@ -327,7 +409,7 @@ contract FantomMintDebt is Initializable, ReentrancyGuard, FantomMintErrorCodes
     function _repayMax(address _token) internal returns (uint256)
     {
         // get the debt size, available tokens
-        uint256 poolBalance = getDebtPool().balanceOf(msg.sender, _token);
+        uint256 poolBalance = getDebtPool().balanceOf(_positionAccount(), _token);
         uint256 ercBalance = ERC20(_token).balanceOf(msg.sender);
 
         // success
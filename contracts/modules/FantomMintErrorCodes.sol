@@ -58,4 +58,33 @@ contract FantomMintErrorCodes {
 
 	// Error Code: Debt must be either 0 or above the threshold.
 	uint256 public constant ERR_DUST_DEBT = 0x100c;
+
+	// Error Code: Deposit or mint cap of the token would be exceeded.
+	uint256 public constant ERR_CAP_EXCEEDED = 0x100d;
+
+	// Error Code: Token price is stale or deviates too much to be trusted.
+	uint256 public constant ERR_STALE_PRICE = 0x100e;
+
+	// _checkResult (internal) reverts with the reason of the given result
+	// of a position operation on failure. The operation specific conditions
+	// are expected to be checked by the caller before.
+	function _checkResult(uint256 result) internal pure {
+		// check zero amount condition
+		require(result != ERR_ZERO_AMOUNT, "non-zero amount expected");
+
+		// check missing allowance condition
+		require(result != ERR_LOW_ALLOWANCE, "insufficient allowance");
+
+		// check no value condition
+		require(result != ERR_NO_VALUE, "token has no value");
+
+		// check stale price condition
+		require(result != ERR_STALE_PRICE, "price not trusted");
+
+		// require that the resulting debt value isn't a dust amount
+		require(result != ERR_DUST_DEBT, "dust debt value");
+
+		// sanity check for any non-covered condition
+		require(result == ERR_NO_ERROR, "unexpected failure");
+	}
 }
@@ -0,0 +1,19 @@
+pragma solidity ^0.5.0;
+
+/**
+ * FantomMintPriceModes defines set of price modes
+ * used to value collateral and debt balances.
+ */
+contract FantomMintPriceModes {
+	// Price Mode: The current oracle price.
+	uint8 public constant PRICE_SPOT = 0;
+
+	// Price Mode: The time-weighted average price, spot price if not available.
+	uint8 public constant PRICE_TWAP = 1;
+
+	// Price Mode: The lower of the spot price and the time-weighted average price.
+	uint8 public constant PRICE_MIN = 2;
+
+	// Price Mode: The higher of the spot price and the time-weighted average price.
+	uint8 public constant PRICE_MAX = 3;
+}
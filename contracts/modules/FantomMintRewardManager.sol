@@ -83,9 +83,12 @@ contract FantomMintRewardManager is FantomMintErrorCodes, IFantomMintRewardManag
     // mustRewardClaim (wrapper function) tries to claim the reward.
     // It reverts the transaction on failure.
     function mustRewardClaim() public {
-        // try to claim
-        uint256 result = rewardClaim();
+        _checkClaim(rewardClaim());
+    }
 
+    // _checkClaim (internal) reverts the transaction if the result
+    // of a reward claim is a failure.
+    function _checkClaim(uint256 result) internal pure {
         // no reward condition
         require(result != ERR_NO_REWARD, "no rewards earned");
 
@@ -98,8 +101,19 @@ contract FantomMintRewardManager is FantomMintErrorCodes, IFantomMintRewardManag
 
     // rewardClaim transfers earned rewards to the caller account address
     function rewardClaim() public returns (uint256) {
+        return _rewardClaim(msg.sender);
+    }
+
+    // _rewardClaim (internal) transfers earned rewards to the given account address.
+    function _rewardClaim(address _account) internal returns (uint256) {
+        return _rewardClaimTo(_account, _account);
+    }
+
+    // _rewardClaimTo (internal) transfers earned rewards of the given account
+    // to the given recipient address.
+    function _rewardClaimTo(address _account, address _recipient) internal returns (uint256) {
         // update the reward distribution for the account
-        rewardUpdate(msg.sender);
+        rewardUpdate(_account);
 
         // @NOTE: Pulling earned rewards from the rewardEarned() invokes system-wide
         // collateral balance calculation again (through rewardPerToken) burning gas;
@@ -107,7 +121,7 @@ contract FantomMintRewardManager is FantomMintErrorCodes, IFantomMintRewardManag
         // the rewardUpdate() call above.
 
         // are there any at all?
-        if (0 == rewardStash[msg.sender]) {
+        if (0 == rewardStash[_account]) {
             return ERR_NO_REWARD;
         }
 
@@ -116,21 +130,21 @@ contract FantomMintRewardManager is FantomMintErrorCodes, IFantomMintRewardManag
         // be calculated from an excessive amount of collateral compared to debt
         // including certain ratio (e.g. debt value * 300% < collateral value)
         // @see rewardEarned() call above
-        if (!rewardCanClaim(msg.sender)) {
+        if (!rewardCanClaim(_account)) {
             return ERR_REWARD_CLAIM_REJECTED;
         }
 
         // how many reward tokens were earned by the account?
-        uint256 reward = rewardStash[msg.sender];
+        uint256 reward = rewardStash[_account];
 
         // reset accumulated rewards on the account
-        rewardStash[msg.sender] = 0;
+        rewardStash[_account] = 0;
 
-        // transfer earned reward tokens to the caller
-        rewardTokenAddress().safeTransfer(msg.sender, reward);
+        // transfer earned reward tokens to the recipient
+        rewardTokenAddress().safeTransfer(_recipient, reward);
 
         // notify about the action
-        emit RewardPaid(msg.sender, reward);
+        emit RewardPaid(_account, reward);
 
         // claim successful
         return ERR_NO_ERROR;
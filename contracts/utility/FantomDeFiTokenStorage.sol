@@ -1,5 +1,6 @@
 pragma solidity ^0.5.0;
 
+import "@openzeppelin/contracts-ethereum-package/contracts/math/Math.sol";
 import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
 import "@openzeppelin/contracts-ethereum-package/contracts/utils/Address.sol";
 import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20.sol";
@@ -11,10 +12,13 @@ import "../interfaces/IFantomDeFiTokenStorage.sol";
 import "../interfaces/IPriceOracleProxy.sol";
 import "../interfaces/IFantomMintAddressProvider.sol";
 import "../interfaces/IFantomMintTokenRegistry.sol";
+import "../interfaces/IFantomMintRateModel.sol";
+import "../interfaces/IFantomMintTwapOracle.sol";
+import "../modules/FantomMintPriceModes.sol";
 
 // FantomDeFiTokenStorage implements a token pool used by the Fantom
 // DeFi fMint protocol to track collateral and debt.
-contract FantomDeFiTokenStorage is Initializable, IFantomDeFiTokenStorage
+contract FantomDeFiTokenStorage is Initializable, FantomMintPriceModes, IFantomDeFiTokenStorage
 {
     // define used libs
     using SafeMath for uint256;
@@ -46,6 +50,13 @@ contract FantomDeFiTokenStorage is Initializable, IFantomDeFiTokenStorage
         _;
     }
 
+    // onlyMintRouter modifier controls access to sensitive functions
+    // to allow only calls from fMint Router contract.
+    modifier onlyMintRouter() {
+        require(msg.sender == addressProvider.getMintRouter(), "token storage access restricted");
+        _;
+    }
+
     // initialize initializes the instance of the module.
     function initialize(address _addressProvider, bool _dustAdt) public initializer {
         // keep the address provider connecting contracts together
@@ -60,21 +71,63 @@ contract FantomDeFiTokenStorage is Initializable, IFantomDeFiTokenStorage
     // -------------------------------------------------------------
 
     // balance tracks user => token => token amount relationship
+    // NOTE: The amount is scaled down by the token accrual index, use balanceOf()
+    // to get the actual balance.
     mapping(address => mapping(address => uint256)) public balance;
 
     // totalBalance keeps track of the total token balances inside the storage
+    // scaled down by the token accrual index, see totalBalanceOf()
     // mapping: token => token amount
     mapping(address => uint256) public totalBalance;
 
     // tokens represents the list of all tokens registered with the storage.
     address[] public tokens;
 
+    // -------------------------------------------------------------
+    // Interest accrual state variables
+    // -------------------------------------------------------------
+
+    // accrualIndexBase represents the initial value of the accrual index
+    // and the precision the index is kept in.
+    uint256 public constant accrualIndexBase = 1e18;
+
+    // accrualIndex keeps the latest stored accrual index of each token.
+    // Balances of the storage are kept scaled down by the index so they grow
+    // along with it. Zero value means the index has never been updated
+    // and the base value applies.
+    // mapping: token => accrual index
+    mapping(address => uint256) public accrualIndex;
+
+    // accrualUpdated keeps the time stamp of the latest accrual index update.
+    // Tokens with zero time stamp do not accrue any interest; the accrual
+    // is enabled on the first accrue() call made for the token.
+    // mapping: token => time stamp
+    mapping(address => uint256) public accrualUpdated;
+
+    // accruedInterest keeps the amount of interest accrued on each token
+    // since the last accrue() call.
+    // mapping: token => token amount
+    mapping(address => uint256) public accruedInterest;
+
+    // collateralFactorDecimalsCorrection represents the value to be used
+    // to adjust result decimals after applying a collateral factor to a value.
+    uint256 public constant collateralFactorDecimalsCorrection = 10000;
+
+    // InterestAccrued is emitted on the accrual index update of a token.
+    event InterestAccrued(address indexed token, uint256 index, uint256 interest);
+
     // -------------------------------------------------------------
     // Value related calculations
     // -------------------------------------------------------------
 
     // tokenValue returns the value of the given amount of the token specified.
     function tokenValue(address _token, uint256 _amount) public view returns (uint256 value) {
+        return tokenValueAt(_token, _amount, PRICE_SPOT);
+    }
+
+    // tokenValueAt returns the value of the given amount of the token specified
+    // using the token price of the given price mode.
+    function tokenValueAt(address _token, uint256 _amount, uint8 _priceMode) public view returns (uint256 value) {
         // do not calculate anything on zero amount
         if (_amount == 0) {
             return 0;
@@ -82,7 +135,7 @@ contract FantomDeFiTokenStorage is Initializable, IFantomDeFiTokenStorage
 
         // get the token price and price digits correction
         // NOTE: We may want to cache price decimals to save some gas on subsequent calls.
-        uint256 price = addressProvider.getPriceOracleProxy().getPrice(_token);
+        uint256 price = priceOf(_token, _priceMode);
         uint256 priceDigitsCorrection = 10 ** uint256(addressProvider.getTokenRegistry().priceDecimals(_token));
 
         // calculate the value and adjust for the dust
@@ -101,54 +154,100 @@ contract FantomDeFiTokenStorage is Initializable, IFantomDeFiTokenStorage
         // loop all registered debt tokens
         for (uint i = 0; i < tokens.length; i++) {
             // advance the total value by the current debt balance token value
-            value = value.add(tokenValue(tokens[i], totalBalance[tokens[i]]));
+            value = value.add(tokenValue(tokens[i], totalBalanceOf(tokens[i])));
         }
 
         // keep the value
         return value;
     }
 
+    // weightedTokenValue returns the value of the given amount of the token specified
+    // reduced by the collateral factor of the token.
+    function weightedTokenValue(address _token, uint256 _amount) public view returns (uint256) {
+        return _valueOf(_token, _amount, true, PRICE_SPOT);
+    }
+
+    // _weightedTokenValueAt returns the value of the given amount of the token
+    // reduced by the collateral factor of the token using the given price mode.
+    function _weightedTokenValueAt(address _token, uint256 _amount, uint8 _priceMode) internal view returns (uint256) {
+        return tokenValueAt(_token, _amount, _priceMode)
+        .mul(addressProvider.getTokenRegistry().collateralFactor4dec(_token))
+        .div(collateralFactorDecimalsCorrection);
+    }
+
     // totalOf returns the value of current balance of specified account.
     function totalOf(address _account) public view returns (uint256) {
-        return _totalOf(_account, address(0x0), 0, 0);
+        return _totalOf(_account, address(0x0), 0, 0, false, PRICE_SPOT);
     }
 
     // totalOfInc returns the value of current balance of an account
     // with specified token balance increased by given amount of tokens.
     function totalOfInc(address _account, address _token, uint256 _amount) external view returns (uint256 value) {
         // calculate the total with token balance adjusted up
-        return _totalOf(_account, _token, _amount, 0);
+        return _totalOf(_account, _token, _amount, 0, false, PRICE_SPOT);
     }
 
     // totalOfDec returns the value of current balance of an account
     // with specified token balance decreased by given amount of tokens.
     function totalOfDec(address _account, address _token, uint256 _amount) external view returns (uint256 value) {
         // calculate the total with token balance adjusted down
-        return _totalOf(_account, _token, 0, _amount);
+        return _totalOf(_account, _token, 0, _amount, false, PRICE_SPOT);
+    }
+
+    // weightedTotalOf returns the value of current balance of specified account
+    // with each token value reduced by the token collateral factor.
+    function weightedTotalOf(address _account) public view returns (uint256) {
+        return _totalOf(_account, address(0x0), 0, 0, true, PRICE_SPOT);
+    }
+
+    // weightedTotalOfDec returns the value of current balance of an account
+    // with specified token balance decreased by given amount of tokens
+    // and each token value reduced by the token collateral factor.
+    function weightedTotalOfDec(address _account, address _token, uint256 _amount) external view returns (uint256 value) {
+        // calculate the weighted total with token balance adjusted down
+        return _totalOf(_account, _token, 0, _amount, true, PRICE_SPOT);
+    }
+
+    // totalOfAt returns the value of current balance of an account with specified
+    // token balance adjusted up, or down, by given amounts of tokens using the token
+    // prices of the given price mode; each token value is reduced by the token
+    // collateral factor, if weighted value is requested.
+    function totalOfAt(address _account, address _token, uint256 _add, uint256 _sub, bool _weighted, uint8 _priceMode) external view returns (uint256) {
+        return _totalOf(_account, _token, _add, _sub, _weighted, _priceMode);
     }
 
-    // balanceOf returns the balance of the given token on the given account.
+    // balanceOf returns the balance of the given token on the given account
+    // including the interest accrued on the balance so far.
     function balanceOf(address _account, address _token) public view returns (uint256) {
-        return balance[_account][_token];
+        return _toAmount(balance[_account][_token], accrualIndexOf(_token));
+    }
+
+    // totalBalanceOf returns the total balance of the given token inside the storage
+    // including the interest accrued so far.
+    function totalBalanceOf(address _token) public view returns (uint256) {
+        return _toAmount(totalBalance[_token], accrualIndexOf(_token));
     }
 
     // _totalOf calculates the value of given account with specified token balance adjusted
-    // either up, or down, based on given extra values
-    function _totalOf(address _account, address _token, uint256 _add, uint256 _sub) internal view returns (uint256 value) {
+    // either up, or down, based on given extra values; the value of each token
+    // is reduced by its collateral factor, if weighted value is requested
+    function _totalOf(address _account, address _token, uint256 _add, uint256 _sub, bool _weighted, uint8 _priceMode) internal view returns (uint256 value) {
         // loop all registered debt tokens
         for (uint i = 0; i < tokens.length; i++) {
             // advance the result by the value of current token balance of this token.
             // Make sure to stay on safe size with the _sub deduction, we don't
             // want to drop balance to sub-zero amount, that would freak out the SafeMath.
             if (_token == tokens[i]) {
-                uint256 adjustedBalance = balance[_account][tokens[i]].add(_add).sub(_sub, "token sub exceeds balance");
+                uint256 adjustedBalance = balanceOf(_account, tokens[i]).add(_add).sub(_sub, "token sub exceeds balance");
 
                 // add adjusted token balance converted to value
                 // NOTE: this may revert on underflow if the _sub value exceeds balance,
                 // but it should never happen on normal protocol operations.
-                value = value.add(tokenValue(
+                value = value.add(_valueOf(
                         tokens[i],
-                        adjustedBalance
+                        adjustedBalance,
+                        _weighted,
+                        _priceMode
                     ));
 
                 // we consumed the adjustment and can reset it
@@ -156,23 +255,62 @@ contract FantomDeFiTokenStorage is Initializable, IFantomDeFiTokenStorage
                 _sub = 0;
             } else {
                 // simply add the token balance converted to value as-is
-                    value = value.add(tokenValue(tokens[i], balance[_account][tokens[i]]));
+                    value = value.add(_valueOf(tokens[i], balanceOf(_account, tokens[i]), _weighted, _priceMode));
             }
         }
 
         // apply increase adjustment if it still remains
         if (_add != 0) {
-            value = value.add(tokenValue(_token, _add));
+            value = value.add(_valueOf(_token, _add, _weighted, _priceMode));
         }
 
         // apply subtraction adjustment if it still remains
         if (_sub != 0) {
-            value = value.sub(tokenValue(_token, _sub));
+            value = value.sub(_valueOf(_token, _sub, _weighted, _priceMode));
         }
 
         return value;
     }
 
+    // priceOf returns the price of the token of the given price mode; the time-weighted
+    // average price falls back to the spot price if no average is available.
+    function priceOf(address _token, uint8 _priceMode) public view returns (uint256) {
+        // get the spot price
+        uint256 spot = addressProvider.getTokenPriceOracle(_token).getPrice(_token);
+        if (PRICE_SPOT == _priceMode) {
+            return spot;
+        }
+
+        // get the average price, if available
+        IFantomMintTwapOracle twapOracle = addressProvider.getTwapOracle();
+        if (address(0x0) == address(twapOracle)) {
+            return spot;
+        }
+
+        uint256 twap = twapOracle.consult(_token);
+        if (0 == twap) {
+            return spot;
+        }
+
+        // pick the price by mode
+        if (PRICE_MIN == _priceMode) {
+            return Math.min(spot, twap);
+        }
+        if (PRICE_MAX == _priceMode) {
+            return Math.max(spot, twap);
+        }
+        return twap;
+    }
+
+    // _valueOf calculates the value of the given amount of the token using the given
+    // price mode either as-is, or reduced by the token collateral factor.
+    function _valueOf(address _token, uint256 _amount, bool _weighted, uint8 _priceMode) internal view returns (uint256) {
+        if (_weighted) {
+            return _weightedTokenValueAt(_token, _amount, _priceMode);
+        }
+        return tokenValueAt(_token, _amount, _priceMode);
+    }
+
     // -------------------------------------------------------------
     // Debt state update functions
     // -------------------------------------------------------------
@@ -180,30 +318,183 @@ contract FantomDeFiTokenStorage is Initializable, IFantomDeFiTokenStorage
     // add adds specified amount of tokens to given account
     // and updates the total supply references.
     function add(address _account, address _token, uint256 _amount) public onlyMinterOrLiquidationManager {
+        // update the accrual index so the change applies to the current one
+        _accrue(_token);
+
+        // scale the amount down by the index; round up so the storage
+        // never records less than the amount added
+        uint256 index = accrualIndexOf(_token);
+        uint256 scaled = _amount.mul(accrualIndexBase).add(index).sub(1).div(index);
+
         // update the token balance of the account
-        balance[_account][_token] = balance[_account][_token].add(_amount);
+        balance[_account][_token] = balance[_account][_token].add(scaled);
 
         // update the total token balance
-        totalBalance[_token] = totalBalance[_token].add(_amount);
+        totalBalance[_token] = totalBalance[_token].add(scaled);
 
         // make sure the token is registered
         _enroll(_token);
+
+        // keep the fallback price of the token recent
+        _recordPrice(_token);
     }
 
     // sub removes specified amount of tokens from given account
     // and updates the total balance references.
     function sub(address _account, address _token, uint256 _amount) public onlyMinterOrLiquidationManager {
+        // update the accrual index so the change applies to the current one
+        _accrue(_token);
+
+        // make sure we don't remove more than the account has
+        uint256 current = balanceOf(_account, _token);
+        require(_amount <= current, "token sub exceeds balance");
+
+        // scale the amount down by the index; clear the whole balance
+        // if the full amount is removed so no rounding dust remains
+        uint256 scaled = balance[_account][_token];
+        if (_amount < current) {
+            scaled = _amount.mul(accrualIndexBase).div(accrualIndexOf(_token));
+        }
+
         // update the balance of the account
-        balance[_account][_token] = balance[_account][_token].sub(_amount);
+        balance[_account][_token] = balance[_account][_token].sub(scaled);
 
         // update the total
-        totalBalance[_token] = totalBalance[_token].sub(_amount);
+        totalBalance[_token] = totalBalance[_token].sub(scaled);
+
+        // keep the fallback price of the token recent
+        _recordPrice(_token);
     }
 
+    // transferAll moves all the token balances of an account to another account.
+    // The balances are moved scaled down as-is, so the accrued interest moves
+    // along with them and the total balances do not change.
+    function transferAll(address _from, address _to) public onlyMintRouter {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            uint256 scaled = balance[_from][tokens[i]];
+            if (0 < scaled) {
+                balance[_from][tokens[i]] = 0;
+                balance[_to][tokens[i]] = balance[_to][tokens[i]].add(scaled);
+            }
+        }
+    }
+
+    // -------------------------------------------------------------
+    // Interest accrual functions
+    // -------------------------------------------------------------
+
+    // accrue updates the accrual index of the given token and returns
+    // the amount of interest accrued on the token since the previous call.
+    // The first call made for a token enables the interest accrual on it.
+    function accrue(address _token) public onlyMinter returns (uint256 interest) {
+        // enable the accrual on the first call; there is no interest yet
+        if (0 == accrualUpdated[_token]) {
+            accrualUpdated[_token] = now;
+            return 0;
+        }
+
+        // update the index
+        _accrue(_token);
+
+        // pull the accrued interest and reset it
+        interest = accruedInterest[_token];
+        accruedInterest[_token] = 0;
+
+        return interest;
+    }
+
+    // accrualIndexOf returns the current accrual index of the given token
+    // including the interest accrued since the latest stored update.
+    function accrualIndexOf(address _token) public view returns (uint256 index) {
+        // get the stored index
+        index = accrualIndex[_token];
+        if (0 == index) {
+            index = accrualIndexBase;
+        }
+
+        // is the accrual enabled and is there anything to add?
+        uint256 updated = accrualUpdated[_token];
+        if (0 == updated || updated >= now) {
+            return index;
+        }
+
+        // no rate model means no interest
+        IFantomMintRateModel rateModel = addressProvider.getRateModel();
+        if (address(0x0) == address(rateModel)) {
+            return index;
+        }
+
+        // get the rate for the total balance as of the latest update
+        uint256 rate = rateModel.borrowRatePerSecond(_token, _toAmount(totalBalance[_token], index));
+
+        // advance the index by the rate over the time elapsed
+        return index.add(index.mul(rate).mul(now.sub(updated)).div(accrualIndexBase));
+    }
+
+    // _accrue (internal) stores the current accrual index of the given token
+    // and records the interest accrued since the latest stored update.
+    function _accrue(address _token) internal {
+        // is the accrual enabled and is the index out of date?
+        uint256 updated = accrualUpdated[_token];
+        if (0 == updated || updated >= now) {
+            return;
+        }
+
+        // get the stored index and the current one
+        uint256 stored = accrualIndex[_token];
+        if (0 == stored) {
+            stored = accrualIndexBase;
+        }
+        uint256 index = accrualIndexOf(_token);
+
+        // the interest is the growth of the total balance between the two
+        uint256 interest = _toAmount(totalBalance[_token], index).sub(_toAmount(totalBalance[_token], stored));
+        accruedInterest[_token] = accruedInterest[_token].add(interest);
+
+        // store the new index
+        accrualIndex[_token] = index;
+        accrualUpdated[_token] = now;
+
+        // notify about the update
+        emit InterestAccrued(_token, index, interest);
+    }
+
+    // _toAmount (internal) converts the scaled balance to the token amount
+    // using the given accrual index.
+    function _toAmount(uint256 _scaled, uint256 _index) internal pure returns (uint256) {
+        return _scaled.mul(_index).div(accrualIndexBase);
+    }
     // -------------------------------------------------------------
     // Utility functions
     // -------------------------------------------------------------
 
+    // isCircuitBrokenOf checks if the circuit breaker of the oracle chain
+    // is tripped on any of the tokens held by the given account.
+    function isCircuitBrokenOf(address _account) public view returns (bool) {
+        IFantomMintOracleChain chain = addressProvider.getOracleChain();
+        if (address(0x0) == address(chain)) {
+            return false;
+        }
+
+        // loop all the tokens with a non-zero balance on the account
+        for (uint i = 0; i < tokens.length; i++) {
+            if (0 < balanceOf(_account, tokens[i]) && chain.isCircuitBroken(tokens[i])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // _recordPrice (internal) records the agreed price of the token
+    // on the oracle chain, if the chain is set, so the chain keeps
+    // a recent fallback price of the tokens in use.
+    function _recordPrice(address _token) internal {
+        IFantomMintOracleChain chain = addressProvider.getOracleChain();
+        if (address(0x0) != address(chain)) {
+            chain.update(_token);
+        }
+    }
+
     // enroll ensures the specified token is in the list
     // of tokens registered with the storage.
     function _enroll(address _token) internal {
@@ -5,6 +5,7 @@ import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20Deta
 import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20Mintable.sol";
 import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20Burnable.sol";
 import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20Pausable.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/cryptography/ECDSA.sol";
 
 /**
  * @dev Extension of {ERC20} that allows token holders to destroy both their own
@@ -13,6 +14,22 @@ import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20Paus
  */
 contract FantomFUSD is Initializable, ERC20, ERC20Detailed, ERC20Mintable, ERC20Burnable, ERC20Pausable {
 
+    /**
+     * @dev The EIP-712 typehash of the permit message.
+     */
+    bytes32 public constant PERMIT_TYPEHASH = keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    /**
+     * @dev The EIP-712 domain separator of the permit signatures.
+     * It's set once by {initializePermit} for the chain the token lives on.
+     */
+    bytes32 public DOMAIN_SEPARATOR;
+
+    /**
+     * @dev The current permit nonce of each token owner.
+     */
+    mapping(address => uint256) public nonces;
+
     /**
      * @dev Sets the values for `name`, `symbol`, and `decimals`. All three of
      * these values are immutable: they can only be set once during
@@ -26,4 +43,45 @@ contract FantomFUSD is Initializable, ERC20, ERC20Detailed, ERC20Mintable, ERC20
         ERC20Mintable.initialize(owner);
         ERC20Pausable.initialize(owner);
     }
+
+    /**
+     * @dev Sets the EIP-712 domain separator of the permit signatures
+     * for the given chain id. It can only be set once, by a minter.
+     */
+    function initializePermit(uint256 chainId) public onlyMinter {
+        require(DOMAIN_SEPARATOR == bytes32(0), "permit already initialized");
+
+        DOMAIN_SEPARATOR = keccak256(abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                keccak256(bytes(name())),
+                keccak256(bytes("1")),
+                chainId,
+                address(this)
+            ));
+    }
+
+    /**
+     * @dev Sets `value` as the allowance of `spender` over `owner`'s tokens,
+     * given `owner`'s signed approval, see EIP-2612.
+     *
+     * Requirements:
+     *
+     * - the permit must be initialized and the token must not be paused.
+     * - `deadline` must be a timestamp in the future.
+     * - the signature must be a valid secp256k1 signature from `owner`
+     * over the EIP-712 formatted permit using the current nonce of `owner`.
+     */
+    function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external whenNotPaused {
+        require(DOMAIN_SEPARATOR != bytes32(0), "permit not initialized");
+        require(deadline >= now, "permit expired");
+
+        bytes32 digest = keccak256(abi.encodePacked(
+                "\x19\x01",
+                DOMAIN_SEPARATOR,
+                keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, nonces[owner]++, deadline))
+            ));
+        require(ECDSA.recover(digest, abi.encodePacked(r, s, v)) == owner, "invalid permit signature");
+
+        _approve(owner, spender, value);
+    }
 }
@@ -0,0 +1,221 @@
+pragma solidity ^0.5.0;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/ownership/Ownable.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/SafeERC20.sol";
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+
+// FantomFUSDSavings implements the fUSD savings vault of the fMint protocol
+// as specified by FIP-001. Stakers deposit fUSD and receive shares of the vault;
+// the stakers share of the protocol fees and the debt interest is minted
+// into the vault on the fee pool withdrawal, which raises the value of each share.
+//
+// NOTE: Fees received by the vault are unlocked linearly over the unlock period
+// so they can not be captured by a deposit made right before a fee withdrawal.
+contract FantomFUSDSavings is Initializable, Ownable, ReentrancyGuard
+{
+    // define used libs
+    using SafeMath for uint256;
+    using SafeERC20 for ERC20;
+
+    // ---------------------------------------------------------------------
+    // State variables
+    // ---------------------------------------------------------------------
+
+    // fUSD represents the token staked in the vault.
+    ERC20 public fUSD;
+
+    // totalShares represents the total amount of the vault shares issued.
+    uint256 public totalShares;
+
+    // shares keeps the amount of the vault shares owned by each staker.
+    mapping(address => uint256) public shares;
+
+    // unlockPeriod represents the time the received fees are unlocked over.
+    uint256 public unlockPeriod;
+
+    // knownBalance represents the fUSD balance of the vault known on the latest sync;
+    // any balance above this value is a newly received fee.
+    uint256 public knownBalance;
+
+    // lockedFee represents the amount of fees still locked on the latest sync.
+    uint256 public lockedFee;
+
+    // lastSync represents the time stamp of the latest sync.
+    uint256 public lastSync;
+
+    // ---------------------------------------------------------------------
+    // Events emitted
+    // ---------------------------------------------------------------------
+
+    // Deposited is emitted on fUSD staked in the vault.
+    event Deposited(address indexed account, uint256 amount, uint256 shares);
+
+    // Withdrawn is emitted on fUSD withdrawn from the vault.
+    event Withdrawn(address indexed account, uint256 amount, uint256 shares);
+
+    // FeeReceived is emitted on new fees detected on the vault balance.
+    event FeeReceived(uint256 amount);
+
+    // UnlockPeriodChanged is emitted on change of the fee unlock period.
+    event UnlockPeriodChanged(uint256 period);
+
+    // ---------------------------------------------------------------------
+    // Instance management and utility functions
+    // ---------------------------------------------------------------------
+
+    // initialize initializes the contract properly before the first use.
+    function initialize(address owner, address _fUSD) public initializer {
+        // remember the staked token
+        fUSD = ERC20(_fUSD);
+
+        // fees are unlocked over a week by default
+        unlockPeriod = 7 days;
+        lastSync = now;
+
+        // init the Ownable and ReentrancyGuard
+        Ownable.initialize(owner);
+        ReentrancyGuard.initialize();
+    }
+
+    // setUnlockPeriod modifies the time the received fees are unlocked over.
+    function setUnlockPeriod(uint256 _period) external onlyOwner {
+        // apply the old period to the fees received so far
+        _sync();
+
+        // update the value
+        unlockPeriod = _period;
+
+        // emit event
+        emit UnlockPeriodChanged(_period);
+    }
+
+    // ---------------------------------------------------------------------
+    // Vault value calculation
+    // ---------------------------------------------------------------------
+
+    // totalAssets returns the amount of fUSD owned by the stakers,
+    // e.g. the staked amount and the fees unlocked so far.
+    function totalAssets() public view returns (uint256) {
+        return fUSD.balanceOf(address(this)).sub(lockedFeeNow());
+    }
+
+    // lockedFeeNow returns the amount of the received fees not unlocked yet.
+    // New fees not detected by a sync yet are considered locked.
+    function lockedFeeNow() public view returns (uint256) {
+        // calculate the fee received since the latest sync
+        uint256 balance = fUSD.balanceOf(address(this));
+        uint256 received = balance > knownBalance ? balance.sub(knownBalance) : 0;
+
+        // nothing left locked from the previous syncs?
+        uint256 elapsed = now.sub(lastSync);
+        if (elapsed >= unlockPeriod) {
+            return received;
+        }
+
+        return lockedFee.mul(unlockPeriod.sub(elapsed)).div(unlockPeriod).add(received);
+    }
+
+    // assetsOf returns the amount of fUSD owned by the given staker.
+    function assetsOf(address _account) external view returns (uint256) {
+        return previewWithdraw(shares[_account]);
+    }
+
+    // previewDeposit returns the amount of shares issued for the given amount of fUSD.
+    function previewDeposit(uint256 _amount) public view returns (uint256) {
+        // the first deposit sets the share price
+        uint256 assets = totalAssets();
+        if (0 == totalShares || 0 == assets) {
+            return _amount;
+        }
+
+        return _amount.mul(totalShares).div(assets);
+    }
+
+    // previewWithdraw returns the amount of fUSD paid out for the given amount of shares.
+    function previewWithdraw(uint256 _shares) public view returns (uint256) {
+        if (0 == totalShares) {
+            return 0;
+        }
+
+        return _shares.mul(totalAssets()).div(totalShares);
+    }
+
+    // ---------------------------------------------------------------------
+    // Staking functions
+    // ---------------------------------------------------------------------
+
+    // deposit stakes the given amount of fUSD in the vault
+    // and issues corresponding shares to the staker.
+    // NOTE: Allowance for the vault is required to be high enough.
+    function deposit(uint256 _amount) external nonReentrant returns (uint256) {
+        // pick up the fees received so far
+        _sync();
+
+        // calculate the shares issued
+        uint256 issued = previewDeposit(_amount);
+        require(0 < issued, "deposit too small");
+
+        // transfer the tokens
+        fUSD.safeTransferFrom(msg.sender, address(this), _amount);
+        knownBalance = knownBalance.add(_amount);
+
+        // issue the shares
+        shares[msg.sender] = shares[msg.sender].add(issued);
+        totalShares = totalShares.add(issued);
+
+        // emit the notification
+        emit Deposited(msg.sender, _amount, issued);
+        return issued;
+    }
+
+    // withdraw burns the given amount of the staker's shares
+    // and pays out the corresponding amount of fUSD.
+    function withdraw(uint256 _shares) external nonReentrant returns (uint256) {
+        // make sure the staker owns the shares
+        require(0 < _shares, "zero shares");
+        require(_shares <= shares[msg.sender], "shares exceed balance");
+
+        // pick up the fees received so far
+        _sync();
+
+        // calculate the amount paid out
+        uint256 amount = previewWithdraw(_shares);
+
+        // burn the shares
+        shares[msg.sender] = shares[msg.sender].sub(_shares);
+        totalShares = totalShares.sub(_shares);
+
+        // transfer the tokens
+        knownBalance = knownBalance.sub(amount);
+        fUSD.safeTransfer(msg.sender, amount);
+
+        // emit the notification
+        emit Withdrawn(msg.sender, amount, _shares);
+        return amount;
+    }
+
+    // sync picks up fees received by the vault and starts unlocking them.
+    // NOTE: We don't restrict the call source since it doesn't matter who makes
+    // the call, it's also done on each deposit and withdrawal.
+    function sync() external {
+        _sync();
+    }
+
+    // _sync (internal) adds newly received fees to the locked fees
+    // and restarts the unlock period.
+    function _sync() internal {
+        // any new fee received?
+        uint256 balance = fUSD.balanceOf(address(this));
+        if (balance > knownBalance) {
+            emit FeeReceived(balance.sub(knownBalance));
+        }
+
+        // update the state
+        lockedFee = lockedFeeNow();
+        knownBalance = balance;
+        lastSync = now;
+    }
+}
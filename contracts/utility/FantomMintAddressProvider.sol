@@ -9,6 +9,7 @@ import "../interfaces/IFantomDeFiTokenStorage.sol";
 import "../interfaces/IFantomMintTokenRegistry.sol";
 import "../interfaces/IFantomMintRewardManager.sol";
 import "../interfaces/IPriceOracleProxy.sol";
+import "../interfaces/IFantomMintRateModel.sol";
 import "../interfaces/IERC20Detailed.sol";
 import "../interfaces/IFantomMintAddressProvider.sol";
 
@@ -36,6 +37,15 @@ contract FantomMintAddressProvider is Initializable, Ownable, IFantomMintAddress
     bytes32 private constant MOD_REWARD_DISTRIBUTION = "reward_distribution";
     bytes32 private constant MOD_TOKEN_REGISTRY = "token_registry";
     bytes32 private constant MOD_ERC20_REWARD_TOKEN = "erc20_reward_token";
+    bytes32 private constant MOD_RATE_MODEL = "rate_model";
+    bytes32 private constant MOD_SAVINGS_VAULT = "savings_vault";
+    bytes32 private constant MOD_PRICE_GUARD = "price_guard";
+    bytes32 private constant MOD_TWAP_ORACLE = "twap_oracle";
+    bytes32 private constant MOD_ORACLE_CHAIN = "oracle_chain";
+    bytes32 private constant MOD_MINT_ROUTER = "mint_router";
+    bytes32 private constant MOD_WRAPPED_FTM = "wrapped_ftm";
+    bytes32 private constant MOD_FLASH_MINTER = "flash_minter";
+    bytes32 private constant MOD_SWAP_ADAPTER = "swap_adapter";
 
     // -----------------------------------------
     // Address storage state and events
@@ -78,6 +88,42 @@ contract FantomMintAddressProvider is Initializable, Ownable, IFantomMintAddress
     // a new Debt Pool address is set.
     event DebtPoolChanged(address newAddress);
 
+    // RateModelChanged even is emitted when
+    // a new interest Rate Model address is set.
+    event RateModelChanged(address newAddress);
+
+    // SavingsVaultChanged event is emitted when
+    // a new fUSD Savings Vault address is set.
+    event SavingsVaultChanged(address newAddress);
+
+    // PriceGuardChanged event is emitted when
+    // a new Price Guard address is set.
+    event PriceGuardChanged(address newAddress);
+
+    // TwapOracleChanged event is emitted when
+    // a new TWAP Oracle address is set.
+    event TwapOracleChanged(address newAddress);
+
+    // OracleChainChanged event is emitted when
+    // a new Oracle Chain address is set.
+    event OracleChainChanged(address newAddress);
+
+    // MintRouterChanged event is emitted when
+    // a new Mint Router address is set.
+    event MintRouterChanged(address newAddress);
+
+    // WrappedFtmChanged event is emitted when
+    // a new Wrapped FTM token address is set.
+    event WrappedFtmChanged(address newAddress);
+
+    // FlashMinterChanged event is emitted when
+    // a new Flash Minter address is set.
+    event FlashMinterChanged(address newAddress);
+
+    // SwapAdapterChanged event is emitted when
+    // a new Swap Adapter address is set.
+    event SwapAdapterChanged(address newAddress);
+
     // initialize initializes the instance of the module.
     function initialize(address owner) public initializer {
         Ownable.initialize(owner);
@@ -135,6 +181,19 @@ contract FantomMintAddressProvider is Initializable, Ownable, IFantomMintAddress
         emit PriceOracleChanged(_addr);
     }
 
+    /**
+     * getTokenPriceOracle returns the price oracle of the given token;
+     * the oracle registered for the token in the token registry is used if set,
+     * the global price oracle aggregate otherwise.
+     */
+    function getTokenPriceOracle(address _token) public view returns (IPriceOracleProxy) {
+        address oracle = getTokenRegistry().priceOracle(_token);
+        if (address(0x0) == oracle) {
+            return getPriceOracleProxy();
+        }
+        return IPriceOracleProxy(oracle);
+    }
+
     /**
      * getTokenRegistry returns the address of the token registry contract.
      */
@@ -262,4 +321,171 @@ contract FantomMintAddressProvider is Initializable, Ownable, IFantomMintAddress
         // inform listeners and seekers about the change
         emit DebtPoolChanged(_addr);
     }
+
+    /**
+     * getRateModel returns the address of the interest rate model contract.
+     */
+    function getRateModel() public view returns (IFantomMintRateModel) {
+        return IFantomMintRateModel(getAddress(MOD_RATE_MODEL));
+    }
+
+    /**
+     * setRateModel modifies the address of the interest rate model contract.
+     */
+    function setRateModel(address _addr) public onlyOwner {
+        // make the change
+        setAddress(MOD_RATE_MODEL, _addr);
+
+        // inform listeners and seekers about the change
+        emit RateModelChanged(_addr);
+    }
+
+    /**
+     * getSavingsVault returns the address of the fUSD savings vault contract.
+     */
+    function getSavingsVault() public view returns (address) {
+        return getAddress(MOD_SAVINGS_VAULT);
+    }
+
+    /**
+     * setSavingsVault modifies the address of the fUSD savings vault contract.
+     */
+    function setSavingsVault(address _addr) public onlyOwner {
+        // make the change
+        setAddress(MOD_SAVINGS_VAULT, _addr);
+
+        // inform listeners and seekers about the change
+        emit SavingsVaultChanged(_addr);
+    }
+
+    /**
+     * getPriceGuard returns the address of the oracle price guard contract.
+     */
+    function getPriceGuard() public view returns (IFantomMintPriceGuard) {
+        return IFantomMintPriceGuard(getAddress(MOD_PRICE_GUARD));
+    }
+
+    /**
+     * setPriceGuard modifies the address of the oracle price guard contract.
+     */
+    function setPriceGuard(address _addr) public onlyOwner {
+        // make the change
+        setAddress(MOD_PRICE_GUARD, _addr);
+
+        // inform listeners and seekers about the change
+        emit PriceGuardChanged(_addr);
+    }
+
+    /**
+     * getTwapOracle returns the address of the time-weighted average price oracle.
+     */
+    function getTwapOracle() public view returns (IFantomMintTwapOracle) {
+        return IFantomMintTwapOracle(getAddress(MOD_TWAP_ORACLE));
+    }
+
+    /**
+     * setTwapOracle modifies the address of the time-weighted average price oracle.
+     */
+    function setTwapOracle(address _addr) public onlyOwner {
+        // make the change
+        setAddress(MOD_TWAP_ORACLE, _addr);
+
+        // inform listeners and seekers about the change
+        emit TwapOracleChanged(_addr);
+    }
+
+    /**
+     * getOracleChain returns the address of the fallback price oracle chain
+     * providing the minting circuit breaker.
+     */
+    function getOracleChain() public view returns (IFantomMintOracleChain) {
+        return IFantomMintOracleChain(getAddress(MOD_ORACLE_CHAIN));
+    }
+
+    /**
+     * setOracleChain modifies the address of the fallback price oracle chain.
+     */
+    function setOracleChain(address _addr) public onlyOwner {
+        // make the change
+        setAddress(MOD_ORACLE_CHAIN, _addr);
+
+        // inform listeners and seekers about the change
+        emit OracleChainChanged(_addr);
+    }
+
+    /**
+     * getMintRouter returns the address of the mint router
+     * acting on behalf of its callers on the minter.
+     */
+    function getMintRouter() public view returns (address) {
+        return getAddress(MOD_MINT_ROUTER);
+    }
+
+    /**
+     * setMintRouter modifies the address of the mint router.
+     */
+    function setMintRouter(address _addr) public onlyOwner {
+        // make the change
+        setAddress(MOD_MINT_ROUTER, _addr);
+
+        // inform listeners and seekers about the change
+        emit MintRouterChanged(_addr);
+    }
+
+    /**
+     * getWrappedFtm returns the address of the wrapped native FTM token (wFTM)
+     * used to deposit and withdraw native FTM collateral.
+     */
+    function getWrappedFtm() public view returns (address) {
+        return getAddress(MOD_WRAPPED_FTM);
+    }
+
+    /**
+     * setWrappedFtm modifies the address of the wrapped native FTM token.
+     */
+    function setWrappedFtm(address _addr) public onlyOwner {
+        // make the change
+        setAddress(MOD_WRAPPED_FTM, _addr);
+
+        // inform listeners and seekers about the change
+        emit WrappedFtmChanged(_addr);
+    }
+
+    /**
+     * getFlashMinter returns the address of the flash minter
+     * lending freshly minted tokens within a single transaction.
+     */
+    function getFlashMinter() public view returns (address) {
+        return getAddress(MOD_FLASH_MINTER);
+    }
+
+    /**
+     * setFlashMinter modifies the address of the flash minter.
+     */
+    function setFlashMinter(address _addr) public onlyOwner {
+        // make the change
+        setAddress(MOD_FLASH_MINTER, _addr);
+
+        // inform listeners and seekers about the change
+        emit FlashMinterChanged(_addr);
+    }
+
+    /**
+     * getSwapAdapter returns the address of the swap adapter
+     * used to convert between the collateral and the debt tokens.
+     */
+    function getSwapAdapter() public view returns (address) {
+        return getAddress(MOD_SWAP_ADAPTER);
+    }
+
+    /**
+     * setSwapAdapter modifies the address of the swap adapter.
+     */
+    function setSwapAdapter(address _addr) public onlyOwner {
+        // make the change
+        setAddress(MOD_SWAP_ADAPTER, _addr);
+
+        // inform listeners and seekers about the change
+        emit SwapAdapterChanged(_addr);
+    }
 }
@@ -0,0 +1,137 @@
+pragma solidity ^0.5.0;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/ownership/Ownable.sol";
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+
+import "../interfaces/IAggregatorV3.sol";
+import "../interfaces/IFantomMintAddressProvider.sol";
+import "../interfaces/IPriceOracleProxy.sol";
+
+// FantomMintChainlinkOracle implements the price oracle proxy of the fMint
+// protocol over ChainLink compatible AggregatorV3 price feeds. Prices are
+// normalized from the feed decimals to the price decimals configured
+// for the token in the token registry.
+//
+// NOTE: Incomplete and stale rounds are rejected with zero price, the same
+// way as any other missing price of the oracle proxy interface; the minter
+// refuses to value a token without price and the oracle chain falls back
+// to its next source.
+contract FantomMintChainlinkOracle is Initializable, Ownable, IPriceOracleProxy
+{
+    // define used libs
+    using SafeMath for uint256;
+
+    // addressProvider represents the connection to other FMint related
+    // contracts.
+    IFantomMintAddressProvider public addressProvider;
+
+    // aggregators keeps the price feed of each token.
+    mapping(address => IAggregatorV3) public aggregators;
+
+    // AggregatorChanged is emitted on change of the price feed of a token.
+    event AggregatorChanged(address indexed token, address aggregator, uint256 timestamp);
+
+    // initialize initializes the contract properly before the first use.
+    function initialize(address owner, address _addressProvider) public initializer {
+        // remember the address provider for the other protocol contracts connection
+        addressProvider = IFantomMintAddressProvider(_addressProvider);
+
+        // init the Ownable
+        Ownable.initialize(owner);
+    }
+
+    // setAggregator changes the price feed of the given token.
+    function setAggregator(address _token, address _aggregator) external onlyOwner {
+        // update the value
+        aggregators[_token] = IAggregatorV3(_aggregator);
+
+        // emit event
+        emit AggregatorChanged(_token, _aggregator, now);
+    }
+
+    // -------------------------------------------------------------
+    // Price oracle proxy interface
+    // -------------------------------------------------------------
+
+    // getPrice returns the latest price of the given token
+    // in the token price decimals.
+    function getPrice(address _token) external view returns (uint256) {
+        (uint80 roundId, int256 answer, , uint256 updatedAt, uint80 answeredInRound) = _aggregator(_token).latestRoundData();
+
+        // reject incomplete and stale rounds
+        if (0 >= answer || 0 == updatedAt || answeredInRound < roundId) {
+            return 0;
+        }
+
+        return _normalize(_token, uint256(answer));
+    }
+
+    // getTimeStamp returns the time stamp of the latest price update of the token.
+    function getTimeStamp(address _token) external view returns (uint256) {
+        (, , , uint256 updatedAt,) = _aggregator(_token).latestRoundData();
+        return updatedAt;
+    }
+
+    // getPreviousPrice returns the price of the token the given number of rounds back
+    // in the token price decimals; zero is returned if the round is not available.
+    function getPreviousPrice(address _token, uint256 _back) external view returns (int256) {
+        (int256 answer,) = _previousRound(_token, _back);
+        if (0 >= answer) {
+            return 0;
+        }
+
+        return int256(_normalize(_token, uint256(answer)));
+    }
+
+    // getPreviousTimeStamp returns the time stamp of the price update
+    // of the token the given number of rounds back.
+    function getPreviousTimeStamp(address _token, uint256 _back) external view returns (uint256) {
+        (, uint256 updatedAt) = _previousRound(_token, _back);
+        return updatedAt;
+    }
+
+    // -------------------------------------------------------------
+    // Internal helpers
+    // -------------------------------------------------------------
+
+    // _aggregator returns the price feed of the token and makes sure it exists.
+    function _aggregator(address _token) internal view returns (IAggregatorV3) {
+        require(address(0x0) != address(aggregators[_token]), "aggregator not set");
+        return aggregators[_token];
+    }
+
+    // _previousRound returns the answer and the update time stamp
+    // of the round the given number of rounds before the latest one.
+    // NOTE: Round IDs of a feed proxy start over on each phase of the underlying
+    // aggregator, so the round may not exist and the feed reverts on it.
+    // Such a round is reported as not available instead of reverting the call.
+    function _previousRound(address _token, uint256 _back) internal view returns (int256, uint256) {
+        IAggregatorV3 aggregator = _aggregator(_token);
+        (uint80 latest, , , ,) = aggregator.latestRoundData();
+        if (_back >= latest) {
+            return (0, 0);
+        }
+
+        (bool success, bytes memory data) = address(aggregator).staticcall(
+            abi.encodeWithSelector(aggregator.getRoundData.selector, uint80(uint256(latest).sub(_back)))
+        );
+        if (!success) {
+            return (0, 0);
+        }
+
+        (, int256 answer, , uint256 updatedAt,) = abi.decode(data, (uint80, int256, uint256, uint256, uint80));
+        return (answer, updatedAt);
+    }
+
+    // _normalize converts the feed answer to the price decimals of the token.
+    function _normalize(address _token, uint256 _answer) internal view returns (uint256) {
+        uint8 feedDecimals = aggregators[_token].decimals();
+        uint8 priceDecimals = addressProvider.getTokenRegistry().priceDecimals(_token);
+
+        if (feedDecimals > priceDecimals) {
+            return _answer.div(10 ** uint256(feedDecimals - priceDecimals));
+        }
+        return _answer.mul(10 ** uint256(priceDecimals - feedDecimals));
+    }
+}
@@ -0,0 +1,129 @@
+pragma solidity ^0.5.0;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/ownership/Ownable.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20Mintable.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20Burnable.sol";
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+
+import "../interfaces/IFantomMintAddressProvider.sol";
+import "../interfaces/IERC3156FlashLender.sol";
+import "../interfaces/IERC3156FlashBorrower.sol";
+import "../FantomMint.sol";
+
+// FantomMintFlashMinter implements ERC-3156 flash loans of the tokens minted
+// by the fMint protocol, e.g. fUSD. The tokens are minted without any collateral
+// and must be returned together with the flash fee within the same transaction;
+// the returned tokens are burned and the fee is credited to the fee pool
+// of the minter, so it's distributed with the rest of the minting fees.
+//
+// NOTE: The flash minter must have the minter privilege on each token
+// it lends and it must be registered in the address provider
+// for the minter to accept the fee.
+contract FantomMintFlashMinter is Initializable, Ownable, ReentrancyGuard, IERC3156FlashLender
+{
+    // define used libs
+    using SafeMath for uint256;
+
+    // flashFeeDigitsCorrection represents the value to be used
+    // to adjust result decimals after applying fee to a value calculation.
+    uint256 public constant flashFeeDigitsCorrection = 10000;
+
+    // CALLBACK_SUCCESS represents the value the borrower callback
+    // must return on success as defined by the ERC-3156.
+    bytes32 public constant CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+
+    // addressProvider represents the connection to other fMint contracts.
+    IFantomMintAddressProvider public addressProvider;
+
+    // flashFee4dec represents the fee charged on the flash minted tokens.
+    // The value is kept in 4 decimals; 9 = 0.0009 = 0.09%
+    uint256 public flashFee4dec;
+
+    // maxFlashMint represents the max amount of tokens minted in a single flash loan.
+    uint256 public maxFlashMint;
+
+    // FlashMinted is emitted on a flash loan of the token being returned with the fee.
+    event FlashMinted(address indexed receiver, address indexed token, uint256 amount, uint256 fee);
+
+    // FlashMintConfigChanged is emitted on the flash mint configuration change.
+    event FlashMintConfigChanged(uint256 fee4dec, uint256 maxAmount);
+
+    // initialize initializes the contract properly before the first use.
+    function initialize(address owner, address _addressProvider) public initializer {
+        // remember the address provider connecting the minter
+        addressProvider = IFantomMintAddressProvider(_addressProvider);
+
+        // initialize default values
+        flashFee4dec = 9;
+        maxFlashMint = 10000000 * 1e18;
+
+        // init the underlying party
+        Ownable.initialize(owner);
+        ReentrancyGuard.initialize();
+    }
+
+    // getFantomMint returns the fMint minter contract.
+    function getFantomMint() public view returns (FantomMint) {
+        return FantomMint(address(addressProvider.getFantomMint()));
+    }
+
+    // cfgSetFlashMint updates the flash fee and the max amount of tokens
+    // minted in a single flash loan.
+    function cfgSetFlashMint(uint256 _fee4dec, uint256 _maxAmount) external onlyOwner {
+        // the fee can not consume the whole loan
+        require(_fee4dec < flashFeeDigitsCorrection, "invalid flash fee");
+
+        // update the config
+        flashFee4dec = _fee4dec;
+        maxFlashMint = _maxAmount;
+
+        // emit notification
+        emit FlashMintConfigChanged(_fee4dec, _maxAmount);
+    }
+
+    // -------------------------------------------------------------
+    // ERC-3156 flash lender
+    // -------------------------------------------------------------
+
+    // maxFlashLoan returns the max amount of the token available for a flash loan;
+    // tokens which can not be minted by the minter are not available.
+    function maxFlashLoan(address _token) public view returns (uint256) {
+        if (!getFantomMint().canMint(_token)) {
+            return 0;
+        }
+        return maxFlashMint;
+    }
+
+    // flashFee returns the fee charged on a flash loan of the given amount of the token.
+    function flashFee(address _token, uint256 _amount) public view returns (uint256) {
+        require(getFantomMint().canMint(_token), "flash mint of the token prohibited");
+        return _amount.mul(flashFee4dec).div(flashFeeDigitsCorrection);
+    }
+
+    // flashLoan mints the given amount of the token to the receiver and calls
+    // the receiver back. The receiver must allow the flash minter to take
+    // the amount and the fee back before the callback returns.
+    function flashLoan(IERC3156FlashBorrower _receiver, address _token, uint256 _amount, bytes calldata _data) external nonReentrant returns (bool) {
+        // make sure the loan is available
+        require(0 < _amount, "non-zero amount expected");
+        require(_amount <= maxFlashLoan(_token), "flash mint limit exceeded");
+        uint256 fee = flashFee(_token, _amount);
+
+        // mint the loan to the receiver and let it do the job
+        ERC20Mintable(_token).mint(address(_receiver), _amount);
+        require(_receiver.onFlashLoan(msg.sender, _token, _amount, fee, _data) == CALLBACK_SUCCESS, "flash mint callback failed");
+
+        // burn the loan with the fee and credit the fee to the fee pool
+        ERC20Burnable(_token).burnFrom(address(_receiver), _amount.add(fee));
+        if (0 < fee) {
+            getFantomMint().creditFlashFee(_token, fee);
+        }
+
+        // emit notification
+        emit FlashMinted(address(_receiver), _token, _amount, fee);
+        return true;
+    }
+}
@@ -0,0 +1,232 @@
+pragma solidity ^0.5.0;
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+
+import "../interfaces/IFantomMintAddressProvider.sol";
+import "../interfaces/IFantomDeFiTokenStorage.sol";
+import "../modules/FantomMintPriceModes.sol";
+import "../FantomMint.sol";
+
+// FantomMintLens implements read only views of the fMint protocol
+// collecting the position of an account in a single call, so clients
+// don't need to query the minter and both pools token by token.
+//
+// NOTE: The lens does not hold any state besides the address provider
+// and can be replaced at any time without affecting the protocol.
+contract FantomMintLens is Initializable, FantomMintPriceModes
+{
+    // define used libs
+    using SafeMath for uint256;
+
+    // ratioDecimalsCorrection represents the value to be used
+    // to adjust result decimals after applying a ratio to a value calculation.
+    uint256 public constant ratioDecimalsCorrection = 10000;
+
+    // addressProvider represents the connection to other fMint contracts.
+    IFantomMintAddressProvider public addressProvider;
+
+    // CollateralPosition represents the state of a single collateral token
+    // of an account position.
+    struct CollateralPosition {
+        address token;
+        uint256 balance;
+        uint256 value;
+        uint256 weightedValue;
+        uint256 liquidationPrice;
+        uint256 maxWithdrawable;
+    }
+
+    // DebtPosition represents the state of a single debt token
+    // of an account position.
+    struct DebtPosition {
+        address token;
+        uint256 balance;
+        uint256 value;
+        uint256 maxMintable;
+    }
+
+    // Position represents the whole position of an account.
+    // The ratio and the health factor are kept in 4 decimals; the position
+    // is healthy while the health factor stays at, or above, 10000 = 1.0
+    struct Position {
+        CollateralPosition[] collateral;
+        DebtPosition[] debt;
+        uint256 collateralValue;
+        uint256 weightedCollateralValue;
+        uint256 debtValue;
+        uint256 ratio4dec;
+        uint256 healthFactor4dec;
+        bool isLiquidatable;
+    }
+
+    // initialize initializes the contract properly before the first use.
+    function initialize(address _addressProvider) public initializer {
+        addressProvider = IFantomMintAddressProvider(_addressProvider);
+    }
+
+    // getFantomMint returns the fMint minter contract.
+    function getFantomMint() public view returns (FantomMint) {
+        return FantomMint(address(addressProvider.getFantomMint()));
+    }
+
+    // -------------------------------------------------------------
+    // Position views
+    // -------------------------------------------------------------
+
+    // getPosition returns the whole position of the given account
+    // including all the tokens known to the collateral and the debt pool.
+    function getPosition(address _account) external view returns (Position memory position) {
+        FantomMint fMint = getFantomMint();
+
+        // get the summary values
+        position.collateralValue = fMint.collateralValueOf(_account, address(0x0), 0);
+        position.weightedCollateralValue = fMint.weightedCollateralValueOf(_account, address(0x0), 0);
+        position.debtValue = fMint.debtValueOf(_account, address(0x0), 0);
+        (position.ratio4dec, position.healthFactor4dec) = getHealth(_account);
+        position.isLiquidatable = fMint.isLiquidatable(_account);
+
+        // get the tokens detail
+        position.collateral = getCollateralPositions(_account);
+        position.debt = getDebtPositions(_account);
+        return position;
+    }
+
+    // getHealth returns the current ratio between the risk-weighted collateral value
+    // and the debt value of the account and the health factor of the account,
+    // e.g. the ratio relative to the lowest allowed ratio; both in 4 decimals.
+    // Accounts without debt return max uint256 values.
+    function getHealth(address _account) public view returns (uint256 ratio4dec, uint256 healthFactor4dec) {
+        FantomMint fMint = getFantomMint();
+
+        // no debt means no risk
+        uint256 debtValue = fMint.debtValueOf(_account, address(0x0), 0);
+        if (0 == debtValue) {
+            return (uint256(-1), uint256(-1));
+        }
+
+        ratio4dec = fMint.weightedCollateralValueOf(_account, address(0x0), 0)
+        .mul(ratioDecimalsCorrection)
+        .div(debtValue);
+        healthFactor4dec = ratio4dec
+        .mul(ratioDecimalsCorrection)
+        .div(fMint.getCollateralLowestDebtRatio4dec());
+        return (ratio4dec, healthFactor4dec);
+    }
+
+    // getCollateralPositions returns the state of each token known to the collateral pool
+    // on the given account; the max withdrawable amount respects the lowest allowed ratio.
+    function getCollateralPositions(address _account) public view returns (CollateralPosition[] memory list) {
+        FantomMint fMint = getFantomMint();
+        IFantomDeFiTokenStorage pool = fMint.getCollateralPool();
+        uint256 ratio = fMint.getCollateralLowestDebtRatio4dec();
+
+        // loop all the tokens of the pool
+        list = new CollateralPosition[](pool.tokensCount());
+        for (uint256 i = 0; i < list.length; i++) {
+            address token = pool.getToken(i);
+            uint256 balance = pool.balanceOf(_account, token);
+
+            list[i].token = token;
+            list[i].balance = balance;
+            if (0 == balance) {
+                continue;
+            }
+
+            // tokens without price have no value and can not be withdrawn safely
+            list[i].value = pool.tokenValue(token, balance);
+            list[i].weightedValue = list[i].value.mul(fMint.getCollateralFactor4dec(token)).div(ratioDecimalsCorrection);
+            list[i].liquidationPrice = getLiquidationPrice(_account, token);
+            if (0 != fMint.getPrice(token)) {
+                list[i].maxWithdrawable = fMint.getMaxToWithdraw(_account, token, ratio);
+            }
+        }
+        return list;
+    }
+
+    // getDebtPositions returns the state of each token known to the debt pool
+    // on the given account; the max mintable amount respects the lowest allowed ratio.
+    function getDebtPositions(address _account) public view returns (DebtPosition[] memory list) {
+        FantomMint fMint = getFantomMint();
+        IFantomDeFiTokenStorage pool = fMint.getDebtPool();
+        uint256 ratio = fMint.getCollateralLowestDebtRatio4dec();
+
+        // loop all the tokens of the pool
+        list = new DebtPosition[](pool.tokensCount());
+        for (uint256 i = 0; i < list.length; i++) {
+            address token = pool.getToken(i);
+
+            list[i].token = token;
+            list[i].balance = pool.balanceOf(_account, token);
+            list[i].value = pool.tokenValue(token, list[i].balance);
+
+            // tokens without price can not be minted
+            if (0 != fMint.getPrice(token)) {
+                list[i].maxMintable = fMint.getMaxToMint(_account, token, ratio);
+            }
+        }
+        return list;
+    }
+
+    // -------------------------------------------------------------
+    // Liquidation price calculator
+    // -------------------------------------------------------------
+
+    // getLiquidationPrices returns the liquidation price of each token known
+    // to the collateral pool on the given account; see getLiquidationPrice.
+    function getLiquidationPrices(address _account) external view returns (address[] memory tokens, uint256[] memory prices) {
+        IFantomDeFiTokenStorage pool = getFantomMint().getCollateralPool();
+
+        // loop all the tokens of the pool
+        tokens = new address[](pool.tokensCount());
+        prices = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            tokens[i] = pool.getToken(i);
+            prices[i] = getLiquidationPrice(_account, tokens[i]);
+        }
+        return (tokens, prices);
+    }
+
+    // getLiquidationPrice calculates the price of the given collateral token
+    // at which the account becomes liquidatable, with all the other prices unchanged.
+    // The values are calculated on the average prices used by the liquidation check.
+    // Zero is returned if the account does not hold the token, or if the rest
+    // of the collateral covers the debt alone; max uint256 value is returned
+    // if the token is not counted as collateral and the rest does not cover the debt.
+    function getLiquidationPrice(address _account, address _token) public view returns (uint256) {
+        FantomMint fMint = getFantomMint();
+        IFantomDeFiTokenStorage pool = fMint.getCollateralPool();
+
+        // how many tokens the account has now?
+        uint256 balance = pool.balanceOf(_account, _token);
+        if (0 == balance) {
+            return 0;
+        }
+
+        // what is the minimal collateral value required?
+        uint256 debtValue = fMint.getDebtPool().totalOfAt(_account, address(0x0), 0, 0, false, PRICE_TWAP);
+        uint256 minCollateralValue = fMint.calcMinCollateralValue(debtValue, fMint.getCollateralLowestDebtRatio4dec());
+
+        // what is the value of the rest of the collateral?
+        uint256 otherValue = pool.totalOfAt(_account, _token, 0, balance, true, PRICE_TWAP);
+        if (otherValue >= minCollateralValue) {
+            return 0;
+        }
+
+        // tokens not counted as collateral can not save the account
+        uint256 factor = fMint.getCollateralFactor4dec(_token);
+        if (0 == factor) {
+            return uint256(-1);
+        }
+
+        // convert the missing value to the token price
+        // using the token collateral factor; round the corner up
+        (, uint256 digits) = fMint.getExtendedPrice(_token);
+        return minCollateralValue.sub(otherValue)
+        .mul(digits)
+        .mul(ratioDecimalsCorrection)
+        .div(balance.mul(factor))
+        .add(1);
+    }
+}
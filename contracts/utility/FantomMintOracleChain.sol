@@ -0,0 +1,223 @@
+pragma solidity ^0.5.0;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/ownership/Ownable.sol";
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+
+import "../interfaces/IFantomMintOracleChain.sol";
+import "../interfaces/IPriceOracleProxy.sol";
+
+// FantomMintOracleChain implements the price oracle proxy of the fMint protocol
+// over an ordered list of price sources, e.g. primary, secondary and tertiary
+// oracle proxies. The price of the first working source is used and confirmed
+// by the next working source within the agreement tolerance of the token.
+//
+// The circuit breaker of a token trips if the sources disagree, or if all
+// of them fail; the minter pauses new mints of the token while the breaker
+// is tripped, but repay and deposit stay available. If all the sources fail,
+// the latest agreed price recorded by the update call is provided instead,
+// unless it's older than the maximal fallback age.
+//
+// NOTE: The collateral and debt pools record the agreed price of a token
+// on each balance change of the token, so the tokens in use keep a recent
+// fallback price without a dedicated keeper.
+contract FantomMintOracleChain is Initializable, Ownable, IPriceOracleProxy, IFantomMintOracleChain
+{
+    // define used libs
+    using SafeMath for uint256;
+
+    // maxSourcesCount represents the maximal number of price sources per token.
+    uint256 public constant maxSourcesCount = 3;
+
+    // toleranceDecimalsCorrection represents the value to be used
+    // to adjust result decimals after applying a tolerance.
+    uint256 public constant toleranceDecimalsCorrection = 10000;
+
+    // sources keeps the ordered list of price sources of each token.
+    mapping(address => address[]) public sources;
+
+    // tolerance4dec keeps the maximal difference between the prices
+    // of the sources of each token.
+    // The value is kept in 4 decimals, e.g. value 200 = 0.02 = 2%
+    mapping(address => uint256) public tolerance4dec;
+
+    // lastPrice keeps the latest agreed price of each token.
+    mapping(address => uint256) public lastPrice;
+
+    // lastTimeStamp keeps the time stamp of the latest agreed price of each token.
+    mapping(address => uint256) public lastTimeStamp;
+
+    // maxFallbackAge represents the maximal age of the latest agreed price
+    // provided if all the sources fail.
+    uint256 public maxFallbackAge;
+
+    // SourcesChanged is emitted on change of the price sources of a token.
+    event SourcesChanged(address indexed token, address[] sources, uint256 tolerance4dec);
+
+    // PriceRecorded is emitted on the latest agreed price of a token recorded.
+    event PriceRecorded(address indexed token, uint256 price);
+
+    // MaxFallbackAgeChanged is emitted on change of the maximal fallback price age.
+    event MaxFallbackAgeChanged(uint256 age);
+
+    // initialize initializes the contract properly before the first use.
+    function initialize(address owner) public initializer {
+        // the latest agreed price can stand in for a day by default
+        maxFallbackAge = 1 days;
+
+        Ownable.initialize(owner);
+    }
+
+    // -------------------------------------------------------------
+    // Price oracle proxy interface
+    // -------------------------------------------------------------
+
+    // getPrice returns the price of the first working source of the token,
+    // or the latest agreed price if all the sources fail; zero is returned
+    // if the latest agreed price is older than the maximal fallback age.
+    function getPrice(address _token) external view returns (uint256) {
+        (uint256 price, uint256 index) = _firstPrice(_token, 0);
+        if (index == sources[_token].length) {
+            if (now > lastTimeStamp[_token].add(maxFallbackAge)) {
+                return 0;
+            }
+            return lastPrice[_token];
+        }
+        return price;
+    }
+
+    // getTimeStamp returns the time stamp of the latest price update
+    // of the first working source of the token.
+    function getTimeStamp(address _token) external view returns (uint256) {
+        (, uint256 index) = _firstPrice(_token, 0);
+        if (index == sources[_token].length) {
+            return lastTimeStamp[_token];
+        }
+        return _call(sources[_token][index], abi.encodeWithSelector(IPriceOracleProxy(0).getTimeStamp.selector, _token));
+    }
+
+    // getPreviousPrice returns the previous price of the token
+    // of the first working source of the token.
+    function getPreviousPrice(address _token, uint256 _back) external view returns (int256) {
+        (, uint256 index) = _firstPrice(_token, 0);
+        if (index == sources[_token].length) {
+            return 0;
+        }
+        return int256(_call(sources[_token][index], abi.encodeWithSelector(IPriceOracleProxy(0).getPreviousPrice.selector, _token, _back)));
+    }
+
+    // getPreviousTimeStamp returns the time stamp of the previous price update
+    // of the first working source of the token.
+    function getPreviousTimeStamp(address _token, uint256 _back) external view returns (uint256) {
+        (, uint256 index) = _firstPrice(_token, 0);
+        if (index == sources[_token].length) {
+            return 0;
+        }
+        return _call(sources[_token][index], abi.encodeWithSelector(IPriceOracleProxy(0).getPreviousTimeStamp.selector, _token, _back));
+    }
+
+    // -------------------------------------------------------------
+    // Circuit breaker
+    // -------------------------------------------------------------
+
+    // isCircuitBroken checks if the price sources of the token disagree,
+    // or all of them failed. Tokens without sources are never broken.
+    function isCircuitBroken(address _token) public view returns (bool) {
+        if (0 == sources[_token].length) {
+            return false;
+        }
+
+        // get the first working source; all failed?
+        (uint256 price, uint256 index) = _firstPrice(_token, 0);
+        if (index == sources[_token].length) {
+            return true;
+        }
+
+        // get the confirming source; nothing to compare with?
+        (uint256 confirmation, uint256 next) = _firstPrice(_token, index + 1);
+        if (next == sources[_token].length) {
+            return false;
+        }
+
+        // check the agreement
+        uint256 diff = price > confirmation ? price.sub(confirmation) : confirmation.sub(price);
+        return diff.mul(toleranceDecimalsCorrection) > price.mul(tolerance4dec[_token]);
+    }
+
+    // update records the current price of the token as the latest agreed price,
+    // if the circuit breaker of the token is not tripped; returns true if recorded.
+    // NOTE: We don't restrict the call source since it doesn't matter who makes
+    // the call, the price is taken from the configured sources.
+    function update(address _token) external returns (bool) {
+        if (0 == sources[_token].length || isCircuitBroken(_token)) {
+            return false;
+        }
+
+        (uint256 price,) = _firstPrice(_token, 0);
+        lastPrice[_token] = price;
+        lastTimeStamp[_token] = now;
+
+        emit PriceRecorded(_token, price);
+        return true;
+    }
+
+    // -------------------------------------------------------------
+    // Internal helpers
+    // -------------------------------------------------------------
+
+    // _firstPrice returns the price and the index of the first working source
+    // of the token starting at the given index; the index equals to the number
+    // of sources if none of them works.
+    function _firstPrice(address _token, uint256 _from) internal view returns (uint256 price, uint256 index) {
+        address[] storage list = sources[_token];
+        for (index = _from; index < list.length; index++) {
+            price = _call(list[index], abi.encodeWithSelector(IPriceOracleProxy(0).getPrice.selector, _token));
+            if (0 < price) {
+                return (price, index);
+            }
+        }
+        return (0, list.length);
+    }
+
+    // _call makes a static call to the price source and returns the result;
+    // zero is returned if the call fails so a broken source does not block the chain.
+    function _call(address _source, bytes memory _data) internal view returns (uint256) {
+        (bool success, bytes memory result) = _source.staticcall(_data);
+        if (!success || result.length < 32) {
+            return 0;
+        }
+        return abi.decode(result, (uint256));
+    }
+
+    // -------------------------------------------------------------
+    // Update functions
+    // -------------------------------------------------------------
+
+    // setSources changes the ordered list of price sources of the given token
+    // and the agreement tolerance between them.
+    function setSources(address _token, address[] calldata _sources, uint256 _tolerance4dec) external onlyOwner {
+        // make sure the values make sense
+        require(_sources.length <= maxSourcesCount, "too many sources");
+        require(_tolerance4dec <= toleranceDecimalsCorrection, "invalid tolerance");
+
+        // update the values
+        sources[_token] = _sources;
+        tolerance4dec[_token] = _tolerance4dec;
+
+        // emit event
+        emit SourcesChanged(_token, _sources, _tolerance4dec);
+    }
+
+    // setMaxFallbackAge changes the maximal age of the latest agreed price
+    // provided if all the sources fail.
+    function setMaxFallbackAge(uint256 _age) external onlyOwner {
+        // make sure the value makes sense
+        require(0 < _age, "invalid fallback age");
+
+        // update the value
+        maxFallbackAge = _age;
+
+        // emit event
+        emit MaxFallbackAgeChanged(_age);
+    }
+}
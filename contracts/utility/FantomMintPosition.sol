@@ -0,0 +1,88 @@
+pragma solidity ^0.5.0;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/SafeERC20.sol";
+
+import "../interfaces/IFantomMintAddressProvider.sol";
+import "../FantomMint.sol";
+import "./FantomMintRewardDistribution.sol";
+
+// FantomMintPosition implements a single isolated fMint position owned
+// by the position manager. The minter and the token storages see the position
+// as a regular account, so its collateral and debt balances are kept, checked
+// and liquidated separately from any other position.
+//
+// NOTE: The position never keeps any tokens between calls; the tokens
+// received from the minter are paid to the recipient set by the manager.
+contract FantomMintPosition {
+    // define used libs
+    using SafeERC20 for ERC20;
+
+    // manager represents the position manager which created the position.
+    address public manager;
+
+    // addressProvider represents the connection to other fMint contracts.
+    IFantomMintAddressProvider public addressProvider;
+
+    // onlyManager modifier restricts the call to the position manager.
+    modifier onlyManager() {
+        require(msg.sender == manager, "restricted to position manager");
+        _;
+    }
+
+    // create the position for the calling manager
+    constructor(address _addressProvider) public {
+        manager = msg.sender;
+        addressProvider = IFantomMintAddressProvider(_addressProvider);
+    }
+
+    // getFantomMint returns the fMint minter contract.
+    function getFantomMint() public view returns (FantomMint) {
+        return FantomMint(address(addressProvider.getFantomMint()));
+    }
+
+    // deposit deposits given amount of collateral tokens sent to the position
+    // by the manager and reverts on failure.
+    function deposit(address _token, uint256 _amount) external onlyManager {
+        FantomMint fMint = getFantomMint();
+        ERC20(_token).approve(address(fMint), _amount);
+        fMint.mustDeposit(_token, _amount);
+    }
+
+    // withdraw withdraws given amount of collateral tokens
+    // to the recipient and reverts on failure.
+    function withdraw(address _token, uint256 _amount, address _recipient) external onlyManager {
+        getFantomMint().mustWithdraw(_token, _amount);
+        _payout(_token, _recipient);
+    }
+
+    // mint mints given amount of tokens on the debt of the position
+    // and pays them to the recipient; it reverts on failure.
+    function mint(address _token, uint256 _amount, address _recipient) external onlyManager {
+        getFantomMint().mustMint(_token, _amount);
+        _payout(_token, _recipient);
+    }
+
+    // repay repays given amount of the debt with the tokens sent
+    // to the position by the manager and reverts on failure.
+    function repay(address _token, uint256 _amount) external onlyManager {
+        FantomMint fMint = getFantomMint();
+        ERC20(_token).approve(address(fMint), _amount);
+        fMint.mustRepay(_token, _amount);
+    }
+
+    // rewardClaim claims the reward earned by the position
+    // and pays it to the recipient; it reverts on failure.
+    function rewardClaim(address _recipient) external onlyManager {
+        FantomMintRewardDistribution(address(addressProvider.getRewardDistribution())).mustRewardClaim();
+        _payout(address(addressProvider.getRewardToken()), _recipient);
+    }
+
+    // _payout (internal) transfers the whole position balance of the token to the recipient.
+    function _payout(address _token, address _recipient) internal {
+        uint256 balance = ERC20(_token).balanceOf(address(this));
+        if (0 < balance) {
+            ERC20(_token).safeTransfer(_recipient, balance);
+        }
+    }
+}
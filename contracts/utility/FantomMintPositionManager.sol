@@ -0,0 +1,110 @@
+pragma solidity ^0.5.0;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/SafeERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC721/ERC721Full.sol";
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+
+import "../interfaces/IFantomMintAddressProvider.sol";
+import "./FantomMintPosition.sol";
+
+// FantomMintPositionManager implements fMint positions tokenized as ERC-721 tokens.
+// Each position token is bound to its own position contract, which acts on the minter
+// as a separate account; the collateral and debt balances of the position are kept
+// in the token storages under the address of the position contract. A wallet can hold
+// any number of isolated positions, and the positions can be transferred,
+// or used by other contracts, as any other ERC-721 token.
+//
+// NOTE: The position tokens are never burned; an empty position
+// can be used again by its owner.
+contract FantomMintPositionManager is Initializable, ERC721Full, ReentrancyGuard
+{
+    // define used libs
+    using SafeMath for uint256;
+    using SafeERC20 for ERC20;
+
+    // addressProvider represents the connection to other fMint contracts.
+    IFantomMintAddressProvider public addressProvider;
+
+    // positions represents the position contracts of the position tokens.
+    // mapping: position token id => position contract
+    mapping(uint256 => FantomMintPosition) public positions;
+
+    // positionsCount represents the number of positions opened so far;
+    // it's also the id of the latest position token.
+    uint256 public positionsCount;
+
+    // PositionOpened is emitted when a new position is opened.
+    event PositionOpened(address indexed owner, uint256 indexed positionId, address position);
+
+    // initialize initializes the contract properly before the first use.
+    function initialize(address _addressProvider) public initializer {
+        ERC721.initialize();
+        ERC721Enumerable.initialize();
+        ERC721Metadata.initialize("fMint Position", "fPOS");
+        ReentrancyGuard.initialize();
+
+        addressProvider = IFantomMintAddressProvider(_addressProvider);
+    }
+
+    // onlyPositionOwner modifier restricts the call to the owner
+    // of the position token and the accounts approved by the owner.
+    modifier onlyPositionOwner(uint256 _positionId) {
+        require(_isApprovedOrOwner(msg.sender, _positionId), "position access denied");
+        _;
+    }
+
+    // -------------------------------------------------------------
+    // Position management
+    // -------------------------------------------------------------
+
+    // openPosition opens a new empty position and mints
+    // its position token to the caller.
+    function openPosition() external nonReentrant returns (uint256 positionId) {
+        positionsCount = positionsCount.add(1);
+        positionId = positionsCount;
+
+        // create the position contract and the token
+        FantomMintPosition position = new FantomMintPosition(address(addressProvider));
+        positions[positionId] = position;
+        _mint(msg.sender, positionId);
+
+        emit PositionOpened(msg.sender, positionId, address(position));
+    }
+
+    // mustDeposit deposits given amount of collateral tokens
+    // of the caller to the position and reverts on failure.
+    function mustDeposit(uint256 _positionId, address _token, uint256 _amount) external nonReentrant onlyPositionOwner(_positionId) {
+        FantomMintPosition position = positions[_positionId];
+        ERC20(_token).safeTransferFrom(msg.sender, address(position), _amount);
+        position.deposit(_token, _amount);
+    }
+
+    // mustWithdraw withdraws given amount of collateral tokens from the position
+    // to the caller and reverts on failure.
+    function mustWithdraw(uint256 _positionId, address _token, uint256 _amount) external nonReentrant onlyPositionOwner(_positionId) {
+        positions[_positionId].withdraw(_token, _amount, msg.sender);
+    }
+
+    // mustMint mints given amount of tokens on the debt of the position
+    // to the caller and reverts on failure.
+    function mustMint(uint256 _positionId, address _token, uint256 _amount) external nonReentrant onlyPositionOwner(_positionId) {
+        positions[_positionId].mint(_token, _amount, msg.sender);
+    }
+
+    // mustRepay repays given amount of the debt of the position
+    // with the tokens of the caller and reverts on failure.
+    function mustRepay(uint256 _positionId, address _token, uint256 _amount) external nonReentrant onlyPositionOwner(_positionId) {
+        FantomMintPosition position = positions[_positionId];
+        ERC20(_token).safeTransferFrom(msg.sender, address(position), _amount);
+        position.repay(_token, _amount);
+    }
+
+    // mustRewardClaim claims the reward earned by the position
+    // to the caller and reverts on failure.
+    function mustRewardClaim(uint256 _positionId) external nonReentrant onlyPositionOwner(_positionId) {
+        positions[_positionId].rewardClaim(msg.sender);
+    }
+}
@@ -0,0 +1,146 @@
+pragma solidity ^0.5.0;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/ownership/Ownable.sol";
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+
+import "../interfaces/IFantomMintAddressProvider.sol";
+import "../interfaces/IFantomDeFiTokenStorage.sol";
+import "../interfaces/IFantomMintPriceGuard.sol";
+import "../interfaces/IPriceOracleProxy.sol";
+
+// FantomMintPriceGuard implements the oracle price sanity checks
+// of the fMint protocol. A price is not trusted if it is older than
+// the maximal price age, or if it moved from the previous oracle update
+// by more than the maximal deviation configured for the token.
+// Both limits are optional; zero value disables the check.
+// Liquidations only check the price age; a large price move is exactly
+// when the under-collateralized positions have to be liquidated.
+contract FantomMintPriceGuard is Initializable, Ownable, IFantomMintPriceGuard
+{
+    // define used libs
+    using SafeMath for uint256;
+
+    // deviationDecimalsCorrection represents the value to be used
+    // to adjust result decimals after applying a deviation.
+    uint256 public constant deviationDecimalsCorrection = 10000;
+
+    // addressProvider represents the connection to other FMint related
+    // contracts.
+    IFantomMintAddressProvider public addressProvider;
+
+    // maxPriceAge keeps the maximal age of the oracle price in seconds per token.
+    mapping(address => uint256) public maxPriceAge;
+
+    // maxPriceDeviation4dec keeps the maximal change of the oracle price
+    // between two consecutive updates per token.
+    // The value is kept in 4 decimals, e.g. value 2000 = 0.2 = 20%
+    mapping(address => uint256) public maxPriceDeviation4dec;
+
+    // PriceLimitsChanged is emitted on change of the price limits of a token.
+    event PriceLimitsChanged(address indexed token, uint256 maxAge, uint256 maxDeviation4dec);
+
+    // initialize initializes the contract properly before the first use.
+    function initialize(address owner, address _addressProvider) public initializer {
+        // remember the address provider for the other protocol contracts connection
+        addressProvider = IFantomMintAddressProvider(_addressProvider);
+
+        // init the Ownable
+        Ownable.initialize(owner);
+    }
+
+    // -------------------------------------------------------------
+    // Price checks
+    // -------------------------------------------------------------
+
+    // isPriceTrusted checks if the current oracle price of the token can be trusted.
+    function isPriceTrusted(address _token) public view returns (bool) {
+        return _isPriceTrusted(_token, true);
+    }
+
+    // isPriceFresh checks if the current oracle price of the token
+    // is not older than the maximal price age; the deviation is not checked.
+    function isPriceFresh(address _token) public view returns (bool) {
+        return _isPriceTrusted(_token, false);
+    }
+
+    // _isPriceTrusted checks the price age of the token and, if requested,
+    // the price deviation from the previous oracle update.
+    function _isPriceTrusted(address _token, bool _checkDeviation) internal view returns (bool) {
+        IPriceOracleProxy oracle = addressProvider.getTokenPriceOracle(_token);
+
+        // check the price age, if limited
+        if (0 < maxPriceAge[_token]) {
+            uint256 updated = oracle.getTimeStamp(_token);
+            if (0 == updated || (now > updated && now.sub(updated) > maxPriceAge[_token])) {
+                return false;
+            }
+        }
+
+        // check the price deviation from the previous update, if limited
+        if (_checkDeviation && 0 < maxPriceDeviation4dec[_token]) {
+            int256 previous = oracle.getPreviousPrice(_token, 1);
+
+            // no previous price means no deviation to check
+            if (0 < previous) {
+                uint256 price = oracle.getPrice(_token);
+                uint256 diff = price > uint256(previous) ? price.sub(uint256(previous)) : uint256(previous).sub(price);
+
+                if (diff.mul(deviationDecimalsCorrection) > uint256(previous).mul(maxPriceDeviation4dec[_token])) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    }
+
+    // arePricesTrusted checks if the prices of all the tokens held
+    // by the account and the given token can be trusted.
+    // NOTE: Zero token address can be used to check the account tokens only.
+    function arePricesTrusted(address _account, address _token) public view returns (bool) {
+        // check the given token
+        if (address(0x0) != _token && !isPriceTrusted(_token)) {
+            return false;
+        }
+
+        // check the account tokens on both pools
+        return _poolPricesTrusted(addressProvider.getCollateralPool(), _account, true) &&
+        _poolPricesTrusted(addressProvider.getDebtPool(), _account, true);
+    }
+
+    // arePricesFresh checks if the prices of all the tokens held
+    // by the account are not older than their maximal price age.
+    // It's used by liquidations, which must not be blocked by a price move.
+    function arePricesFresh(address _account) public view returns (bool) {
+        return _poolPricesTrusted(addressProvider.getCollateralPool(), _account, false) &&
+        _poolPricesTrusted(addressProvider.getDebtPool(), _account, false);
+    }
+
+    // _poolPricesTrusted checks if the prices of all the tokens
+    // held by the account in the pool can be trusted.
+    function _poolPricesTrusted(IFantomDeFiTokenStorage _pool, address _account, bool _checkDeviation) internal view returns (bool) {
+        for (uint256 i = 0; i < _pool.tokensCount(); i++) {
+            address token = _pool.getToken(i);
+            if (0 < _pool.balanceOf(_account, token) && !_isPriceTrusted(token, _checkDeviation)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // -------------------------------------------------------------
+    // Update functions
+    // -------------------------------------------------------------
+
+    // setPriceLimits changes the maximal price age and the maximal price deviation
+    // of the given token; zero value disables the limit.
+    function setPriceLimits(address _token, uint256 _maxAge, uint256 _maxDeviation4dec) external onlyOwner {
+        // update the values
+        maxPriceAge[_token] = _maxAge;
+        maxPriceDeviation4dec[_token] = _maxDeviation4dec;
+
+        // emit event
+        emit PriceLimitsChanged(_token, _maxAge, _maxDeviation4dec);
+    }
+}
@@ -0,0 +1,139 @@
+pragma solidity ^0.5.0;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/Math.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/ownership/Ownable.sol";
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+
+import "../interfaces/IFantomMintRateModel.sol";
+
+// FantomMintRateModel implements the two-kink borrow rate model
+// of the fMint protocol as specified by FIP-001. The annual borrow rate
+// of a debt token depends on its utilization, e.g. the ratio between
+// the outstanding debt and the reference supply of the token:
+//
+// rate = Base + Multiplier * min(U, Kink1) + max(JumpMultiplier * (U - Kink2), 0)
+//
+// All the rate parameters are kept in 4 decimals; 1750 = 0.175 = 17.5%
+contract FantomMintRateModel is Initializable, Ownable, IFantomMintRateModel
+{
+    // define used libs
+    using SafeMath for uint256;
+
+    // RateParameters represents the rate model configuration of a single debt token.
+    struct RateParameters {
+        uint256 base4dec;           // the base annual rate
+        uint256 multiplier4dec;     // the rate slope up to the first kink
+        uint256 jumpMultiplier4dec; // the rate slope above the second kink
+        uint256 firstKink4dec;      // the utilization of the first kink
+        uint256 secondKink4dec;     // the utilization of the second kink
+        uint256 supply;             // the reference supply used to calculate utilization
+    }
+
+    // rateDecimalsCorrection represents the value to be used
+    // to adjust result decimals after applying a rate or utilization.
+    uint256 public constant rateDecimalsCorrection = 10000;
+
+    // ratePerSecondCorrection represents the precision of the per second rate.
+    uint256 public constant ratePerSecondCorrection = 1e18;
+
+    // secondsPerYear represents the length of the year the annual
+    // rate is spread across.
+    uint256 public constant secondsPerYear = 365 days;
+
+    // rateParameters keeps the rate model configuration per debt token.
+    mapping(address => RateParameters) public rateParameters;
+
+    // RateParametersChanged is emitted on change of the rate
+    // model configuration of a debt token.
+    event RateParametersChanged(address indexed token, uint256 base4dec, uint256 multiplier4dec, uint256 jumpMultiplier4dec, uint256 firstKink4dec, uint256 secondKink4dec, uint256 supply);
+
+    // initialize initializes the contract properly before the first use.
+    function initialize(address owner) public initializer {
+        Ownable.initialize(owner);
+    }
+
+    // -------------------------------------------------------------
+    // Rate calculation
+    // -------------------------------------------------------------
+
+    // utilization4dec returns the utilization of the given debt token
+    // for the given amount of outstanding debt.
+    // The value is returned in 4 decimals, e.g. value 8000 = 0.8 = 80%
+    function utilization4dec(address _token, uint256 _borrowed) public view returns (uint256) {
+        // no reference supply means no utilization
+        if (0 == rateParameters[_token].supply) {
+            return 0;
+        }
+
+        return _borrowed.mul(rateDecimalsCorrection).div(rateParameters[_token].supply);
+    }
+
+    // borrowRate4dec returns the annual borrow rate of the given debt token
+    // for the given amount of outstanding debt.
+    // The value is returned in 4 decimals, e.g. value 1400 = 0.14 = 14%
+    function borrowRate4dec(address _token, uint256 _borrowed) public view returns (uint256) {
+        // get the token configuration and the current utilization
+        RateParameters storage params = rateParameters[_token];
+        uint256 utilization = utilization4dec(_token, _borrowed);
+
+        // apply the regular slope up to the first kink
+        uint256 rate = params.base4dec.add(
+            params.multiplier4dec
+            .mul(Math.min(utilization, params.firstKink4dec))
+            .div(rateDecimalsCorrection)
+            );
+
+        // apply the jump slope above the second kink
+        if (utilization > params.secondKink4dec) {
+            rate = rate.add(
+                params.jumpMultiplier4dec
+                .mul(utilization.sub(params.secondKink4dec))
+                .div(rateDecimalsCorrection)
+                );
+        }
+
+        return rate;
+    }
+
+    // borrowRatePerSecond returns the interest rate per second charged
+    // on the given debt token for the given amount of outstanding debt.
+    // The rate is kept in 18 decimals; 1e18 = 100% per second.
+    function borrowRatePerSecond(address _token, uint256 _borrowed) external view returns (uint256) {
+        return borrowRate4dec(_token, _borrowed)
+        .mul(ratePerSecondCorrection)
+        .div(rateDecimalsCorrection)
+        .div(secondsPerYear);
+    }
+
+    // -------------------------------------------------------------
+    // Update functions
+    // -------------------------------------------------------------
+
+    // setRateParameters changes the rate model configuration of the given debt token.
+    function setRateParameters(
+        address _token,
+        uint256 _base4dec,
+        uint256 _multiplier4dec,
+        uint256 _jumpMultiplier4dec,
+        uint256 _firstKink4dec,
+        uint256 _secondKink4dec,
+        uint256 _supply
+    ) external onlyOwner {
+        // make sure the kinks are in order
+        require(_firstKink4dec <= _secondKink4dec, "invalid kinks order");
+
+        // update the value
+        rateParameters[_token] = RateParameters({
+        base4dec : _base4dec,
+        multiplier4dec : _multiplier4dec,
+        jumpMultiplier4dec : _jumpMultiplier4dec,
+        firstKink4dec : _firstKink4dec,
+        secondKink4dec : _secondKink4dec,
+        supply : _supply
+        });
+
+        // emit event
+        emit RateParametersChanged(_token, _base4dec, _multiplier4dec, _jumpMultiplier4dec, _firstKink4dec, _secondKink4dec, _supply);
+    }
+}
@@ -74,6 +74,27 @@ contract FantomMintRewardDistribution is Initializable, Ownable, FantomMintRewar
     // Rewards control & rewards distribution functions
     // ---------------------------------------------------------------------
 
+    // mustRewardClaimFor claims the reward of the given account on behalf of the minter,
+    // e.g. inside a multicall batch of the account. It reverts the transaction on failure.
+    function mustRewardClaimFor(address _account) external {
+        // only the minter can claim for an account
+        require(msg.sender == address(addressProvider.getFantomMint()), "restricted to minter");
+
+        // try to claim
+        _checkClaim(_rewardClaim(_account));
+    }
+
+    // mustRewardClaimTo claims the reward of the given account to the given recipient
+    // on behalf of the mint router, e.g. for a sub-account of the recipient.
+    // It reverts the transaction on failure.
+    function mustRewardClaimTo(address _account, address _recipient) external {
+        // only the mint router can claim for an account
+        require(msg.sender == addressProvider.getMintRouter(), "restricted to mint router");
+
+        // try to claim
+        _checkClaim(_rewardClaimTo(_account, _recipient));
+    }
+
     // mustRewardPush (wrapper) does the reward push and reverts if the attempt fails.
     function mustRewardPush() public {
         // make the move
@@ -0,0 +1,603 @@
+pragma solidity ^0.5.0;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/math/Math.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/SafeERC20.sol";
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+
+import "../interfaces/IFantomMintAddressProvider.sol";
+import "../interfaces/IFantomDeFiTokenStorage.sol";
+import "../interfaces/IWrappedFtm.sol";
+import "../interfaces/IERC3156FlashLender.sol";
+import "../interfaces/IERC3156FlashBorrower.sol";
+import "../interfaces/IFantomMintSwapAdapter.sol";
+import "../modules/FantomMintErrorCodes.sol";
+import "../FantomMint.sol";
+
+// FantomMintRouter implements combined position operations of the fMint protocol
+// executed atomically in a single transaction, e.g. a deposit followed by a mint.
+// The router acts on the minter on behalf of its caller; the minter recognizes
+// the router registered in the address provider and applies each call
+// to the account appended to the call data by the router.
+//
+// NOTE: The tokens flow through the router, so the caller approves the router,
+// not the minter, to pull the deposited collateral and the repaid debt.
+// The router never keeps any tokens between calls.
+contract FantomMintRouter is Initializable, ReentrancyGuard, FantomMintErrorCodes, IERC3156FlashBorrower
+{
+    // define used libs
+    using SafeMath for uint256;
+    using SafeERC20 for ERC20;
+
+    // slippageDigitsCorrection represents the value to be used
+    // to adjust result decimals after applying a slippage to a swap amount.
+    uint256 public constant slippageDigitsCorrection = 10000;
+
+    // CALLBACK_SUCCESS represents the value returned by the flash loan
+    // callback on success as defined by the ERC-3156.
+    bytes32 public constant CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+
+    // OPERATOR_DEPOSIT, OPERATOR_REPAY and OPERATOR_MINT represent the permissions
+    // an account can grant to its operators; the permissions can be combined.
+    uint256 public constant OPERATOR_DEPOSIT = 1;
+    uint256 public constant OPERATOR_REPAY = 2;
+    uint256 public constant OPERATOR_MINT = 4;
+
+    // addressProvider represents the connection to other fMint contracts.
+    IFantomMintAddressProvider public addressProvider;
+
+    // operators represents the permissions granted by accounts to their operators.
+    mapping(address => mapping(address => uint256)) public operators;
+
+    // OperatorChanged is emitted when an account changes the permissions of an operator.
+    event OperatorChanged(address indexed account, address indexed operator, uint256 permissions);
+
+    // positionTransfers represents the consents of accounts to receive positions
+    // of other accounts; mapping: recipient => sender => consent
+    mapping(address => mapping(address => bool)) public positionTransfers;
+
+    // PositionTransferApproved is emitted when an account changes its consent
+    // to receive the position of another account.
+    event PositionTransferApproved(address indexed to, address indexed from, bool approved);
+
+    // PositionTransferred is emitted when a position is moved between accounts.
+    event PositionTransferred(address indexed from, address indexed to);
+
+    // initialize initializes the contract properly before the first use.
+    function initialize(address _addressProvider) public initializer {
+        addressProvider = IFantomMintAddressProvider(_addressProvider);
+        ReentrancyGuard.initialize();
+    }
+
+    // getFantomMint returns the fMint minter contract.
+    function getFantomMint() public view returns (FantomMint) {
+        return FantomMint(address(addressProvider.getFantomMint()));
+    }
+
+    // receive native FTM unwrapped from the wFTM token only
+    function() external payable {
+        require(msg.sender == addressProvider.getWrappedFtm(), "native FTM not accepted");
+    }
+
+    // -------------------------------------------------------------
+    // Combined position operations
+    // -------------------------------------------------------------
+
+    // mustDepositAndMint (wrapper) tries to deposit given amount of collateral tokens
+    // and mint given amount of debt tokens in one transaction and reverts on failure.
+    function mustDepositAndMint(address _collateralToken, uint256 _collateralAmount, address _debtToken, uint256 _debtAmount) external nonReentrant {
+        _checkPull(_pullAndCall(FantomMint(0).mustDeposit.selector, _collateralToken, _collateralAmount));
+        _callAndPay(FantomMint(0).mustMint.selector, _debtToken, _debtAmount);
+    }
+
+    // depositAndMint deposits given amount of collateral tokens and mints given amount
+    // of debt tokens against the increased collateral in one transaction.
+    // The error code of a failed deposit is returned; a failed mint reverts the whole
+    // call so the position is never left with the deposit only.
+    function depositAndMint(address _collateralToken, uint256 _collateralAmount, address _debtToken, uint256 _debtAmount) external nonReentrant returns (uint256) {
+        uint256 result = _pullAndCall(FantomMint(0).deposit.selector, _collateralToken, _collateralAmount);
+        if (result == ERR_NO_ERROR) {
+            _callAndPay(FantomMint(0).mustMint.selector, _debtToken, _debtAmount);
+        }
+        return result;
+    }
+
+    // mustRepayAndWithdraw (wrapper) tries to repay given amount of debt tokens
+    // and withdraw given amount of collateral tokens in one transaction and reverts on failure.
+    function mustRepayAndWithdraw(address _debtToken, uint256 _debtAmount, address _collateralToken, uint256 _collateralAmount) external nonReentrant {
+        _checkPull(_pullAndCall(FantomMint(0).mustRepay.selector, _debtToken, _debtAmount));
+        _callAndPay(FantomMint(0).mustWithdraw.selector, _collateralToken, _collateralAmount);
+    }
+
+    // repayAndWithdraw repays given amount of debt tokens and withdraws given amount
+    // of collateral tokens released by the repay in one transaction.
+    // The error code of a failed repay is returned; a failed withdraw reverts the whole
+    // call so the position is never left with the repay only.
+    function repayAndWithdraw(address _debtToken, uint256 _debtAmount, address _collateralToken, uint256 _collateralAmount) external nonReentrant returns (uint256) {
+        uint256 result = _pullAndCall(FantomMint(0).repay.selector, _debtToken, _debtAmount);
+        if (result == ERR_NO_ERROR) {
+            _callAndPay(FantomMint(0).mustWithdraw.selector, _collateralToken, _collateralAmount);
+        }
+        return result;
+    }
+
+    // mustClosePosition (wrapper) tries to repay the whole debt of the caller
+    // and withdraw all the collateral in one transaction and reverts on failure.
+    function mustClosePosition() external nonReentrant {
+        uint256 result = _closePosition(FantomMint(0).mustRepay.selector);
+        require(result != ERR_ZERO_AMOUNT, "no position to close");
+        _checkPull(result);
+    }
+
+    // closePosition repays the whole debt of the caller in all the debt tokens
+    // and withdraws all the collateral in one transaction.
+    // The error code of the first failed repay is returned; any later failure
+    // reverts the whole call so the position is never left closed only partially.
+    function closePosition() external nonReentrant returns (uint256) {
+        return _closePosition(FantomMint(0).repay.selector);
+    }
+
+    // _closePosition (internal) does the position closing job using the given
+    // minter function for the first repay.
+    function _closePosition(bytes4 _repaySelector) internal returns (uint256) {
+        FantomMint fMint = getFantomMint();
+        bool changed = false;
+
+        // repay the whole debt of each token
+        IFantomDeFiTokenStorage pool = fMint.getDebtPool();
+        for (uint256 i = 0; i < pool.tokensCount(); i++) {
+            address token = pool.getToken(i);
+            uint256 amount = pool.balanceOf(msg.sender, token);
+            if (0 < amount) {
+                uint256 result = _pullAndCall(changed ? fMint.mustRepay.selector : _repaySelector, token, amount);
+                if (result != ERR_NO_ERROR) {
+                    // a failure after the first repay reverts the whole call
+                    if (changed) {
+                        _checkPull(result);
+                    }
+                    return result;
+                }
+                changed = true;
+            }
+        }
+
+        // withdraw all the collateral of each token
+        pool = fMint.getCollateralPool();
+        for (uint256 i = 0; i < pool.tokensCount(); i++) {
+            address token = pool.getToken(i);
+            uint256 amount = pool.balanceOf(msg.sender, token);
+            if (0 < amount) {
+                _callAndPay(fMint.mustWithdraw.selector, token, amount);
+                changed = true;
+            }
+        }
+
+        // was there anything to close?
+        if (!changed) {
+            return ERR_ZERO_AMOUNT;
+        }
+        return ERR_NO_ERROR;
+    }
+
+    // -------------------------------------------------------------
+    // Position operators
+    // -------------------------------------------------------------
+
+    // onlyOperatorOf modifier restricts the call to the operators of the account
+    // holding the given permission.
+    modifier onlyOperatorOf(address _account, uint256 _permission) {
+        require(operators[_account][msg.sender] & _permission != 0, "operator not allowed");
+        _;
+    }
+
+    // setOperator grants the given permissions on the position of the caller
+    // to the operator; zero permissions revoke the operator.
+    function setOperator(address _operator, uint256 _permissions) external {
+        operators[msg.sender][_operator] = _permissions;
+        emit OperatorChanged(msg.sender, _operator, _permissions);
+    }
+
+    // mustDepositFor (wrapper) tries to deposit given amount of collateral tokens
+    // of the operator to the position of the account and reverts on failure.
+    function mustDepositFor(address _account, address _token, uint256 _amount) external nonReentrant onlyOperatorOf(_account, OPERATOR_DEPOSIT) {
+        _checkPull(_pullAndCallFor(_account, FantomMint(0).mustDeposit.selector, _token, _amount));
+    }
+
+    // depositFor deposits given amount of collateral tokens of the operator
+    // to the position of the account, e.g. to protect the position from a liquidation.
+    function depositFor(address _account, address _token, uint256 _amount) external nonReentrant onlyOperatorOf(_account, OPERATOR_DEPOSIT) returns (uint256) {
+        return _pullAndCallFor(_account, FantomMint(0).deposit.selector, _token, _amount);
+    }
+
+    // mustRepayFor (wrapper) tries to repay given amount of the debt of the account
+    // with the tokens of the operator and reverts on failure.
+    function mustRepayFor(address _account, address _token, uint256 _amount) external nonReentrant onlyOperatorOf(_account, OPERATOR_REPAY) {
+        _checkPull(_pullAndCallFor(_account, FantomMint(0).mustRepay.selector, _token, _amount));
+    }
+
+    // repayFor repays given amount of the debt of the account with the tokens of the operator.
+    function repayFor(address _account, address _token, uint256 _amount) external nonReentrant onlyOperatorOf(_account, OPERATOR_REPAY) returns (uint256) {
+        return _pullAndCallFor(_account, FantomMint(0).repay.selector, _token, _amount);
+    }
+
+    // mustMintTo (wrapper) tries to mint given amount of tokens on the debt
+    // of the account and reverts on failure.
+    function mustMintTo(address _account, address _token, uint256 _amount) external nonReentrant onlyOperatorOf(_account, OPERATOR_MINT) {
+        _callAndPayTo(_account, FantomMint(0).mustMint.selector, _token, _amount);
+    }
+
+    // mintTo mints given amount of tokens on the debt of the account.
+    // The minted tokens are always paid to the account, never to the operator.
+    function mintTo(address _account, address _token, uint256 _amount) external nonReentrant onlyOperatorOf(_account, OPERATOR_MINT) returns (uint256) {
+        return _callAndPayTo(_account, FantomMint(0).mint.selector, _token, _amount);
+    }
+
+    // -------------------------------------------------------------
+    // Position transfer
+    // -------------------------------------------------------------
+
+    // approvePositionTransfer sets the consent of the caller to receive
+    // the position of the given account.
+    function approvePositionTransfer(address _from, bool _approved) external {
+        positionTransfers[msg.sender][_from] = _approved;
+        emit PositionTransferApproved(msg.sender, _from, _approved);
+    }
+
+    // transferPosition moves the whole position of the caller, e.g. all its collateral
+    // and debt balances, to the given account. The recipient must consent to the transfer
+    // first; the consent is used up by the transfer. An existing position of the recipient
+    // is merged with the transferred one; the merged position must keep the collateral
+    // to debt ratio the same way a withdrawal does.
+    function transferPosition(address _to) external nonReentrant {
+        require(positionTransfers[_to][msg.sender], "position transfer not approved");
+        positionTransfers[_to][msg.sender] = false;
+
+        // settle the rewards of both the accounts on their current balances
+        FantomMint fMint = getFantomMint();
+        fMint.rewardUpdate(msg.sender);
+        fMint.rewardUpdate(_to);
+
+        // move the balances
+        fMint.getCollateralPool().transferAll(msg.sender, _to);
+        fMint.getDebtPool().transferAll(msg.sender, _to);
+
+        // make sure the recipient did not receive an unhealthy position
+        require(fMint.collateralCanDecrease(_to, address(0x0), 0), "insufficient collateral value");
+
+        emit PositionTransferred(msg.sender, _to);
+    }
+
+    // -------------------------------------------------------------
+    // Isolated sub-accounts
+    // -------------------------------------------------------------
+
+    // subAccountOf returns the account address of the numbered sub-account of the owner.
+    // Each sub-account is a separate account of the minter, so its collateral to debt
+    // ratio is checked, and it's liquidated, separately from the other sub-accounts.
+    // The sub-account zero is the owner account itself.
+    function subAccountOf(address _owner, uint256 _subAccount) public pure returns (address) {
+        if (0 == _subAccount) {
+            return _owner;
+        }
+        return address(uint160(uint256(keccak256(abi.encodePacked(_owner, _subAccount)))));
+    }
+
+    // mustDepositSub deposits given amount of collateral tokens of the caller
+    // to the sub-account of the caller and reverts on failure.
+    function mustDepositSub(uint256 _subAccount, address _token, uint256 _amount) external nonReentrant {
+        _checkPull(_pullAndCallFor(subAccountOf(msg.sender, _subAccount), FantomMint(0).mustDeposit.selector, _token, _amount));
+    }
+
+    // mustWithdrawSub withdraws given amount of collateral tokens from the sub-account
+    // of the caller to the caller and reverts on failure.
+    function mustWithdrawSub(uint256 _subAccount, address _token, uint256 _amount) external nonReentrant {
+        _callFor(subAccountOf(msg.sender, _subAccount), abi.encodeWithSelector(FantomMint(0).mustWithdraw.selector, _token, _amount));
+        _payout(_token);
+    }
+
+    // mustMintSub mints given amount of tokens on the debt of the sub-account
+    // of the caller to the caller and reverts on failure.
+    function mustMintSub(uint256 _subAccount, address _token, uint256 _amount) external nonReentrant {
+        _callFor(subAccountOf(msg.sender, _subAccount), abi.encodeWithSelector(FantomMint(0).mustMint.selector, _token, _amount));
+        _payout(_token);
+    }
+
+    // mustRepaySub repays given amount of the debt of the sub-account of the caller
+    // with the tokens of the caller and reverts on failure.
+    function mustRepaySub(uint256 _subAccount, address _token, uint256 _amount) external nonReentrant {
+        _checkPull(_pullAndCallFor(subAccountOf(msg.sender, _subAccount), FantomMint(0).mustRepay.selector, _token, _amount));
+    }
+
+    // mustRewardClaimSub claims the reward earned by the sub-account
+    // of the caller to the caller and reverts on failure.
+    function mustRewardClaimSub(uint256 _subAccount) external nonReentrant {
+        addressProvider.getRewardDistribution().mustRewardClaimTo(subAccountOf(msg.sender, _subAccount), msg.sender);
+    }
+
+    // -------------------------------------------------------------
+    // Native FTM collateral
+    // -------------------------------------------------------------
+
+    // mustDepositFTM (wrapper) tries to deposit the received native FTM
+    // as wFTM collateral and reverts on failure.
+    function mustDepositFTM() external payable nonReentrant {
+        _depositFTM(FantomMint(0).mustDeposit.selector);
+    }
+
+    // depositFTM wraps the received native FTM into wFTM tokens
+    // and deposits them as collateral in one transaction.
+    // The native FTM is returned to the caller on a failure.
+    function depositFTM() external payable nonReentrant returns (uint256) {
+        return _depositFTM(FantomMint(0).deposit.selector);
+    }
+
+    // mustWithdrawFTM (wrapper) tries to withdraw given amount of wFTM collateral
+    // as native FTM and reverts on failure.
+    function mustWithdrawFTM(uint256 _amount) external nonReentrant {
+        _withdrawFTM(FantomMint(0).mustWithdraw.selector, _amount);
+    }
+
+    // withdrawFTM withdraws given amount of wFTM collateral and unwraps
+    // the tokens into native FTM sent to the caller in one transaction.
+    function withdrawFTM(uint256 _amount) external nonReentrant returns (uint256) {
+        return _withdrawFTM(FantomMint(0).withdraw.selector, _amount);
+    }
+
+    // _depositFTM (internal) does the native FTM deposit job using the given
+    // minter function for the deposit.
+    function _depositFTM(bytes4 _selector) internal returns (uint256 result) {
+        // wrap the received FTM
+        address wFTM = _wrappedFtm();
+        require(IWrappedFtm(wFTM).deposit.value(msg.value)() == ERR_NO_ERROR, "FTM wrapping failed");
+
+        // make the deposit; return the FTM if it fails
+        result = _approveAndCall(_selector, wFTM, msg.value);
+        if (result != ERR_NO_ERROR) {
+            _payoutFTM(wFTM, msg.value);
+        }
+    }
+
+    // _withdrawFTM (internal) does the native FTM withdraw job using the given
+    // minter function for the withdrawal.
+    function _withdrawFTM(bytes4 _selector, uint256 _amount) internal returns (uint256 result) {
+        address wFTM = _wrappedFtm();
+        result = _call(abi.encodeWithSelector(_selector, wFTM, _amount));
+        if (result == ERR_NO_ERROR) {
+            _payoutFTM(wFTM, _amount);
+        }
+    }
+
+    // _wrappedFtm (internal) returns the address of the wFTM token.
+    function _wrappedFtm() internal view returns (address wFTM) {
+        wFTM = addressProvider.getWrappedFtm();
+        require(wFTM != address(0x0), "wrapped FTM not available");
+    }
+
+    // _payoutFTM (internal) unwraps given amount of wFTM tokens received
+    // by the current call and sends the native FTM to the caller.
+    function _payoutFTM(address _wFTM, uint256 _amount) internal {
+        require(IWrappedFtm(_wFTM).withdraw(_amount) == ERR_NO_ERROR, "FTM unwrapping failed");
+
+        (bool success,) = msg.sender.call.value(_amount)("");
+        require(success, "FTM transfer failed");
+    }
+
+    // -------------------------------------------------------------
+    // Leveraging and deleveraging
+    // -------------------------------------------------------------
+
+    // mustLeverage deposits given amount of the collateral of the caller and builds
+    // a leveraged position on it; the debt tokens are minted, sold for the collateral
+    // through the swap adapter and the collateral is deposited again, step by step,
+    // until the collateral to debt ratio reaches the target ratio in 4 decimals,
+    // or the given max number of steps is done. The swap price must not drop
+    // below the oracle price by more than the given slippage in 4 decimals.
+    function mustLeverage(address _collateralToken, uint256 _collateralAmount, address _debtToken, uint256 _targetRatio4dec, uint256 _maxSteps, uint256 _maxSlippage4dec) external nonReentrant {
+        FantomMint fMint = getFantomMint();
+        require(_targetRatio4dec >= fMint.getCollateralLowestDebtRatio4dec(), "target ratio too low");
+
+        // deposit the initial collateral
+        _checkPull(_pullAndCall(fMint.mustDeposit.selector, _collateralToken, _collateralAmount));
+
+        for (uint256 i = 0; i < _maxSteps; i++) {
+            // how much can be minted on the current collateral to stay on the target ratio
+            uint256 amount = Math.min(fMint.getMaxToMint(msg.sender, _debtToken, _targetRatio4dec), fMint.mintCapRemaining(_debtToken));
+
+            // stop if the debt can not grow anymore, or if it would be a dust debt
+            if (0 == amount ||
+                !fMint.checkDebtCanIncrease(msg.sender, _debtToken, amount) ||
+                fMint.debtValueOf(msg.sender, _debtToken, amount) < fMint.getMinDebtValue()) {
+                break;
+            }
+
+            // mint the debt tokens and exchange them for the collateral
+            _call(abi.encodeWithSelector(fMint.mustMint.selector, _debtToken, amount));
+            uint256 received = _swap(_debtToken, _collateralToken, ERC20(_debtToken).balanceOf(address(this)), _maxSlippage4dec, 0);
+
+            // deposit the collateral received
+            _approveAndCall(fMint.mustDeposit.selector, _collateralToken, received);
+        }
+    }
+
+    // mustDeleverage repays given amount of the debt of the caller with the debt tokens
+    // flash minted for the call, withdraws given amount of the collateral and sells
+    // the collateral through the swap adapter to return the flash loan with the fee.
+    // The rest of the swap output is paid to the caller. The swap price must not drop
+    // below the oracle price by more than the given slippage in 4 decimals.
+    function mustDeleverage(address _debtToken, uint256 _repayAmount, address _collateralToken, uint256 _collateralAmount, uint256 _maxSlippage4dec) external nonReentrant {
+        // borrow the debt tokens; the job is done in the callback
+        IERC3156FlashLender(addressProvider.getFlashMinter()).flashLoan(
+            this,
+            _debtToken,
+            _repayAmount,
+            abi.encode(msg.sender, _collateralToken, _collateralAmount, _maxSlippage4dec)
+        );
+
+        // pay the rest of the swap output to the caller
+        _payout(_debtToken);
+    }
+
+    // onFlashLoan receives the debt tokens flash minted for a deleverage,
+    // repays the debt and sells the withdrawn collateral to return the loan.
+    function onFlashLoan(address _initiator, address _token, uint256 _amount, uint256 _fee, bytes calldata _data) external returns (bytes32) {
+        // only the flash loans of the router itself are accepted
+        require(msg.sender == addressProvider.getFlashMinter() && _initiator == address(this), "unexpected flash loan");
+        (address account, address collateral, uint256 collateralAmount, uint256 maxSlippage4dec) = abi.decode(_data, (address, address, uint256, uint256));
+
+        // repay the debt and withdraw the collateral of the account
+        ERC20(_token).approve(address(getFantomMint()), _amount);
+        _callFor(account, abi.encodeWithSelector(FantomMint(0).mustRepay.selector, _token, _amount));
+        _callFor(account, abi.encodeWithSelector(FantomMint(0).mustWithdraw.selector, collateral, collateralAmount));
+
+        // sell the collateral to cover the loan and the fee
+        _swap(collateral, _token, collateralAmount, maxSlippage4dec, _amount.add(_fee));
+
+        // allow the flash minter to take the loan back
+        ERC20(_token).approve(msg.sender, _amount.add(_fee));
+        return CALLBACK_SUCCESS;
+    }
+
+    // -------------------------------------------------------------
+    // Token swaps
+    // -------------------------------------------------------------
+
+    // _swap (internal) sells given amount of the input token through the swap adapter
+    // for at least the given min amount of the output token; the min amount is raised
+    // to the oracle value of the input tokens reduced by the given slippage.
+    function _swap(address _tokenIn, address _tokenOut, uint256 _amountIn, uint256 _maxSlippage4dec, uint256 _minAmountOut) internal returns (uint256) {
+        // get the adapter
+        address adapter = addressProvider.getSwapAdapter();
+        require(adapter != address(0x0), "swap adapter not available");
+
+        // calculate the min amount of the output tokens on the oracle prices
+        uint256 minAmountOut = _amountOut(_tokenIn, _tokenOut, _amountIn)
+        .mul(slippageDigitsCorrection.sub(_maxSlippage4dec))
+        .div(slippageDigitsCorrection);
+        if (minAmountOut < _minAmountOut) {
+            minAmountOut = _minAmountOut;
+        }
+
+        // make the swap
+        ERC20(_tokenIn).approve(adapter, _amountIn);
+        return IFantomMintSwapAdapter(adapter).swap(_tokenIn, _tokenOut, _amountIn, minAmountOut);
+    }
+
+    // _amountOut (internal) calculates the amount of the output tokens
+    // of the same value as the given amount of the input tokens on the oracle prices.
+    function _amountOut(address _tokenIn, address _tokenOut, uint256 _amountIn) internal view returns (uint256) {
+        FantomMint fMint = getFantomMint();
+        (uint256 priceIn, uint256 digitsIn) = fMint.getExtendedPrice(_tokenIn);
+        (uint256 priceOut, uint256 digitsOut) = fMint.getExtendedPrice(_tokenOut);
+
+        return _amountIn.mul(priceIn).mul(digitsOut).div(digitsIn).div(priceOut);
+    }
+
+    // -------------------------------------------------------------
+    // Minter calls and token flows
+    // -------------------------------------------------------------
+
+    // _pullAndCall (internal) pulls given amount of tokens from the caller, allows
+    // the minter to take them and calls the minter function with the token and the amount,
+    // e.g. a deposit or a repay. The tokens are returned to the caller on a failure.
+    // A low balance, or allowance, of the caller is returned as an error code.
+    function _pullAndCall(bytes4 _selector, address _token, uint256 _amount) internal returns (uint256) {
+        return _pullAndCallFor(msg.sender, _selector, _token, _amount);
+    }
+
+    // _pullAndCallFor (internal) pulls given amount of tokens from the caller
+    // and calls the minter function on behalf of the given account; see _pullAndCall.
+    function _pullAndCallFor(address _account, bytes4 _selector, address _token, uint256 _amount) internal returns (uint256 result) {
+        // make sure the caller has the tokens and allowed the router to take them
+        if (_amount > ERC20(_token).balanceOf(msg.sender)) {
+            return ERR_LOW_BALANCE;
+        }
+        if (_amount > ERC20(_token).allowance(msg.sender, address(this))) {
+            return ERR_LOW_ALLOWANCE;
+        }
+
+        // pull the tokens from the caller
+        ERC20(_token).safeTransferFrom(msg.sender, address(this), _amount);
+
+        // make the call; return the tokens if it fails
+        result = _approveAndCallFor(_account, _selector, _token, _amount);
+        if (result != ERR_NO_ERROR) {
+            _payout(_token);
+        }
+    }
+
+    // _checkPull (internal) reverts with the reason of the given result
+    // of a minter call made with the tokens pulled from the caller on failure.
+    function _checkPull(uint256 result) internal pure {
+        // check low balance condition
+        require(result != ERR_LOW_BALANCE, "insufficient balance");
+
+        // check the common conditions
+        _checkResult(result);
+    }
+
+    // _approveAndCall (internal) allows the minter to take given amount of tokens
+    // from the router and calls the minter function with the token and the amount.
+    function _approveAndCall(bytes4 _selector, address _token, uint256 _amount) internal returns (uint256) {
+        return _approveAndCallFor(msg.sender, _selector, _token, _amount);
+    }
+
+    // _approveAndCallFor (internal) allows the minter to take given amount of tokens
+    // from the router and calls the minter function on behalf of the given account.
+    function _approveAndCallFor(address _account, bytes4 _selector, address _token, uint256 _amount) internal returns (uint256) {
+        ERC20(_token).approve(address(getFantomMint()), _amount);
+        return _callFor(_account, abi.encodeWithSelector(_selector, _token, _amount));
+    }
+
+    // _callAndPay (internal) calls the minter function with the token and the amount,
+    // e.g. a mint or a withdraw, and pays the tokens received to the caller.
+    function _callAndPay(bytes4 _selector, address _token, uint256 _amount) internal returns (uint256) {
+        return _callAndPayTo(msg.sender, _selector, _token, _amount);
+    }
+
+    // _callAndPayTo (internal) calls the minter function on behalf of the given account
+    // and pays the tokens received to the account.
+    function _callAndPayTo(address _account, bytes4 _selector, address _token, uint256 _amount) internal returns (uint256 result) {
+        result = _callFor(_account, abi.encodeWithSelector(_selector, _token, _amount));
+        _payoutTo(_account, _token);
+    }
+
+    // _call (internal) calls the minter on behalf of the caller and returns
+    // the error code of the call; see _callFor.
+    function _call(bytes memory _data) internal returns (uint256) {
+        return _callFor(msg.sender, _data);
+    }
+
+    // _callFor (internal) calls the minter on behalf of the given account and returns
+    // the error code of the call; calls without a result return no error.
+    // A revert of the minter is passed to the caller as-is.
+    function _callFor(address _account, bytes memory _data) internal returns (uint256) {
+        // append the account to the call data
+        (bool success, bytes memory result) = address(getFantomMint()).call(abi.encodePacked(_data, _account));
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        // decode the error code, if any
+        if (result.length < 32) {
+            return ERR_NO_ERROR;
+        }
+        return abi.decode(result, (uint256));
+    }
+
+    // _payout (internal) transfers the whole router balance of the token to the caller.
+    function _payout(address _token) internal {
+        _payoutTo(msg.sender, _token);
+    }
+
+    // _payoutTo (internal) transfers the whole router balance of the token to the recipient.
+    function _payoutTo(address _recipient, address _token) internal {
+        uint256 balance = ERC20(_token).balanceOf(address(this));
+        if (0 < balance) {
+            ERC20(_token).safeTransfer(_recipient, balance);
+        }
+    }
+}
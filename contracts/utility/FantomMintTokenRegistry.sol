@@ -37,12 +37,38 @@ contract FantomMintTokenRegistry is Initializable, Ownable, IFantomMintTokenRegi
     // tokensList is the list of tokens handled by the registry.
     address[] public tokensList;
 
+    // collateralFactorDefault represents the collateral factor of tokens
+    // without explicitly configured factor; e.g. the full collateral value is used.
+    uint256 public constant collateralFactorDefault = 10000;
+
+    // collateralFactors keeps the collateral factor of each token, e.g. the share
+    // of the token value counted as collateral against the debt.
+    // The value is kept in 4 decimals; 5000 = 0.5 = 50%. Zero means not configured.
+    mapping(address => uint256) public collateralFactors;
+
+    // depositCaps keeps the maximal total amount of each token allowed
+    // to be deposited as collateral. Zero means no limit.
+    mapping(address => uint256) public depositCaps;
+
+    // mintCaps keeps the maximal total amount of each token allowed
+    // to be minted as debt. Zero means no limit.
+    mapping(address => uint256) public mintCaps;
+
     // TokenAdded event is emitted when a new token information is added to the contract.
     event TokenAdded(address indexed token, string name, uint256 index);
 
     // TokenUpdated event is emitted when an existing token information is updated.
     event TokenUpdated(address indexed token, string name);
 
+    // CollateralFactorChanged event is emitted when a token collateral factor is updated.
+    event CollateralFactorChanged(address indexed token, uint256 factor4dec);
+
+    // DepositCapChanged event is emitted when a token deposit cap is updated.
+    event DepositCapChanged(address indexed token, uint256 cap);
+
+    // MintCapChanged event is emitted when a token mint cap is updated.
+    event MintCapChanged(address indexed token, uint256 cap);
+
     // initialize initializes the contract properly before the first use.
     function initialize(address owner) public initializer {
         Ownable.initialize(owner);
@@ -63,6 +89,12 @@ contract FantomMintTokenRegistry is Initializable, Ownable, IFantomMintTokenRegi
         return tokens[_token].priceDecimals;
     }
 
+    // priceOracle returns the address of the price oracle registered
+    // for the given token; zero address means no token specific oracle.
+    function priceOracle(address _token) public view returns (address) {
+        return tokens[_token].oracle;
+    }
+
     // isActive informs if the specified token is active and can be used in DeFi protocols.
     function isActive(address _token) public view returns (bool) {
         return tokens[_token].isActive;
@@ -83,6 +115,29 @@ contract FantomMintTokenRegistry is Initializable, Ownable, IFantomMintTokenRegi
          return tokens[_token].isTradable;
     }
 
+    // collateralFactor4dec returns the collateral factor of the specified token,
+    // e.g. the share of the token value counted as collateral.
+    // The value is returned in 4 decimals; 5000 = 0.5 = 50%
+    function collateralFactor4dec(address _token) public view returns (uint256) {
+        // use the default factor if none is configured
+        if (0 == collateralFactors[_token]) {
+            return collateralFactorDefault;
+        }
+        return collateralFactors[_token];
+    }
+
+    // depositCap returns the maximal total amount of the specified token
+    // allowed to be deposited as collateral; zero means no limit.
+    function depositCap(address _token) public view returns (uint256) {
+        return depositCaps[_token];
+    }
+
+    // mintCap returns the maximal total amount of the specified token
+    // allowed to be minted; zero means no limit.
+    function mintCap(address _token) public view returns (uint256) {
+        return mintCaps[_token];
+    }
+
     // ---------------------------------
     // tokens management
     // ---------------------------------
@@ -154,4 +209,43 @@ contract FantomMintTokenRegistry is Initializable, Ownable, IFantomMintTokenRegi
         // inform
         emit TokenUpdated(_token, tokens[_token].name);
     }
+
+    // setCollateralFactor modifies the collateral factor of an existing token.
+    function setCollateralFactor(address _token, uint256 _factor4dec) external onlyOwner {
+        // make sure the token exists
+        require(0 != tokens[_token].id, "token unknown");
+
+        // make sure the factor makes sense
+        require(0 < _factor4dec && _factor4dec <= collateralFactorDefault, "invalid collateral factor");
+
+        // update the factor
+        collateralFactors[_token] = _factor4dec;
+
+        // inform
+        emit CollateralFactorChanged(_token, _factor4dec);
+    }
+
+    // setDepositCap modifies the deposit cap of an existing token; zero removes the limit.
+    function setDepositCap(address _token, uint256 _cap) external onlyOwner {
+        // make sure the token exists
+        require(0 != tokens[_token].id, "token unknown");
+
+        // update the cap
+        depositCaps[_token] = _cap;
+
+        // inform
+        emit DepositCapChanged(_token, _cap);
+    }
+
+    // setMintCap modifies the mint cap of an existing token; zero removes the limit.
+    function setMintCap(address _token, uint256 _cap) external onlyOwner {
+        // make sure the token exists
+        require(0 != tokens[_token].id, "token unknown");
+
+        // update the cap
+        mintCaps[_token] = _cap;
+
+        // inform
+        emit MintCapChanged(_token, _cap);
+    }
 }
@@ -0,0 +1,167 @@
+pragma solidity ^0.5.0;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/ownership/Ownable.sol";
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+
+import "../interfaces/IFantomMintAddressProvider.sol";
+import "../interfaces/IFantomMintTwapOracle.sol";
+
+// FantomMintTwapOracle implements the time-weighted average price oracle
+// of the fMint protocol. Spot prices of enabled tokens are recorded
+// as cumulative price observations; the observations are pushed
+// by anyone at most once per observation period and the average is calculated
+// over the ring of the latest observations.
+//
+// NOTE: The average price is only available after the ring of observations
+// is filled and while the observations are pushed regularly; the protocol
+// uses the spot price if the latest observation is older than two periods.
+contract FantomMintTwapOracle is Initializable, Ownable, IFantomMintTwapOracle
+{
+    // define used libs
+    using SafeMath for uint256;
+
+    // observationsCount represents the number of observations kept per token;
+    // the average covers (observationsCount - 1) observation periods.
+    uint256 public constant observationsCount = 8;
+
+    // Observation represents a single cumulative price record.
+    struct Observation {
+        uint256 timestamp;  // the time of the observation
+        uint256 cumulative; // the cumulative price at the time
+    }
+
+    // addressProvider represents the connection to other FMint related
+    // contracts.
+    IFantomMintAddressProvider public addressProvider;
+
+    // observationPeriod represents the minimal time between two observations.
+    uint256 public observationPeriod;
+
+    // enabled keeps the list of tokens the average price is recorded for.
+    mapping(address => bool) public enabled;
+
+    // observations keeps the ring of the latest observations per token.
+    mapping(address => Observation[observationsCount]) internal observations;
+
+    // observationIndex keeps the position of the latest observation in the ring.
+    mapping(address => uint256) public observationIndex;
+
+    // lastPrice keeps the spot price recorded on the latest observation.
+    mapping(address => uint256) public lastPrice;
+
+    // ObservationRecorded is emitted on a new price observation of a token.
+    event ObservationRecorded(address indexed token, uint256 price, uint256 cumulative);
+
+    // TokenEnabled is emitted on a change of the token average price recording.
+    event TokenEnabled(address indexed token, bool enabled);
+
+    // ObservationPeriodChanged is emitted on change of the observation period.
+    event ObservationPeriodChanged(uint256 period);
+
+    // initialize initializes the contract properly before the first use.
+    function initialize(address owner, address _addressProvider) public initializer {
+        // remember the address provider for the other protocol contracts connection
+        addressProvider = IFantomMintAddressProvider(_addressProvider);
+
+        // observe every 30 minutes by default, e.g. 3.5 hours average
+        observationPeriod = 30 minutes;
+
+        // init the Ownable
+        Ownable.initialize(owner);
+    }
+
+    // -------------------------------------------------------------
+    // Average price calculation
+    // -------------------------------------------------------------
+
+    // consult returns the time-weighted average price of the token
+    // in the token price decimals; zero means no average is available.
+    function consult(address _token) external view returns (uint256) {
+        // the oldest observation of the ring follows the latest one
+        Observation storage latest = observations[_token][observationIndex[_token]];
+        Observation storage oldest = observations[_token][(observationIndex[_token] + 1) % observationsCount];
+
+        // no average until the ring is filled
+        if (!enabled[_token] || 0 == oldest.timestamp) {
+            return 0;
+        }
+
+        // no average if the observations stopped; the latest price
+        // would be extended over the missing periods otherwise
+        if (now.sub(latest.timestamp) > observationPeriod.mul(2)) {
+            return 0;
+        }
+
+        // extend the cumulative price with the latest price up to now
+        uint256 cumulative = latest.cumulative.add(lastPrice[_token].mul(now.sub(latest.timestamp)));
+        return cumulative.sub(oldest.cumulative).div(now.sub(oldest.timestamp));
+    }
+
+    // canUpdate checks if a new observation of the token can be recorded.
+    function canUpdate(address _token) public view returns (bool) {
+        return enabled[_token] &&
+        now >= observations[_token][observationIndex[_token]].timestamp.add(observationPeriod);
+    }
+
+    // update records a new observation of the token spot price,
+    // if the observation period passed; returns true if recorded.
+    // NOTE: We don't restrict the call source since it doesn't matter who makes
+    // the call, the price is taken from the protocol oracle.
+    function update(address _token) external returns (bool) {
+        // check if enough time passed from the latest observation
+        if (!canUpdate(_token)) {
+            return false;
+        }
+
+        // calculate the cumulative price up to now
+        Observation storage latest = observations[_token][observationIndex[_token]];
+        uint256 cumulative = latest.cumulative;
+        if (0 < latest.timestamp) {
+            cumulative = cumulative.add(lastPrice[_token].mul(now.sub(latest.timestamp)));
+        }
+
+        // store the observation to the next position of the ring
+        uint256 index = (observationIndex[_token] + 1) % observationsCount;
+        observations[_token][index] = Observation(now, cumulative);
+        observationIndex[_token] = index;
+
+        // remember the spot price for the next period
+        uint256 price = addressProvider.getTokenPriceOracle(_token).getPrice(_token);
+        lastPrice[_token] = price;
+
+        emit ObservationRecorded(_token, price, cumulative);
+        return true;
+    }
+
+    // -------------------------------------------------------------
+    // Update functions
+    // -------------------------------------------------------------
+
+    // setEnabled enables, or disables, the average price recording for the token;
+    // the recorded observations are dropped on the change.
+    function setEnabled(address _token, bool _enabled) external onlyOwner {
+        // reset the ring
+        delete observations[_token];
+        observationIndex[_token] = 0;
+        lastPrice[_token] = 0;
+
+        // update the value
+        enabled[_token] = _enabled;
+
+        // emit event
+        emit TokenEnabled(_token, _enabled);
+    }
+
+    // setObservationPeriod changes the minimal time between two observations.
+    function setObservationPeriod(uint256 _period) external onlyOwner {
+        // make sure the value makes sense
+        require(0 < _period, "invalid observation period");
+
+        // update the value
+        observationPeriod = _period;
+
+        // emit event
+        emit ObservationPeriodChanged(_period);
+    }
+}
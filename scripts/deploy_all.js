@@ -131,8 +131,9 @@ async function main(network) {
   const fantomFUSD = await FantomFUSD.deploy();
   await fantomFUSD.deployed();
   console.log('FantomFUSD deployed at', fantomFUSD.address);
-  //await fantomFUSD.initialize(deployerAddress); //why not working??
-  //await fantomFUSD.init(deployerAddress); // if initialize in FantomFUSD is renamed to another name such as init, it will work
+  // the initialize is overloaded by the ERC20Detailed, so ethers needs the full signature
+  await fantomFUSD['initialize(address)'](deployerAddress);
+  await fantomFUSD.initializePermit((await ethers.provider.getNetwork()).chainId);
   ///
 
   ///
@@ -151,6 +152,95 @@ async function main(network) {
   );
   ///
 
+  ///
+  const FantomMintRateModel = await ethers.getContractFactory(
+    'FantomMintRateModel'
+  );
+  const fantomMintRateModel = await FantomMintRateModel.deploy();
+  await fantomMintRateModel.deployed();
+  console.log('FantomMintRateModel deployed at', fantomMintRateModel.address);
+  await fantomMintRateModel.initialize(deployerAddress);
+  ///
+
+  ///
+  const FantomMintPriceGuard = await ethers.getContractFactory(
+    'FantomMintPriceGuard'
+  );
+  const fantomMintPriceGuard = await FantomMintPriceGuard.deploy();
+  await fantomMintPriceGuard.deployed();
+  console.log('FantomMintPriceGuard deployed at', fantomMintPriceGuard.address);
+  await fantomMintPriceGuard.initialize(
+    deployerAddress,
+    fantomMintAddressProvider.address
+  );
+  ///
+
+  ///
+  const FantomMintTwapOracle = await ethers.getContractFactory(
+    'FantomMintTwapOracle'
+  );
+  const fantomMintTwapOracle = await FantomMintTwapOracle.deploy();
+  await fantomMintTwapOracle.deployed();
+  console.log('FantomMintTwapOracle deployed at', fantomMintTwapOracle.address);
+  await fantomMintTwapOracle.initialize(
+    deployerAddress,
+    fantomMintAddressProvider.address
+  );
+  ///
+
+  ///
+  const FantomMintLens = await ethers.getContractFactory('FantomMintLens');
+  const fantomMintLens = await FantomMintLens.deploy();
+  await fantomMintLens.deployed();
+  console.log('FantomMintLens deployed at', fantomMintLens.address);
+  await fantomMintLens.initialize(fantomMintAddressProvider.address);
+  ///
+
+  ///
+  const FantomMintRouter = await ethers.getContractFactory('FantomMintRouter');
+  const fantomMintRouter = await FantomMintRouter.deploy();
+  await fantomMintRouter.deployed();
+  console.log('FantomMintRouter deployed at', fantomMintRouter.address);
+  await fantomMintRouter.initialize(fantomMintAddressProvider.address);
+  ///
+
+  ///
+  const FantomMintFlashMinter = await ethers.getContractFactory(
+    'FantomMintFlashMinter'
+  );
+  const fantomMintFlashMinter = await FantomMintFlashMinter.deploy();
+  await fantomMintFlashMinter.deployed();
+  console.log(
+    'FantomMintFlashMinter deployed at',
+    fantomMintFlashMinter.address
+  );
+  await fantomMintFlashMinter.initialize(
+    deployerAddress,
+    fantomMintAddressProvider.address
+  );
+  ///
+
+  ///
+  const FantomMintPositionManager = await ethers.getContractFactory(
+    'FantomMintPositionManager'
+  );
+  const fantomMintPositionManager = await FantomMintPositionManager.deploy();
+  await fantomMintPositionManager.deployed();
+  console.log(
+    'FantomMintPositionManager deployed at',
+    fantomMintPositionManager.address
+  );
+  await fantomMintPositionManager.initialize(fantomMintAddressProvider.address);
+  ///
+
+  ///
+  const FantomFUSDSavings = await ethers.getContractFactory('FantomFUSDSavings');
+  const fantomFUSDSavings = await FantomFUSDSavings.deploy();
+  await fantomFUSDSavings.deployed();
+  console.log('FantomFUSDSavings deployed at', fantomFUSDSavings.address);
+  await fantomFUSDSavings.initialize(deployerAddress, fantomFUSD.address);
+  ///
+
   ///
   let wFTMAddress;
   let priceOracleProxyAddress;
@@ -221,6 +311,17 @@ async function main(network) {
   await fantomMintAddressProvider.setFantomLiquidationManager(
     fantomLiquidationManager.address
   );
+  await fantomMintAddressProvider.setRateModel(fantomMintRateModel.address);
+  await fantomMintAddressProvider.setSavingsVault(fantomFUSDSavings.address);
+  await fantomMintAddressProvider.setPriceGuard(fantomMintPriceGuard.address);
+  await fantomMintAddressProvider.setTwapOracle(fantomMintTwapOracle.address);
+  await fantomMintAddressProvider.setMintRouter(fantomMintRouter.address);
+  await fantomMintAddressProvider.setWrappedFtm(wFTMAddress);
+  await fantomMintAddressProvider.setFlashMinter(fantomMintFlashMinter.address);
+  // the swap adapter of the DEX used for deleveraging is registered manually, see the README
+  // FIP-001 fee split; 10% backstop to the treasury, 90% to fUSD stakers
+  // through the savings vault set above
+  await fantomMint.cfgSetFeeRecipients(deployerAddress, 1000);
   await fantomMintTokenRegistry.addToken(
     wFTMAddress,
     '',
@@ -228,20 +329,22 @@ async function main(network) {
     18,
     true,
     true,
-    false
+    false,
+    true
   );
-  // TODO: the FantomFUSD needs to run the initialize function first
-  /* await fantomMintTokenRegistry.addToken(
+  await fantomMintTokenRegistry.addToken(
     fantomFUSD.address,
     '',
     priceOracleProxyAddress,
     18,
     true,
     false,
-    true
-  ); */
+    true,
+    false
+  );
 
-  //await fantomFUSD.addMinter(fantomMint.address); //TODO: FantomFUSD needs to run the initialize function first
+  await fantomFUSD.addMinter(fantomMint.address);
+  await fantomFUSD.addMinter(fantomMintFlashMinter.address);
 
   await fantomLiquidationManager.updateFantomMintContractAddress(
     fantomMint.address
@@ -60,7 +60,9 @@ contract('Unit Test for FantomLiquidationManager', function ([
     });
     await this.fantomLiquidationManager.initialize(
       owner,
-      this.fantomMintAddressProvider.address
+      this.fantomMintAddressProvider.address,
+      ZERO_ADDRESS,
+      ZERO_ADDRESS
     );
 
     this.fantomMint = await FantomMint.new({ form: owner });
@@ -152,7 +154,8 @@ contract('Unit Test for FantomLiquidationManager', function ([
       18,
       true,
       true,
-      false
+      false,
+      true
     );
     await this.fantomMintTokenRegistry.addToken(
       this.mockToken2.address,
@@ -161,7 +164,8 @@ contract('Unit Test for FantomLiquidationManager', function ([
       18,
       true,
       true,
-      false
+      false,
+      true
     );
     await this.fantomMintTokenRegistry.addToken(
       this.fantomFUSD.address,
@@ -170,7 +174,8 @@ contract('Unit Test for FantomLiquidationManager', function ([
       18,
       true,
       false,
-      true
+      true,
+      false
     );
 
     await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
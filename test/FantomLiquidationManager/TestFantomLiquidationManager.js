@@ -26,7 +26,7 @@ const FantomFUSD = artifacts.require('FantomFUSD');
 const MockToken = artifacts.require('MockToken');
 const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
 
-let debtValue;
+let debtAmount;
 let offeredRatio;
 let totalSupply;
 let provider;
@@ -58,7 +58,9 @@ contract(
       });
       await this.fantomLiquidationManager.initialize(
         owner,
-        this.fantomMintAddressProvider.address
+        this.fantomMintAddressProvider.address,
+        constants.ZERO_ADDRESS,
+        constants.ZERO_ADDRESS
       );
 
       this.fantomMint = await FantomMint.new({ from: owner });
@@ -304,7 +306,7 @@ contract(
       it('should find collateral not eligible anymore', async function () {
        // make sure the collateral isn't eligible any more
         const isEligible =
-          await this.fantomLiquidationManager.collateralIsEligible(borrower);
+          await this.fantomLiquidationManager.collateralIsEligible(borrower, this.mockToken.address);
 
         expect(isEligible).to.be.equal(false);
       });
@@ -320,7 +322,7 @@ contract(
       await this.fantomLiquidationManager.setTime(startTime);
 
         let _auctionStartEvent =
-          await this.fantomLiquidationManager.liquidate(borrower, {
+          await this.fantomLiquidationManager.startLiquidation(borrower, {
             from: initiator
           });
 
@@ -341,7 +343,7 @@ contract(
         const { 0: offeringRatio, 3: auctionStartTime } = details;
 
         offeredRatio = offeringRatio;
-        debtValue = 3366329999999999999998 / 1e18;
+        debtAmount = (await this.fantomLiquidationManager.getLiquidationDetails(1))[7][0];
 
         expect(offeringRatio.toString()).to.equal(amount18(0.3));
         expect(auctionStartTime.toString()).to.equal(startTime.toString());
@@ -358,14 +360,14 @@ contract(
           { from: firstBidder }
         );
 
-        let _bidPlacedEvent = await this.fantomLiquidationManager.bid(1, etherToWei(1), {
+        let _bidPlacedEvent = await this.fantomLiquidationManager.bidAuction(1, new BN('100000000'), {
           from: firstBidder,
           value: etherToWei(0.05)
         });
   
         expectEvent(_bidPlacedEvent, 'BidPlaced', {
           nonce: new BN('1'),
-          percentage: etherToWei(1),
+          percentage: new BN('100000000'),
           bidder: firstBidder,
           offeredRatio: etherToWei(0.3)
         });
@@ -376,11 +378,10 @@ contract(
         expect(Number(weiToEther(balance))).to.be.greaterThanOrEqual(10000);
       });
 
-      it('the bidder should have (10000 - 3366.33) 6633.67 fUSD remaining', async function () {
-        let remainingBalance = 10000 - debtValue;
+      it('the bidder should have (10000 - 3333) 6667 fUSD remaining', async function () {
         let currentBalance = await this.fantomFUSD.balanceOf(firstBidder);
 
-        expect(weiToEther(currentBalance) * 1).to.equal(remainingBalance);
+        expect(currentBalance).to.be.bignumber.equal(etherToWei(10000).sub(debtAmount));
       });
 
       it('the bidder should get 30% of the total wFTM collateral', async function () {
@@ -390,8 +391,8 @@ contract(
         expect(weiToEther(balance)).to.equal(offeredCollateral.toString());
       });
 
-      it('the collateral pool should get the remaining 70% of the wFTM collateral back', async function () {
-        let balance = await this.collateralPool.balanceOf(borrower, this.mockToken.address);
+      it('the borrower should get the remaining 70% of the wFTM collateral back', async function () {
+        let balance = await this.mockToken.balanceOf(borrower);
 
         let remainingCollateral = 9999 - ((offeredRatio / PRICE_PRECISION) * 9999);
         expect(weiToEther(balance)).to.equal(remainingCollateral.toString());
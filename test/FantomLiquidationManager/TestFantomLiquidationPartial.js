@@ -0,0 +1,452 @@
+const { expectEvent, expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('../utils/index');
+
+const FantomLiquidationManager = artifacts.require('FantomLiquidationManager');
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const FantomMintPriceGuard = artifacts.require('FantomMintPriceGuard');
+const FantomMintRewardDistribution = artifacts.require(
+  'FantomMintRewardDistribution'
+);
+const FantomDeFiTokenStorage = artifacts.require('FantomDeFiTokenStorage');
+const FantomFUSD = artifacts.require('FantomFUSD');
+const MockToken = artifacts.require('MockToken');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+const MockSFC = artifacts.require('MockSFC');
+const MockStakeTokenizer = artifacts.require('MockStakeTokenizer');
+
+contract('FantomLiquidationManager partial liquidation', function([
+  owner,
+  borrower,
+  liquidator
+]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.fantomMint = await FantomMint.new({ from: owner });
+    await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+
+    this.collateralPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.collateralPool.initialize(this.addressProvider.address, true);
+
+    this.debtPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.debtPool.initialize(this.addressProvider.address, true);
+
+    this.rewardDistribution = await FantomMintRewardDistribution.new({
+      from: owner
+    });
+    await this.rewardDistribution.initialize(
+      owner,
+      this.addressProvider.address
+    );
+
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+    await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+    this.sFTM = await MockToken.new({ from: owner });
+    await this.sFTM.initialize('sFTM', 'sFTM', 18);
+
+    this.sfc = await MockSFC.new({ from: owner });
+    this.stakeTokenizer = await MockStakeTokenizer.new(this.sFTM.address, {
+      from: owner
+    });
+
+    this.liquidationManager = await FantomLiquidationManager.new({
+      from: owner
+    });
+    await this.liquidationManager.initialize(
+      owner,
+      this.addressProvider.address,
+      this.sfc.address,
+      this.stakeTokenizer.address
+    );
+    await this.liquidationManager.updateFantomMintContractAddress(
+      this.fantomMint.address,
+      { from: owner }
+    );
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.sFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+    await this.addressProvider.setFantomMint(this.fantomMint.address, {
+      from: owner
+    });
+    await this.addressProvider.setCollateralPool(this.collateralPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setDebtPool(this.debtPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+    await this.addressProvider.setRewardDistribution(
+      this.rewardDistribution.address,
+      { from: owner }
+    );
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+    await this.addressProvider.setFantomLiquidationManager(
+      this.liquidationManager.address,
+      { from: owner }
+    );
+
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      true
+    );
+    await this.tokenRegistry.addToken(
+      this.sFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.fantomFUSD.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      false,
+      true,
+      false
+    );
+
+    // the liquidator has enough fUSD to repay the debt
+    await this.fantomFUSD.mint(liquidator, etherToWei(100), { from: owner });
+    await this.fantomFUSD.approve(
+      this.liquidationManager.address,
+      etherToWei(100),
+      { from: liquidator }
+    );
+  });
+
+  // openPosition deposits 300 of the collateral token, mints 90 fUSD
+  // and drops the collateral price, so the position can be liquidated.
+  const openPosition = async function(ctx, token, price) {
+    await token.mint(borrower, etherToWei(300));
+    await token.approve(ctx.fantomMint.address, etherToWei(300), {
+      from: borrower
+    });
+    await ctx.fantomMint.mustDeposit(token.address, etherToWei(300), {
+      from: borrower
+    });
+    await ctx.fantomMint.mustMint(ctx.fantomFUSD.address, etherToWei(90), {
+      from: borrower
+    });
+    await ctx.oracle.setPrice(token.address, etherToWei(price));
+  };
+
+  describe('Partial liquidation parameters', function() {
+    it('should use the default close factor and bonus if not set', async function() {
+      expect(await this.liquidationManager.closeFactor4dec()).to.be.bignumber.equal('0');
+      expect(await this.liquidationManager.liquidationBonus4dec()).to.be.bignumber.equal('0');
+      expect(await this.liquidationManager.getCloseFactor()).to.be.bignumber.equal('5000');
+      expect(await this.liquidationManager.getLiquidationBonus()).to.be.bignumber.equal('1000');
+    });
+
+    it('should reject invalid parameters', async function() {
+      await expectRevert(
+        this.liquidationManager.updateCloseFactor(0, { from: owner }),
+        'Invalid close factor'
+      );
+      await expectRevert(
+        this.liquidationManager.updateLiquidationBonus(0, { from: owner }),
+        'Invalid liquidation bonus'
+      );
+    });
+
+    it('should cap the repaid amount by the updated close factor', async function() {
+      await openPosition(this, this.wFTM, 0.8);
+      await this.liquidationManager.updateCloseFactor(2500, { from: owner });
+
+      expect(
+        await this.liquidationManager.getMaxToRepay(borrower, this.fantomFUSD.address)
+      ).to.be.bignumber.equal(etherToWei(22.5));
+    });
+  });
+
+  describe('Partial liquidation', function() {
+    beforeEach(async function() {
+      await openPosition(this, this.wFTM, 0.8);
+    });
+
+    it('should reject repayment over the close factor', async function() {
+      expect(
+        await this.liquidationManager.getMaxToRepay(borrower, this.fantomFUSD.address)
+      ).to.be.bignumber.equal(etherToWei(45));
+
+      await expectRevert(
+        this.liquidationManager.liquidatePartial(
+          borrower,
+          this.fantomFUSD.address,
+          etherToWei(46),
+          this.wFTM.address,
+          [],
+          { from: liquidator }
+        ),
+        'Repay amount exceeds the close factor'
+      );
+    });
+
+    it('should seize the collateral worth the repaid debt with the bonus', async function() {
+      // 45 fUSD + 10% = 49.5 USD = 61.875 wFTM at 0.8 USD
+      const result = await this.liquidationManager.liquidatePartial(
+        borrower,
+        this.fantomFUSD.address,
+        etherToWei(45),
+        this.wFTM.address,
+        [],
+        { from: liquidator }
+      );
+
+      expectEvent(result, 'Repaid', {
+        target: borrower,
+        liquidator: liquidator,
+        token: this.fantomFUSD.address,
+        amount: etherToWei(45)
+      });
+      expectEvent(result, 'Seized', {
+        target: borrower,
+        liquidator: liquidator,
+        token: this.wFTM.address,
+        amount: etherToWei(61.875)
+      });
+
+      expect(await this.wFTM.balanceOf(liquidator)).to.be.bignumber.equal(etherToWei(61.875));
+      expect(await this.fantomFUSD.balanceOf(liquidator)).to.be.bignumber.equal(etherToWei(55));
+      expect(
+        await this.collateralPool.balanceOf(borrower, this.wFTM.address)
+      ).to.be.bignumber.equal(etherToWei(238.125));
+      expect(
+        await this.debtPool.balanceOf(borrower, this.fantomFUSD.address)
+      ).to.be.bignumber.equal(etherToWei(45));
+    });
+
+    it('should seize no more than the collateral balance', async function() {
+      // 45 fUSD + 10% = 49.5 USD = 495 wFTM at 0.1 USD, but only 300 wFTM is there
+      await this.oracle.setPrice(this.wFTM.address, etherToWei(0.1));
+
+      await this.liquidationManager.liquidatePartial(
+        borrower,
+        this.fantomFUSD.address,
+        etherToWei(45),
+        this.wFTM.address,
+        [],
+        { from: liquidator }
+      );
+
+      expect(await this.wFTM.balanceOf(liquidator)).to.be.bignumber.equal(etherToWei(300));
+      expect(
+        await this.collateralPool.balanceOf(borrower, this.wFTM.address)
+      ).to.be.bignumber.equal('0');
+    });
+
+    it('should reject liquidation of a healthy account', async function() {
+      await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+
+      await expectRevert(
+        this.liquidationManager.liquidatePartial(
+          borrower,
+          this.fantomFUSD.address,
+          etherToWei(45),
+          this.wFTM.address,
+          [],
+          { from: liquidator }
+        ),
+        'Collateral is not eligible for liquidation'
+      );
+    });
+
+    it('should cap the full liquidation by the close factor and bonus', async function() {
+      await this.liquidationManager.liquidate(borrower, [], {
+        from: liquidator
+      });
+
+      // 45 fUSD + 10% = 49.5 USD = 61.875 wFTM at 0.8 USD
+      expect(await this.wFTM.balanceOf(liquidator)).to.be.bignumber.equal(etherToWei(61.875));
+      expect(await this.fantomFUSD.balanceOf(liquidator)).to.be.bignumber.equal(etherToWei(55));
+      expect(
+        await this.collateralPool.balanceOf(borrower, this.wFTM.address)
+      ).to.be.bignumber.equal(etherToWei(238.125));
+      expect(
+        await this.debtPool.balanceOf(borrower, this.fantomFUSD.address)
+      ).to.be.bignumber.equal(etherToWei(45));
+    });
+  });
+
+  describe('Partial liquidation with the price guard', function() {
+    beforeEach(async function() {
+      this.priceGuard = await FantomMintPriceGuard.new({ from: owner });
+      await this.priceGuard.initialize(owner, this.addressProvider.address);
+      await this.addressProvider.setPriceGuard(this.priceGuard.address, {
+        from: owner
+      });
+      await this.priceGuard.setPriceLimits(this.wFTM.address, 3600, 2000, {
+        from: owner
+      });
+
+      // 1.0 -> 0.5 is out of 20%
+      await openPosition(this, this.wFTM, 0.5);
+    });
+
+    it('should liquidate on a price deviating over the limit', async function() {
+      expect(await this.priceGuard.isPriceTrusted(this.wFTM.address)).to.be.equal(false);
+
+      await this.liquidationManager.liquidatePartial(
+        borrower,
+        this.fantomFUSD.address,
+        etherToWei(45),
+        this.wFTM.address,
+        [],
+        { from: liquidator }
+      );
+
+      // 45 fUSD + 10% = 49.5 USD = 99 wFTM at 0.5 USD
+      expect(await this.wFTM.balanceOf(liquidator)).to.be.bignumber.equal(etherToWei(99));
+      expect(
+        await this.debtPool.balanceOf(borrower, this.fantomFUSD.address)
+      ).to.be.bignumber.equal(etherToWei(45));
+    });
+
+    it('should reject liquidation on a stale price', async function() {
+      await time.increase(time.duration.hours(2));
+
+      await expectRevert(
+        this.liquidationManager.liquidatePartial(
+          borrower,
+          this.fantomFUSD.address,
+          etherToWei(45),
+          this.wFTM.address,
+          [],
+          { from: liquidator }
+        ),
+        'Price is not trusted'
+      );
+    });
+  });
+
+  describe('Partial liquidation of sFTM', function() {
+    beforeEach(async function() {
+      await openPosition(this, this.sFTM, 0.8);
+
+      // the SFC pays the liquidated stake out in native tokens
+      await web3.eth.sendTransaction({
+        from: owner,
+        to: this.sfc.address,
+        value: etherToWei(100)
+      });
+    });
+
+    it('should liquidate the sFTM stake on the given validators', async function() {
+      await this.stakeTokenizer.setOutstandingSFTM(borrower, 1, etherToWei(40));
+      await this.stakeTokenizer.setOutstandingSFTM(borrower, 2, etherToWei(100));
+
+      await this.liquidationManager.liquidatePartial(
+        borrower,
+        this.fantomFUSD.address,
+        etherToWei(45),
+        this.sFTM.address,
+        [1, 2],
+        { from: liquidator }
+      );
+
+      // 61.875 sFTM is liquidated; 40 on the first validator and the rest on the second
+      expect(await this.sfc.lastValidatorID()).to.be.bignumber.equal('2');
+      expect(await this.sfc.lastAmount()).to.be.bignumber.equal(etherToWei(21.875));
+      expect(await web3.eth.getBalance(this.sfc.address)).to.be.equal(
+        etherToWei(100).sub(etherToWei(61.875)).toString()
+      );
+      expect(
+        await this.sFTM.balanceOf(this.liquidationManager.address)
+      ).to.be.bignumber.equal(etherToWei(61.875));
+      expect(
+        await this.collateralPool.balanceOf(borrower, this.sFTM.address)
+      ).to.be.bignumber.equal(etherToWei(238.125));
+    });
+
+    it('should take the rest of the full liquidation from the next collateral', async function() {
+      await this.wFTM.mint(borrower, etherToWei(300));
+      await this.wFTM.approve(this.fantomMint.address, etherToWei(300), {
+        from: borrower
+      });
+      await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(300), {
+        from: borrower
+      });
+      await this.oracle.setPrice(this.wFTM.address, etherToWei(0.1));
+      await this.oracle.setPrice(this.sFTM.address, etherToWei(0.1));
+      await this.stakeTokenizer.setOutstandingSFTM(borrower, 1, etherToWei(300));
+      await web3.eth.sendTransaction({
+        from: owner,
+        to: this.sfc.address,
+        value: etherToWei(200)
+      });
+
+      await this.liquidationManager.liquidate(borrower, [1], {
+        from: liquidator
+      });
+
+      // 45 fUSD + 10% = 49.5 USD; 300 sFTM covers 30 USD, 195 wFTM the rest
+      expect(await this.sfc.lastAmount()).to.be.bignumber.equal(etherToWei(300));
+      expect(await this.wFTM.balanceOf(liquidator)).to.be.bignumber.equal(etherToWei(195));
+      expect(
+        await this.collateralPool.balanceOf(borrower, this.wFTM.address)
+      ).to.be.bignumber.equal(etherToWei(105));
+    });
+
+    it('should reject liquidation over the sFTM outstanding on the validators', async function() {
+      await this.stakeTokenizer.setOutstandingSFTM(borrower, 1, etherToWei(40));
+
+      await expectRevert(
+        this.liquidationManager.liquidatePartial(
+          borrower,
+          this.fantomFUSD.address,
+          etherToWei(45),
+          this.sFTM.address,
+          [1],
+          { from: liquidator }
+        ),
+        'Not enough sFTM outstanding on the validators'
+      );
+    });
+
+    it('should not start an auction of the non-tradable sFTM', async function() {
+      await expectRevert(
+        this.liquidationManager.startLiquidation(borrower, { from: liquidator }),
+        'Collateral can not be auctioned'
+      );
+
+      expect(
+        await this.collateralPool.balanceOf(borrower, this.sFTM.address)
+      ).to.be.bignumber.equal(etherToWei(300));
+      expect(
+        await this.debtPool.balanceOf(borrower, this.fantomFUSD.address)
+      ).to.be.bignumber.equal(etherToWei(90));
+    });
+  });
+});
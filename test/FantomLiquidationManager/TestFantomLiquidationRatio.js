@@ -51,7 +51,9 @@ contract('FantomLiquidationManager', function([
     });
     await this.fantomLiquidationManager.initialize(
       owner,
-      this.fantomMintAddressProvider.address
+      this.fantomMintAddressProvider.address,
+      constants.ZERO_ADDRESS,
+      constants.ZERO_ADDRESS
     );
 
     this.fantomMint = await FantomMint.new({ from: owner });
@@ -199,7 +201,7 @@ contract('FantomLiquidationManager', function([
       startTime = await time.latest();
       await this.fantomLiquidationManager.setTime(startTime);
 
-      await this.fantomLiquidationManager.liquidate(borrower, {
+      await this.fantomLiquidationManager.startLiquidation(borrower, {
         from: initiator
       });
     });
@@ -223,7 +225,7 @@ contract('FantomLiquidationManager', function([
       );
 
       const { 0: offeringRatio } = details;
-      expect(offeringRatio.toString()).to.be.equal(amount18(0.326666666666666660));
+      expect(offeringRatio.toString()).to.be.equal('326666666666666680');
     });
 
     it('should show offering ratio -- 34% (after 2 minutes)', async function() {
@@ -292,4 +294,55 @@ contract('FantomLiquidationManager', function([
       expect(offeringRatio.toString()).to.be.equal(amount18(1));
     });
   });
+
+  describe('Offering schedule', function() {
+    it('should use the default schedule if none was set', async function() {
+      const { 0: times, 1: ratios } =
+        await this.fantomLiquidationManager.getOfferingSchedule();
+
+      expect(times.map(t => t.toString())).to.be.deep.equal(['60', '120', '3600', '432000']);
+      expect(ratios.map(r => r.toString())).to.be.deep.equal(
+        [amount18(0.3), amount18(0.34), amount18(0.6), amount18(1)]
+      );
+    });
+
+    it('should reject the schedule update from non-admin', async function() {
+      await expectRevert(
+        this.fantomLiquidationManager.updateOfferingSchedule(
+          [60, 600],
+          [amount18(0.5), amount18(1)],
+          { from: firstBidder }
+        ),
+        'Caller is not an admin'
+      );
+    });
+
+    it('should reject a schedule not ascending', async function() {
+      await expectRevert(
+        this.fantomLiquidationManager.updateOfferingSchedule(
+          [600, 60],
+          [amount18(0.5), amount18(1)]
+        ),
+        'Schedule not ascending'
+      );
+    });
+
+    it('should follow the updated schedule', async function() {
+      await this.fantomLiquidationManager.updateOfferingSchedule(
+        [60, 660],
+        [amount18(0.4), amount18(1)]
+      );
+
+      // 40% rising to 100% between the first minute and the 11th minute
+      expect(
+        (await this.fantomLiquidationManager.getOfferingRatio(30)).toString()
+      ).to.be.equal(amount18(0.4));
+      expect(
+        (await this.fantomLiquidationManager.getOfferingRatio(360)).toString()
+      ).to.be.equal(amount18(0.7));
+      expect(
+        (await this.fantomLiquidationManager.getOfferingRatio(3600)).toString()
+      ).to.be.equal(amount18(1));
+    });
+  });
 });
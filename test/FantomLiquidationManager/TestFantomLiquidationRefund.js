@@ -27,7 +27,7 @@ const FantomFUSD = artifacts.require('FantomFUSD');
 const MockToken = artifacts.require('MockToken');
 const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
 
-let debtValue;
+let debtAmount;
 let offeredRatio;
 let totalSupply;
 let finalInitiatorBalance;
@@ -45,6 +45,7 @@ contract(
     borrower,
     firstBidder,
     secondBidder,
+    , // the initiator of the other liquidation tests
     initiator
   ]) {
     before(async function () {
@@ -61,7 +62,9 @@ contract(
       });
       await this.fantomLiquidationManager.initialize(
         owner,
-        this.fantomMintAddressProvider.address
+        this.fantomMintAddressProvider.address,
+        constants.ZERO_ADDRESS,
+        constants.ZERO_ADDRESS
       );
 
       this.fantomMint = await FantomMint.new({ from: owner });
@@ -230,7 +233,7 @@ contract(
 
         // make sure the collateral isn't eligible any more
         const isEligible =
-          await this.fantomLiquidationManager.collateralIsEligible(borrower);
+          await this.fantomLiquidationManager.collateralIsEligible(borrower, this.mockToken.address);
 
         expect(isEligible).to.be.equal(false);
       });
@@ -245,7 +248,7 @@ contract(
         await this.fantomLiquidationManager.setTime(startTime);
 
         let _auctionStartEvent =
-          await this.fantomLiquidationManager.liquidate(borrower, {
+          await this.fantomLiquidationManager.startLiquidation(borrower, {
             from: initiator
           });
 
@@ -266,7 +269,7 @@ contract(
         const { 0: offeringRatio } = details;
 
         offeredRatio = offeringRatio;
-        debtValue = 3366329999999999999998 / 1e18;;
+        debtAmount = (await this.fantomLiquidationManager.getLiquidationDetails(1))[7][0];
 
         expect(offeringRatio.toString()).to.equal(amount18(0.3));
       });
@@ -282,14 +285,14 @@ contract(
           { from: firstBidder }
         );
 
-        let _bidPlacedEvent = await this.fantomLiquidationManager.bid(1, etherToWei(0.25), {
+        let _bidPlacedEvent = await this.fantomLiquidationManager.bidAuction(1, new BN('25000000'), {
           from: firstBidder,
           value: etherToWei(0.05)
         });
   
         expectEvent(_bidPlacedEvent, 'BidPlaced', {
           nonce: new BN('1'),
-          percentage: etherToWei(0.25),
+          percentage: new BN('25000000'),
           bidder: firstBidder,
           offeredRatio: etherToWei(0.3)
         });
@@ -302,11 +305,12 @@ contract(
         ).to.be.greaterThanOrEqual(10000);
       });
 
-      it('the bidder1 should have (10000 - (3366.33 * 0.25)) 9158.41 fUSD remaining', async function () {
-        let remainingBalance = 10000 - debtValue * 0.25;
+      it('the bidder1 should have (10000 - (3333 * 0.25)) 9166.75 fUSD remaining', async function () {
         let currentBalance = await this.fantomFUSD.balanceOf(firstBidder);
 
-        expect(Number(weiToEther(currentBalance))).to.equal(remainingBalance);
+        expect(currentBalance).to.be.bignumber.equal(
+          etherToWei(10000).sub(debtAmount.div(new BN('4')))
+        );
       });
 
       it('the bidder1 should get 30% of the (1/4) wFTM collateral', async function () {
@@ -323,14 +327,14 @@ contract(
           { from: secondBidder }
         );
 
-        let _bidPlacedEvent = await this.fantomLiquidationManager.bid(1, etherToWei(1), {
+        let _bidPlacedEvent = await this.fantomLiquidationManager.bidAuction(1, new BN('100000000'), {
           from: secondBidder,
           value: etherToWei(0.05)
         });
   
         expectEvent(_bidPlacedEvent, 'BidPlaced', {
           nonce: new BN('1'),
-          percentage: etherToWei(0.75),
+          percentage: new BN('75000000'),
           bidder: secondBidder,
           offeredRatio: etherToWei(0.3)
         });
@@ -354,12 +358,12 @@ contract(
         );
       });
 
-      it('the bidder2 should have (10000 - (3366.33 * 0.75)) 7,475.25 fUSD remaining', async function () {
-        let remainingBalance = 10000 - debtValue * 0.75;
+      it('the bidder2 should have (10000 - (3333 * 0.75)) 7500.25 fUSD remaining', async function () {
         let currentBalance = await this.fantomFUSD.balanceOf(secondBidder);
 
-        expect(weiToEther(currentBalance) * 1).to.equal(
-          Number(remainingBalance.toFixed(4))
+        // the last bid takes the whole remaining debt
+        expect(currentBalance).to.be.bignumber.equal(
+          etherToWei(10000).sub(debtAmount.sub(debtAmount.div(new BN('4'))))
         );
       });
 
@@ -370,8 +374,8 @@ contract(
         expect(weiToEther(balance)).to.equal(offeredCollateral.toString());
       });
 
-      it('the collateral pool should get the remaining 70% of the wFTM collateral back', async function () {
-        let balance = await this.collateralPool.balanceOf(borrower, this.mockToken.address);
+      it('the borrower should get the remaining 70% of the wFTM collateral back', async function () {
+        let balance = await this.mockToken.balanceOf(borrower);
 
         let remainingCollateral = 9999 - (offeredRatio / PRICE_PRECISION * 9999);
         expect(weiToEther(balance)).to.equal(remainingCollateral.toString());
@@ -60,7 +60,9 @@ contract('Unit Test for FantomLiquidationManager', function([
     });
     await this.fantomLiquidationManager.initialize(
       owner,
-      this.fantomMintAddressProvider.address
+      this.fantomMintAddressProvider.address,
+      ZERO_ADDRESS,
+      ZERO_ADDRESS
     );
 
     this.fantomMint = await FantomMint.new({ form: owner });
@@ -152,7 +154,8 @@ contract('Unit Test for FantomLiquidationManager', function([
       18,
       true,
       true,
-      false
+      false,
+      true
     );
     await this.fantomMintTokenRegistry.addToken(
       this.mockToken2.address,
@@ -161,7 +164,8 @@ contract('Unit Test for FantomLiquidationManager', function([
       18,
       true,
       true,
-      false
+      false,
+      true
     );
     await this.fantomMintTokenRegistry.addToken(
       this.fantomFUSD.address,
@@ -170,7 +174,8 @@ contract('Unit Test for FantomLiquidationManager', function([
       18,
       true,
       false,
-      true
+      true,
+      false
     );
 
     await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
@@ -843,19 +848,21 @@ contract('Unit Test for FantomLiquidationManager', function([
       });
 
       console.log(`
-            Get the liquidation detail now`);
-      let liquidationDetails = await this.fantomLiquidationManager.getLiquidationDetails(
-        1
+            Get the auction pricing now`);
+      let auctionPricing = await this.fantomLiquidationManager.getAuctionPricing(
+        1,
+        await this.fantomLiquidationManager.time()
       );
+      const offeringRatio = auctionPricing[0];
       console.log(
         `
             The offeringRatio now: `,
-        weiToEther(liquidationDetails[0])
+        weiToEther(auctionPricing[0])
       );
       console.log(
         `
             Collateral Value now: `,
-        weiToEther(liquidationDetails[4][0])
+        weiToEther(auctionPricing[1])
       );
 
       console.log(`
@@ -864,23 +871,25 @@ contract('Unit Test for FantomLiquidationManager', function([
       await this.fantomLiquidationManager.increaseTime(10 * 60 * 60);
 
       console.log(`
-            Get the liquidation detail after 10 hours`);
-      liquidationDetails = await this.fantomLiquidationManager.getLiquidationDetails(
-        1
+            Get the auction pricing after 10 hours`);
+      auctionPricing = await this.fantomLiquidationManager.getAuctionPricing(
+        1,
+        await this.fantomLiquidationManager.time()
       );
       console.log(
         `
             The offeringRatio after 10 hours: `,
-        weiToEther(liquidationDetails[0])
+        weiToEther(auctionPricing[0])
       );
       console.log(
         `
             Collateral Value after 10 hours: `,
-        weiToEther(liquidationDetails[4][0])
+        weiToEther(auctionPricing[1])
       );
 
       console.log(`
-            Should the the Collateral value after 10 hours be greater?`);
+            *The offeringRatio after 10 hours should be greater`);
+      expect(auctionPricing[0]).to.be.bignumber.greaterThan(offeringRatio);
     });
 
     it('Scenario 7', async function() {
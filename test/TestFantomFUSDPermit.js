@@ -0,0 +1,316 @@
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const FantomMintRewardDistribution = artifacts.require(
+  'FantomMintRewardDistribution'
+);
+const FantomDeFiTokenStorage = artifacts.require('FantomDeFiTokenStorage');
+const FantomFUSD = artifacts.require('FantomFUSD');
+const MockToken = artifacts.require('MockToken');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+
+contract('FantomFUSD permit', function([owner, borrower, other]) {
+  // sign signs the EIP-2612 permit of the owner
+  async function sign(token, holder, spender, value, deadline) {
+    const chainId = await web3.eth.getChainId();
+    const nonce = await token.nonces(holder);
+    const signer = await ethers.getSigner(holder);
+    const signature = await signer._signTypedData(
+      {
+        name: await token.name(),
+        version: '1',
+        chainId,
+        verifyingContract: token.address
+      },
+      {
+        Permit: [
+          { name: 'owner', type: 'address' },
+          { name: 'spender', type: 'address' },
+          { name: 'value', type: 'uint256' },
+          { name: 'nonce', type: 'uint256' },
+          { name: 'deadline', type: 'uint256' }
+        ]
+      },
+      {
+        owner: holder,
+        spender,
+        value: value.toString(),
+        nonce: nonce.toString(),
+        deadline: deadline.toString()
+      }
+    );
+    return ethers.utils.splitSignature(signature);
+  }
+
+  beforeEach(async function() {
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+    await this.fantomFUSD.initializePermit(await web3.eth.getChainId(), {
+      from: owner
+    });
+
+    this.deadline = (await time.latest()).add(time.duration.hours(1));
+  });
+
+  it('should set the allowance by the permit signature', async function() {
+    const sig = await sign(
+      this.fantomFUSD,
+      borrower,
+      other,
+      etherToWei(10),
+      this.deadline
+    );
+
+    await this.fantomFUSD.permit(
+      borrower,
+      other,
+      etherToWei(10),
+      this.deadline,
+      sig.v,
+      sig.r,
+      sig.s,
+      { from: other }
+    );
+
+    const allowance = await this.fantomFUSD.allowance(borrower, other);
+    expect(allowance.toString()).to.be.equal(etherToWei(10).toString());
+
+    const nonce = await this.fantomFUSD.nonces(borrower);
+    expect(nonce.toString()).to.be.equal('1');
+
+    // the same permit can not be used twice
+    await expectRevert(
+      this.fantomFUSD.permit(
+        borrower,
+        other,
+        etherToWei(10),
+        this.deadline,
+        sig.v,
+        sig.r,
+        sig.s,
+        { from: other }
+      ),
+      'invalid permit signature'
+    );
+  });
+
+  it('should reject an expired permit', async function() {
+    const deadline = (await time.latest()).sub(time.duration.minutes(1));
+    const sig = await sign(
+      this.fantomFUSD,
+      borrower,
+      other,
+      etherToWei(10),
+      deadline
+    );
+
+    await expectRevert(
+      this.fantomFUSD.permit(
+        borrower,
+        other,
+        etherToWei(10),
+        deadline,
+        sig.v,
+        sig.r,
+        sig.s,
+        { from: other }
+      ),
+      'permit expired'
+    );
+  });
+
+  it('should reject a permit signed by someone else', async function() {
+    const sig = await sign(
+      this.fantomFUSD,
+      other,
+      other,
+      etherToWei(10),
+      this.deadline
+    );
+
+    await expectRevert(
+      this.fantomFUSD.permit(
+        borrower,
+        other,
+        etherToWei(10),
+        this.deadline,
+        sig.v,
+        sig.r,
+        sig.s,
+        { from: other }
+      ),
+      'invalid permit signature'
+    );
+  });
+
+  it('should set the permit domain only once', async function() {
+    await expectRevert(
+      this.fantomFUSD.initializePermit(1, { from: owner }),
+      'permit already initialized'
+    );
+  });
+
+  describe('Repaying with a permit', function() {
+    beforeEach(async function() {
+      this.addressProvider = await FantomMintAddressProvider.new({
+        from: owner
+      });
+      await this.addressProvider.initialize(owner);
+
+      this.fantomMint = await FantomMint.new({ from: owner });
+      await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+      this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+      await this.tokenRegistry.initialize(owner);
+
+      this.collateralPool = await FantomDeFiTokenStorage.new({ from: owner });
+      await this.collateralPool.initialize(this.addressProvider.address, true);
+
+      this.debtPool = await FantomDeFiTokenStorage.new({ from: owner });
+      await this.debtPool.initialize(this.addressProvider.address, true);
+
+      this.rewardDistribution = await FantomMintRewardDistribution.new({
+        from: owner
+      });
+      await this.rewardDistribution.initialize(
+        owner,
+        this.addressProvider.address
+      );
+
+      await this.fantomFUSD.addMinter(this.fantomMint.address, {
+        from: owner
+      });
+
+      this.wFTM = await MockToken.new({ from: owner });
+      await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+      this.oracle = await MockPriceOracleProxy.new({ from: owner });
+      await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+      await this.oracle.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+      await this.addressProvider.setFantomMint(this.fantomMint.address, {
+        from: owner
+      });
+      await this.addressProvider.setCollateralPool(
+        this.collateralPool.address,
+        { from: owner }
+      );
+      await this.addressProvider.setDebtPool(this.debtPool.address, {
+        from: owner
+      });
+      await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+        from: owner
+      });
+      await this.addressProvider.setRewardDistribution(
+        this.rewardDistribution.address,
+        { from: owner }
+      );
+      await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+        from: owner
+      });
+
+      await this.tokenRegistry.addToken(
+        this.wFTM.address,
+        '',
+        this.oracle.address,
+        18,
+        true,
+        true,
+        false,
+        false
+      );
+      await this.tokenRegistry.addToken(
+        this.fantomFUSD.address,
+        '',
+        this.oracle.address,
+        18,
+        true,
+        false,
+        true,
+        false
+      );
+
+      await this.wFTM.mint(borrower, etherToWei(300));
+      await this.wFTM.approve(this.fantomMint.address, etherToWei(300), {
+        from: borrower
+      });
+      await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(300), {
+        from: borrower
+      });
+      await this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(50), {
+        from: borrower
+      });
+    });
+
+    it('should repay the debt without a separate approval', async function() {
+      const sig = await sign(
+        this.fantomFUSD,
+        borrower,
+        this.fantomMint.address,
+        etherToWei(20),
+        this.deadline
+      );
+
+      await this.fantomMint.repayWithPermit(
+        this.fantomFUSD.address,
+        etherToWei(20),
+        this.deadline,
+        sig.v,
+        sig.r,
+        sig.s,
+        { from: borrower }
+      );
+
+      const debt = await this.debtPool.balanceOf(
+        borrower,
+        this.fantomFUSD.address
+      );
+      expect(debt.toString()).to.be.equal(etherToWei(30).toString());
+    });
+
+    it('should repay with a permit already submitted by someone else', async function() {
+      const sig = await sign(
+        this.fantomFUSD,
+        borrower,
+        this.fantomMint.address,
+        etherToWei(20),
+        this.deadline
+      );
+
+      // the permit is used before the repay
+      await this.fantomFUSD.permit(
+        borrower,
+        this.fantomMint.address,
+        etherToWei(20),
+        this.deadline,
+        sig.v,
+        sig.r,
+        sig.s,
+        { from: other }
+      );
+
+      await this.fantomMint.repayWithPermit(
+        this.fantomFUSD.address,
+        etherToWei(20),
+        this.deadline,
+        sig.v,
+        sig.r,
+        sig.s,
+        { from: borrower }
+      );
+
+      const debt = await this.debtPool.balanceOf(
+        borrower,
+        this.fantomFUSD.address
+      );
+      expect(debt.toString()).to.be.equal(etherToWei(30).toString());
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomFUSD = artifacts.require('FantomFUSD');
+const FantomFUSDSavings = artifacts.require('FantomFUSDSavings');
+
+contract('FantomFUSDSavings', function([owner, staker, other]) {
+  before(async function() {
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+
+    this.savings = await FantomFUSDSavings.new({ from: owner });
+    await this.savings.initialize(owner, this.fantomFUSD.address);
+
+    await this.fantomFUSD.mint(staker, etherToWei(1000), { from: owner });
+    await this.fantomFUSD.approve(this.savings.address, etherToWei(1000), {
+      from: staker
+    });
+  });
+
+  it('should issue shares one to one on the first deposit', async function() {
+    await this.savings.deposit(etherToWei(1000), { from: staker });
+
+    const shares = await this.savings.shares(staker);
+    expect(shares.toString()).to.be.equal(etherToWei(1000).toString());
+  });
+
+  it('should reject withdrawal of shares not owned', async function() {
+    await expectRevert(
+      this.savings.withdraw(etherToWei(1), { from: other }),
+      'shares exceed balance'
+    );
+  });
+
+  it('should keep received fees locked right after the fee withdrawal', async function() {
+    // the fee pool withdrawal mints the stakers share to the vault
+    await this.fantomFUSD.mint(this.savings.address, etherToWei(100), {
+      from: owner
+    });
+    await this.savings.sync();
+
+    const assets = await this.savings.assetsOf(staker);
+    expect(assets.toString()).to.be.equal(etherToWei(1000).toString());
+  });
+
+  it('should unlock received fees over the unlock period', async function() {
+    await time.increase(time.duration.days(7));
+
+    const assets = await this.savings.assetsOf(staker);
+    expect(assets.toString()).to.be.equal(etherToWei(1100).toString());
+  });
+
+  it('should pay out the staked amount with fees on withdrawal', async function() {
+    await this.savings.withdraw(etherToWei(1000), { from: staker });
+
+    const balance = await this.fantomFUSD.balanceOf(staker);
+    expect(balance.toString()).to.be.equal(etherToWei(1100).toString());
+  });
+});
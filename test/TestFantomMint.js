@@ -33,6 +33,8 @@ contract('FantomMint', function([
   borrower,
   firstBidder,
   secondBidder,
+  , // the initiators of the liquidation tests
+  ,
   initiator
 ]) {
   before(async function() {
@@ -49,7 +51,9 @@ contract('FantomMint', function([
     });
     await this.fantomLiquidationManager.initialize(
       owner,
-      this.fantomMintAddressProvider.address
+      this.fantomMintAddressProvider.address,
+      constants.ZERO_ADDRESS,
+      constants.ZERO_ADDRESS
     );
 
     this.fantomMint = await FantomMint.new({ from: owner });
@@ -353,6 +357,9 @@ contract('FantomMint', function([
   });
 
   describe('Liquidation phase [Price goes down, single bidder bids completely]', function() {
+    let debtAmount;
+    let auctionDebtAmount;
+
     it('should get the new updated xFTM price ($1 -> $0.5)', async function() {
       await this.mockPriceOracleProxy.setPrice(
         this.mockTokenTwo.address,
@@ -369,7 +376,8 @@ contract('FantomMint', function([
     it('should find collateral not eligible anymore', async function() {
       // make sure the collateral isn't eligible any more
       const isEligible = await this.fantomLiquidationManager.collateralIsEligible(
-        borrower
+        borrower,
+        this.mockTokenOne.address
       );
 
       expect(isEligible).to.be.equal(false);
@@ -382,7 +390,20 @@ contract('FantomMint', function([
     });
 
     it('should start liquidation', async function() {
-      let _auctionStartEvent = await this.fantomLiquidationManager.liquidate(
+      debtAmount = await this.debtPool.balanceOf(
+        borrower,
+        this.fantomFUSD.address
+      );
+
+      // the debt share matching the value of the tradable collateral moves into the auction
+      const totalValue = await this.collateralPool.totalOf(borrower);
+      const nonTradableValue = await this.collateralPool.tokenValue(
+        this.mockTokenNT.address,
+        etherToWei(5000)
+      );
+      auctionDebtAmount = debtAmount.mul(totalValue.sub(nonTradableValue)).div(totalValue);
+
+      let _auctionStartEvent = await this.fantomLiquidationManager.startLiquidation(
         borrower,
         {from: initiator
         }
@@ -405,14 +426,14 @@ contract('FantomMint', function([
         { from: firstBidder }
       );
 
-      let _bidPlacedEvent = await this.fantomLiquidationManager.bid(1, etherToWei(1), {
+      let _bidPlacedEvent = await this.fantomLiquidationManager.bidAuction(1, new BN('100000000'), {
         from: firstBidder,
         value: etherToWei(0.05)
       });
 
       expectEvent(_bidPlacedEvent, 'BidPlaced', {
         nonce: new BN('1'),
-        percentage: etherToWei(1),
+        percentage: new BN('100000000'),
         bidder: firstBidder,
         offeredRatio: etherToWei(0.3)
       });
@@ -423,9 +444,11 @@ contract('FantomMint', function([
       expect(Number(weiToEther(balance))).to.be.greaterThanOrEqual(10000);
     });
 
-    it('the bidder should have (10000 - 5059) 4941 fUSD remaining', async function() {
+    it('the bidder should repay the debt share of the wFTM/xFTM collateral (11250 of 11275)', async function() {
       let currentBalance = await this.fantomFUSD.balanceOf(firstBidder);
-      expect(weiToEther(currentBalance) * 1).to.lessThan(4950);
+      expect(currentBalance).to.be.bignumber.equal(
+        etherToWei(10000).sub(auctionDebtAmount)
+      );
     });
 
     it('the bidder should get 30% of the total wFTM/xFTM collateral', async function() {
@@ -442,12 +465,22 @@ contract('FantomMint', function([
       expect(weiToEther(balanceThree)).to.equal('0');
     })
 
-    it('the collateral pool should get the remaining 70% of the wFTM collateral back', async function() {
-      let balanceOne = await this.collateralPool.balanceOf(borrower, this.mockTokenOne.address);
-      let balanceTwo = await this.collateralPool.balanceOf(borrower, this.mockTokenTwo.address);
+    it('the borrower should get the remaining 70% of the wFTM collateral back', async function() {
+      let balanceOne = await this.mockTokenOne.balanceOf(borrower);
+      let balanceTwo = await this.mockTokenTwo.balanceOf(borrower);
 
       expect(weiToEther(balanceOne)).to.equal('5250');
       expect(weiToEther(balanceTwo)).to.equal('5250');
     });
+
+    it('the borrower should keep the sFTM collateral with the rest of the debt', async function() {
+      let balance = await this.collateralPool.balanceOf(borrower, this.mockTokenNT.address);
+      let debt = await this.debtPool.balanceOf(borrower, this.fantomFUSD.address);
+
+      expect(weiToEther(balance)).to.equal('5000');
+      expect(debt).to.be.bignumber.equal(
+        debtAmount.sub(auctionDebtAmount)
+      );
+    });
   });
 });
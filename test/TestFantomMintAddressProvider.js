@@ -0,0 +1,85 @@
+const { constants } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const MockToken = artifacts.require('MockToken');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+
+contract('FantomMintAddressProvider token price oracle', function([owner]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.fantomMint = await FantomMint.new({ from: owner });
+    await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+
+    // the global price oracle aggregate
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+
+    // the price oracle registered for a single token
+    this.tokenOracle = await MockPriceOracleProxy.new({ from: owner });
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+    this.sFTM = await MockToken.new({ from: owner });
+    await this.sFTM.initialize('sFTM', 'sFTM', 18);
+
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.sFTM.address, etherToWei(1));
+    await this.tokenOracle.setPrice(this.sFTM.address, etherToWei(2));
+
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      constants.ZERO_ADDRESS,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.sFTM.address,
+      '',
+      this.tokenOracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+  });
+
+  it('should use the oracle registered for the token', async function() {
+    expect(
+      await this.addressProvider.getTokenPriceOracle(this.sFTM.address)
+    ).to.be.equal(this.tokenOracle.address);
+    expect(
+      await this.fantomMint.getPrice(this.sFTM.address)
+    ).to.be.bignumber.equal(etherToWei(2));
+  });
+
+  it('should fall back to the price oracle aggregate', async function() {
+    expect(
+      await this.addressProvider.getTokenPriceOracle(this.wFTM.address)
+    ).to.be.equal(this.oracle.address);
+    expect(
+      await this.fantomMint.getPrice(this.wFTM.address)
+    ).to.be.bignumber.equal(etherToWei(1));
+  });
+});
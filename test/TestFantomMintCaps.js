@@ -0,0 +1,201 @@
+const { constants, expectRevert } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const FantomMintRewardDistribution = artifacts.require(
+  'FantomMintRewardDistribution'
+);
+const FantomDeFiTokenStorage = artifacts.require('FantomDeFiTokenStorage');
+const FantomFUSD = artifacts.require('FantomFUSD');
+const MockToken = artifacts.require('MockToken');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+
+contract('FantomMint caps', function([owner, borrower, other]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.fantomMint = await FantomMint.new({ from: owner });
+    await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+
+    this.collateralPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.collateralPool.initialize(this.addressProvider.address, true);
+
+    this.debtPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.debtPool.initialize(this.addressProvider.address, true);
+
+    this.rewardDistribution = await FantomMintRewardDistribution.new({
+      from: owner
+    });
+    await this.rewardDistribution.initialize(
+      owner,
+      this.addressProvider.address
+    );
+
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+    await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+    await this.addressProvider.setFantomMint(this.fantomMint.address, {
+      from: owner
+    });
+    await this.addressProvider.setCollateralPool(this.collateralPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setDebtPool(this.debtPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+    await this.addressProvider.setRewardDistribution(
+      this.rewardDistribution.address,
+      { from: owner }
+    );
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.fantomFUSD.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      false,
+      true,
+      false
+    );
+
+    await this.wFTM.mint(borrower, etherToWei(300));
+    await this.wFTM.approve(this.fantomMint.address, etherToWei(300), {
+      from: borrower
+    });
+  });
+
+  it('should not limit tokens without a cap', async function() {
+    const deposit = await this.fantomMint.depositCapRemaining(
+      this.wFTM.address
+    );
+    expect(deposit.toString()).to.be.equal(constants.MAX_UINT256.toString());
+
+    const mint = await this.fantomMint.mintCapRemaining(
+      this.fantomFUSD.address
+    );
+    expect(mint.toString()).to.be.equal(constants.MAX_UINT256.toString());
+
+    await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(300), {
+      from: borrower
+    });
+    await this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(90), {
+      from: borrower
+    });
+  });
+
+  it('should reject a deposit over the deposit cap', async function() {
+    await this.tokenRegistry.setDepositCap(this.wFTM.address, etherToWei(200), {
+      from: owner
+    });
+
+    await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(150), {
+      from: borrower
+    });
+    const remaining = await this.fantomMint.depositCapRemaining(
+      this.wFTM.address
+    );
+    expect(remaining.toString()).to.be.equal(etherToWei(50).toString());
+
+    const result = await this.fantomMint.deposit.call(
+      this.wFTM.address,
+      etherToWei(100),
+      { from: borrower }
+    );
+    const errCapExceeded = await this.fantomMint.ERR_CAP_EXCEEDED();
+    expect(result.toString()).to.be.equal(errCapExceeded.toString());
+
+    await expectRevert(
+      this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(100), {
+        from: borrower
+      }),
+      'deposit cap exceeded'
+    );
+  });
+
+  it('should reject a mint over the mint cap', async function() {
+    await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(300), {
+      from: borrower
+    });
+    await this.tokenRegistry.setMintCap(
+      this.fantomFUSD.address,
+      etherToWei(40),
+      { from: owner }
+    );
+
+    const result = await this.fantomMint.mint.call(
+      this.fantomFUSD.address,
+      etherToWei(50),
+      { from: borrower }
+    );
+    const errCapExceeded = await this.fantomMint.ERR_CAP_EXCEEDED();
+    expect(result.toString()).to.be.equal(errCapExceeded.toString());
+
+    await expectRevert(
+      this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(50), {
+        from: borrower
+      }),
+      'mint cap exceeded'
+    );
+  });
+
+  it('should clamp the max mint to the mint cap', async function() {
+    await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(300), {
+      from: borrower
+    });
+    await this.tokenRegistry.setMintCap(
+      this.fantomFUSD.address,
+      etherToWei(40),
+      { from: owner }
+    );
+
+    // the collateral would carry up to 100 fUSD, the cap allows 40 only
+    await this.fantomMint.mustMintMax(this.fantomFUSD.address, 30000, {
+      from: borrower
+    });
+
+    const debt = await this.debtPool.balanceOf(
+      borrower,
+      this.fantomFUSD.address
+    );
+    expect(debt.toString()).to.be.equal(etherToWei(40).toString());
+
+    const remaining = await this.fantomMint.mintCapRemaining(
+      this.fantomFUSD.address
+    );
+    expect(remaining.toString()).to.be.equal('0');
+  });
+});
@@ -0,0 +1,107 @@
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const FantomMintChainlinkOracle = artifacts.require('FantomMintChainlinkOracle');
+const MockAggregatorV3 = artifacts.require('MockAggregatorV3');
+const MockToken = artifacts.require('MockToken');
+
+contract('FantomMintChainlinkOracle', function([owner, other]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+
+    this.oracle = await FantomMintChainlinkOracle.new({ from: owner });
+    await this.oracle.initialize(owner, this.addressProvider.address);
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false,
+      { from: owner }
+    );
+
+    // ChainLink USD feeds use 8 decimals
+    this.aggregator = await MockAggregatorV3.new({ from: owner });
+    await this.aggregator.setDecimals(8);
+    await this.oracle.setAggregator(this.wFTM.address, this.aggregator.address, {
+      from: owner
+    });
+  });
+
+  it('should reject aggregator from non-owner', async function() {
+    await expectRevert.unspecified(
+      this.oracle.setAggregator(this.wFTM.address, other, { from: other })
+    );
+  });
+
+  it('should normalize the price to the registry price decimals', async function() {
+    await this.aggregator.updateAnswer('150000000');
+
+    const price = await this.oracle.getPrice(this.wFTM.address);
+    expect(price.toString()).to.be.equal('1500000000000000000');
+  });
+
+  it('should provide the previous price', async function() {
+    await this.aggregator.updateAnswer('100000000');
+    await this.aggregator.updateAnswer('150000000');
+
+    const previous = await this.oracle.getPreviousPrice(this.wFTM.address, 1);
+    expect(previous.toString()).to.be.equal('1000000000000000000');
+  });
+
+  it('should not provide the previous price over a phase boundary', async function() {
+    await this.aggregator.updateAnswer('100000000');
+
+    // the first round of the second phase of the feed
+    const { BN } = web3.utils;
+    const roundId = new BN(2).shln(64).addn(1);
+    const { timestamp } = await web3.eth.getBlock('latest');
+    await this.aggregator.setRoundData(roundId, '150000000', timestamp, roundId);
+
+    const price = await this.oracle.getPrice(this.wFTM.address);
+    expect(price.toString()).to.be.equal('1500000000000000000');
+
+    const previous = await this.oracle.getPreviousPrice(this.wFTM.address, 1);
+    expect(previous.toString()).to.be.equal('0');
+
+    const updated = await this.oracle.getPreviousTimeStamp(this.wFTM.address, 1);
+    expect(updated.toString()).to.be.equal('0');
+  });
+
+  it('should provide zero price of negative answers', async function() {
+    await this.aggregator.updateAnswer('-1');
+
+    const price = await this.oracle.getPrice(this.wFTM.address);
+    expect(price.toString()).to.be.equal('0');
+  });
+
+  it('should provide zero price of stale rounds', async function() {
+    await this.aggregator.setRoundData(2, '150000000', 1, 1);
+
+    const price = await this.oracle.getPrice(this.wFTM.address);
+    expect(price.toString()).to.be.equal('0');
+  });
+
+  it('should provide zero price of incomplete rounds', async function() {
+    await this.aggregator.setRoundData(1, '150000000', 0, 1);
+
+    const price = await this.oracle.getPrice(this.wFTM.address);
+    expect(price.toString()).to.be.equal('0');
+  });
+});
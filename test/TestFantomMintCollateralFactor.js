@@ -0,0 +1,198 @@
+const { expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const FantomMintRewardDistribution = artifacts.require(
+  'FantomMintRewardDistribution'
+);
+const FantomDeFiTokenStorage = artifacts.require('FantomDeFiTokenStorage');
+const FantomFUSD = artifacts.require('FantomFUSD');
+const MockToken = artifacts.require('MockToken');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+
+contract('FantomMint collateral factor', function([owner, borrower, other]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.fantomMint = await FantomMint.new({ from: owner });
+    await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+
+    this.collateralPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.collateralPool.initialize(this.addressProvider.address, true);
+
+    this.debtPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.debtPool.initialize(this.addressProvider.address, true);
+
+    this.rewardDistribution = await FantomMintRewardDistribution.new({
+      from: owner
+    });
+    await this.rewardDistribution.initialize(
+      owner,
+      this.addressProvider.address
+    );
+
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+    await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+    await this.addressProvider.setFantomMint(this.fantomMint.address, {
+      from: owner
+    });
+    await this.addressProvider.setCollateralPool(this.collateralPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setDebtPool(this.debtPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+    await this.addressProvider.setRewardDistribution(
+      this.rewardDistribution.address,
+      { from: owner }
+    );
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.fantomFUSD.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      false,
+      true,
+      false
+    );
+
+    await this.wFTM.mint(borrower, etherToWei(300));
+    await this.wFTM.approve(this.fantomMint.address, etherToWei(300), {
+      from: borrower
+    });
+  });
+
+  it('should count the full token value by default', async function() {
+    const factor = await this.tokenRegistry.collateralFactor4dec(
+      this.wFTM.address
+    );
+    expect(factor.toString()).to.be.equal('10000');
+  });
+
+  it('should keep the collateral factor within 1 and 10000', async function() {
+    await expectRevert(
+      this.tokenRegistry.setCollateralFactor(this.wFTM.address, 0, {
+        from: owner
+      }),
+      'invalid collateral factor'
+    );
+    await expectRevert(
+      this.tokenRegistry.setCollateralFactor(this.wFTM.address, 10001, {
+        from: owner
+      }),
+      'invalid collateral factor'
+    );
+    await expectRevert(
+      this.tokenRegistry.setCollateralFactor(other, 5000, { from: owner }),
+      'token unknown'
+    );
+    await expectRevert(
+      this.tokenRegistry.setCollateralFactor(this.wFTM.address, 5000, {
+        from: other
+      }),
+      'Ownable: caller is not the owner'
+    );
+
+    await this.tokenRegistry.setCollateralFactor(this.wFTM.address, 1, {
+      from: owner
+    });
+    const { logs } = await this.tokenRegistry.setCollateralFactor(
+      this.wFTM.address,
+      10000,
+      { from: owner }
+    );
+    expectEvent.inLogs(logs, 'CollateralFactorChanged', {
+      token: this.wFTM.address,
+      factor4dec: '10000'
+    });
+  });
+
+  it('should reduce the max amount to mint and to withdraw', async function() {
+    await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(300), {
+      from: borrower
+    });
+
+    // the full value of 300 wFTM carries up to 100 fUSD at 300%
+    const fullMint = await this.fantomMint.getMaxToMint(
+      borrower,
+      this.fantomFUSD.address,
+      30000
+    );
+    expect(fullMint.gt(etherToWei(99))).to.be.equal(true);
+
+    // only a half of the value counts with the factor of 50%
+    await this.tokenRegistry.setCollateralFactor(this.wFTM.address, 5000, {
+      from: owner
+    });
+    const halfMint = await this.fantomMint.getMaxToMint(
+      borrower,
+      this.fantomFUSD.address,
+      30000
+    );
+    expect(halfMint.gt(etherToWei(49))).to.be.equal(true);
+    expect(halfMint.lte(etherToWei(50))).to.be.equal(true);
+
+    await expectRevert(
+      this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(60), {
+        from: borrower
+      }),
+      'insufficient collateral value'
+    );
+    await this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(20), {
+      from: borrower
+    });
+
+    // 60 USD of the weighted collateral must stay to cover 20 fUSD at 300%,
+    // the weighted excess of 90 USD is worth 180 wFTM
+    const maxWithdraw = await this.fantomMint.getMaxToWithdraw(
+      borrower,
+      this.wFTM.address,
+      30000
+    );
+    expect(maxWithdraw.gt(etherToWei(179))).to.be.equal(true);
+    expect(maxWithdraw.lte(etherToWei(180))).to.be.equal(true);
+
+    await expectRevert(
+      this.fantomMint.mustWithdraw(this.wFTM.address, etherToWei(200), {
+        from: borrower
+      }),
+      'insufficient collateral value remains'
+    );
+  });
+});
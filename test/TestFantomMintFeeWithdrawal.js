@@ -0,0 +1,209 @@
+const {
+  constants,
+  expectEvent,
+  expectRevert
+} = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const FantomMintRewardDistribution = artifacts.require(
+  'FantomMintRewardDistribution'
+);
+const FantomDeFiTokenStorage = artifacts.require('FantomDeFiTokenStorage');
+const FantomFUSD = artifacts.require('FantomFUSD');
+const MockToken = artifacts.require('MockToken');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+
+contract('FantomMint fee withdrawal', function([
+  owner,
+  borrower,
+  other,
+  treasury,
+  vault
+]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.fantomMint = await FantomMint.new({ from: owner });
+    await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+
+    this.collateralPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.collateralPool.initialize(this.addressProvider.address, true);
+
+    this.debtPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.debtPool.initialize(this.addressProvider.address, true);
+
+    this.rewardDistribution = await FantomMintRewardDistribution.new({
+      from: owner
+    });
+    await this.rewardDistribution.initialize(
+      owner,
+      this.addressProvider.address
+    );
+
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+    await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+    await this.addressProvider.setFantomMint(this.fantomMint.address, {
+      from: owner
+    });
+    await this.addressProvider.setCollateralPool(this.collateralPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setDebtPool(this.debtPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+    await this.addressProvider.setRewardDistribution(
+      this.rewardDistribution.address,
+      { from: owner }
+    );
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+    // the stakers share of the fee goes to the savings vault
+    await this.addressProvider.setSavingsVault(vault, { from: owner });
+
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.fantomFUSD.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      false,
+      true,
+      false
+    );
+
+    await this.wFTM.mint(borrower, etherToWei(300));
+    await this.wFTM.approve(this.fantomMint.address, etherToWei(300), {
+      from: borrower
+    });
+  });
+
+  // mintWithFee opens a position minting 90 fUSD and returns the collected fee
+  const mintWithFee = async function(ctx) {
+    await ctx.fantomMint.mustDeposit(ctx.wFTM.address, etherToWei(300), {
+      from: borrower
+    });
+    await ctx.fantomMint.mustMint(ctx.fantomFUSD.address, etherToWei(90), {
+      from: borrower
+    });
+    return ctx.fantomMint.feePool(ctx.fantomFUSD.address);
+  };
+
+  it('should reject the fee withdrawal by non-owner', async function() {
+    await this.fantomMint.cfgSetFeeRecipients(treasury, 1000, {
+      from: owner
+    });
+    await mintWithFee(this);
+
+    await expectRevert(
+      this.fantomMint.withdrawFee(this.fantomFUSD.address, { from: other }),
+      'fee withdrawal restricted'
+    );
+  });
+
+  it('should reject the fee withdrawal without the treasury', async function() {
+    await mintWithFee(this);
+
+    await expectRevert(
+      this.fantomMint.withdrawFee(this.fantomFUSD.address, { from: owner }),
+      'fee treasury not set'
+    );
+  });
+
+  it('should reject the fee withdrawal with no fee collected', async function() {
+    await this.fantomMint.cfgSetFeeRecipients(treasury, 1000, {
+      from: owner
+    });
+
+    await expectRevert(
+      this.fantomMint.withdrawFee(this.fantomFUSD.address, { from: owner }),
+      'no fee to withdraw'
+    );
+  });
+
+  it('should reject the treasury share over 100%', async function() {
+    await expectRevert(
+      this.fantomMint.cfgSetFeeRecipients(treasury, 10001, {
+        from: owner
+      }),
+      'invalid fee share'
+    );
+  });
+
+  it('should split the fee between the treasury and the vault', async function() {
+    await this.fantomMint.cfgSetFeeRecipients(treasury, 1000, {
+      from: owner
+    });
+    const fee = await mintWithFee(this);
+
+    // 0.5% of the minted amount rounded up
+    expect(fee).to.be.bignumber.equal(etherToWei(0.45).addn(1));
+
+    const result = await this.fantomMint.withdrawFee(this.fantomFUSD.address, {
+      from: owner
+    });
+
+    const treasuryAmount = fee.muln(1000).divn(10000);
+    const vaultAmount = fee.sub(treasuryAmount);
+
+    expectEvent(result, 'FeeWithdrawn', {
+      token: this.fantomFUSD.address,
+      treasury: treasury,
+      treasuryAmount: treasuryAmount,
+      vault: vault,
+      vaultAmount: vaultAmount
+    });
+
+    expect(await this.fantomFUSD.balanceOf(treasury)).to.be.bignumber.equal(treasuryAmount);
+    expect(await this.fantomFUSD.balanceOf(vault)).to.be.bignumber.equal(vaultAmount);
+    expect(await this.fantomMint.feePool(this.fantomFUSD.address)).to.be.bignumber.equal('0');
+    expect(await this.fantomMint.feeClaimed(this.fantomFUSD.address)).to.be.bignumber.equal(fee);
+  });
+
+  it('should send the whole fee to the treasury without the savings vault', async function() {
+    await this.addressProvider.setSavingsVault(constants.ZERO_ADDRESS, {
+      from: owner
+    });
+    await this.fantomMint.cfgSetFeeRecipients(treasury, 1000, {
+      from: owner
+    });
+    const fee = await mintWithFee(this);
+
+    await this.fantomMint.withdrawFee(this.fantomFUSD.address, { from: owner });
+
+    expect(await this.fantomFUSD.balanceOf(treasury)).to.be.bignumber.equal(fee);
+    expect(await this.fantomMint.feeClaimed(this.fantomFUSD.address)).to.be.bignumber.equal(fee);
+  });
+});
@@ -0,0 +1,147 @@
+const { expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const FantomMintFlashMinter = artifacts.require('FantomMintFlashMinter');
+const FantomFUSD = artifacts.require('FantomFUSD');
+const MockToken = artifacts.require('MockToken');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+const MockFlashBorrower = artifacts.require('MockFlashBorrower');
+
+contract('FantomMintFlashMinter', function([owner, other]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.fantomMint = await FantomMint.new({ from: owner });
+    await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+
+    this.flashMinter = await FantomMintFlashMinter.new({ from: owner });
+    await this.flashMinter.initialize(owner, this.addressProvider.address);
+
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+    await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
+    await this.fantomFUSD.addMinter(this.flashMinter.address, { from: owner });
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+    await this.addressProvider.setFantomMint(this.fantomMint.address, {
+      from: owner
+    });
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+    await this.addressProvider.setFlashMinter(this.flashMinter.address, {
+      from: owner
+    });
+
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.fantomFUSD.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      false,
+      true,
+      false
+    );
+
+    this.borrower = await MockFlashBorrower.new({ from: owner });
+
+    // the borrower needs some tokens to cover the fee
+    await this.fantomFUSD.mint(this.borrower.address, etherToWei(1), {
+      from: owner
+    });
+  });
+
+  it('should lend the tokens and credit the fee to the fee pool', async function() {
+    const fee = await this.flashMinter.flashFee(
+      this.fantomFUSD.address,
+      etherToWei(1000)
+    );
+    expect(fee.toString()).to.be.equal(etherToWei(0.9).toString());
+
+    const { tx } = await this.borrower.borrow(
+      this.flashMinter.address,
+      this.fantomFUSD.address,
+      etherToWei(1000)
+    );
+    await expectEvent.inTransaction(tx, this.flashMinter, 'FlashMinted', {
+      receiver: this.borrower.address,
+      token: this.fantomFUSD.address,
+      amount: etherToWei(1000),
+      fee: etherToWei(0.9)
+    });
+
+    // the loan was available inside of the callback
+    const loanBalance = await this.borrower.loanBalance();
+    expect(loanBalance.toString()).to.be.equal(etherToWei(1001).toString());
+
+    // the loan and the fee were burned
+    const balance = await this.fantomFUSD.balanceOf(this.borrower.address);
+    expect(balance.toString()).to.be.equal(etherToWei(0.1).toString());
+
+    const feePool = await this.fantomMint.feePool(this.fantomFUSD.address);
+    expect(feePool.toString()).to.be.equal(etherToWei(0.9).toString());
+  });
+
+  it('should revert if the loan is not returned', async function() {
+    await this.borrower.setShouldRepay(false);
+
+    await expectRevert(
+      this.borrower.borrow(
+        this.flashMinter.address,
+        this.fantomFUSD.address,
+        etherToWei(1000)
+      ),
+      'ERC20: burn amount exceeds allowance'
+    );
+  });
+
+  it('should not lend tokens the minter can not mint', async function() {
+    const max = await this.flashMinter.maxFlashLoan(this.wFTM.address);
+    expect(max.toString()).to.be.equal('0');
+
+    await expectRevert(
+      this.borrower.borrow(
+        this.flashMinter.address,
+        this.wFTM.address,
+        etherToWei(1)
+      ),
+      'flash mint limit exceeded'
+    );
+  });
+
+  it('should accept the flash fee from the flash minter only', async function() {
+    await expectRevert(
+      this.fantomMint.creditFlashFee(this.fantomFUSD.address, etherToWei(1), {
+        from: other
+      }),
+      'restricted to flash minter'
+    );
+  });
+});
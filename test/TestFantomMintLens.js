@@ -0,0 +1,189 @@
+const { BN } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const FantomMintRewardDistribution = artifacts.require(
+  'FantomMintRewardDistribution'
+);
+const FantomMintLens = artifacts.require('FantomMintLens');
+const FantomDeFiTokenStorage = artifacts.require('FantomDeFiTokenStorage');
+const FantomFUSD = artifacts.require('FantomFUSD');
+const MockToken = artifacts.require('MockToken');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+
+contract('FantomMintLens', function([owner, borrower, other]) {
+  before(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.fantomMint = await FantomMint.new({ from: owner });
+    await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+
+    this.collateralPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.collateralPool.initialize(this.addressProvider.address, true);
+
+    this.debtPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.debtPool.initialize(this.addressProvider.address, true);
+
+    this.rewardDistribution = await FantomMintRewardDistribution.new({
+      from: owner
+    });
+    await this.rewardDistribution.initialize(
+      owner,
+      this.addressProvider.address
+    );
+
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+    await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+    await this.addressProvider.setFantomMint(this.fantomMint.address, {
+      from: owner
+    });
+    await this.addressProvider.setCollateralPool(this.collateralPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setDebtPool(this.debtPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+    await this.addressProvider.setRewardDistribution(
+      this.rewardDistribution.address,
+      { from: owner }
+    );
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.fantomFUSD.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      false,
+      true,
+      false
+    );
+
+    this.lens = await FantomMintLens.new({ from: owner });
+    await this.lens.initialize(this.addressProvider.address);
+
+    // open a position of 300 wFTM backing 50 fUSD
+    await this.wFTM.mint(borrower, etherToWei(300));
+    await this.wFTM.approve(this.fantomMint.address, etherToWei(300), {
+      from: borrower
+    });
+    await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(300), {
+      from: borrower
+    });
+    await this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(50), {
+      from: borrower
+    });
+  });
+
+  it('should report unlimited health of an account without debt', async function() {
+    const health = await this.lens.getHealth(other);
+    expect(health.healthFactor4dec.toString()).to.be.equal(
+      new BN(2).pow(new BN(256)).subn(1).toString()
+    );
+  });
+
+  it('should summarize the position of an account', async function() {
+    const position = await this.lens.getPosition(borrower);
+
+    expect(position.collateral.length).to.be.equal(1);
+    expect(position.collateral[0].token).to.be.equal(this.wFTM.address);
+    expect(position.collateral[0].balance).to.be.equal(
+      etherToWei(300).toString()
+    );
+
+    expect(position.debt.length).to.be.equal(1);
+    expect(position.debt[0].token).to.be.equal(this.fantomFUSD.address);
+    expect(position.debt[0].balance).to.be.equal(etherToWei(50).toString());
+
+    // 300 USD of collateral over 50 USD of debt, the lowest ratio is 300%
+    expect(position.ratio4dec).to.be.equal('59999');
+    expect(position.healthFactor4dec).to.be.equal('19999');
+    expect(position.isLiquidatable).to.be.equal(false);
+  });
+
+  it('should calculate the liquidation price of the collateral', async function() {
+    const position = await this.lens.getPosition(borrower);
+
+    // 50 USD of debt needs 150 USD of collateral; 150 USD / 300 wFTM
+    const price = new BN(position.collateral[0].liquidationPrice);
+    expect(price.gte(etherToWei(0.5))).to.be.equal(true);
+    expect(price.lt(etherToWei(0.5001))).to.be.equal(true);
+  });
+
+  it('should round the minimal collateral value up on partial ratios', async function() {
+    // 300% is a whole multiple of the debt, 150% is not
+    expect(
+      await this.fantomMint.calcMinCollateralValue(100, 30000)
+    ).to.be.bignumber.equal(new BN(300));
+    expect(
+      await this.fantomMint.calcMinCollateralValue(100, 15000)
+    ).to.be.bignumber.equal(new BN(151));
+  });
+
+  it('should not report a liquidation price of an account without debt', async function() {
+    const price = await this.lens.getLiquidationPrice(other, this.wFTM.address);
+    expect(price.toString()).to.be.equal('0');
+  });
+
+  it('should make the account liquidatable on the liquidation price', async function() {
+    const price = await this.lens.getLiquidationPrice(
+      borrower,
+      this.wFTM.address
+    );
+
+    // just above the liquidation price
+    await this.oracle.setPrice(this.wFTM.address, price.addn(1));
+    expect(await this.fantomMint.isLiquidatable(borrower)).to.be.equal(false);
+
+    // just under the liquidation price
+    await this.oracle.setPrice(this.wFTM.address, price.subn(2));
+    expect(await this.fantomMint.isLiquidatable(borrower)).to.be.equal(true);
+
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+  });
+
+  it('should list the liquidation price of each collateral token', async function() {
+    const result = await this.lens.getLiquidationPrices(borrower);
+
+    expect(result.tokens).to.be.deep.equal([this.wFTM.address]);
+    expect(result.prices[0].toString()).to.be.equal(
+      (
+        await this.lens.getLiquidationPrice(borrower, this.wFTM.address)
+      ).toString()
+    );
+  });
+});
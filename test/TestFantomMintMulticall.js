@@ -0,0 +1,274 @@
+const { expectRevert } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const FantomMintRewardDistribution = artifacts.require(
+  'FantomMintRewardDistribution'
+);
+const FantomDeFiTokenStorage = artifacts.require('FantomDeFiTokenStorage');
+const FantomFUSD = artifacts.require('FantomFUSD');
+const MockToken = artifacts.require('MockToken');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+
+const DEPOSIT = web3.eth.abi.encodeFunctionSignature('deposit(address,uint256)');
+const WITHDRAW = web3.eth.abi.encodeFunctionSignature(
+  'withdraw(address,uint256)'
+);
+const MINT = web3.eth.abi.encodeFunctionSignature('mint(address,uint256)');
+const REPAY = web3.eth.abi.encodeFunctionSignature('repay(address,uint256)');
+const REWARD_CLAIM = web3.eth.abi.encodeFunctionSignature('rewardClaim()');
+
+contract('FantomMint multicall', function([owner, borrower]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.fantomMint = await FantomMint.new({ from: owner });
+    await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+
+    this.collateralPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.collateralPool.initialize(this.addressProvider.address, true);
+
+    this.debtPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.debtPool.initialize(this.addressProvider.address, true);
+
+    this.rewardDistribution = await FantomMintRewardDistribution.new({
+      from: owner
+    });
+    await this.rewardDistribution.initialize(
+      owner,
+      this.addressProvider.address
+    );
+
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+    await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+    this.xFTM = await MockToken.new({ from: owner });
+    await this.xFTM.initialize('xFTM', 'xFTM', 18);
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.xFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+    await this.addressProvider.setFantomMint(this.fantomMint.address, {
+      from: owner
+    });
+    await this.addressProvider.setCollateralPool(this.collateralPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setDebtPool(this.debtPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+    await this.addressProvider.setRewardDistribution(
+      this.rewardDistribution.address,
+      { from: owner }
+    );
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.xFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.fantomFUSD.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      false,
+      true,
+      false
+    );
+
+    await this.wFTM.mint(borrower, etherToWei(300));
+    await this.wFTM.approve(this.fantomMint.address, etherToWei(300), {
+      from: borrower
+    });
+    await this.xFTM.mint(borrower, etherToWei(300));
+    await this.xFTM.approve(this.fantomMint.address, etherToWei(300), {
+      from: borrower
+    });
+  });
+
+  it('should allow a mint before the deposit covering it', async function() {
+    await this.fantomMint.multicall(
+      [MINT, DEPOSIT],
+      [this.fantomFUSD.address, this.wFTM.address],
+      [etherToWei(50), etherToWei(300)],
+      { from: borrower }
+    );
+
+    const debt = await this.debtPool.balanceOf(
+      borrower,
+      this.fantomFUSD.address
+    );
+    expect(debt.toString()).to.be.equal(etherToWei(50).toString());
+
+    const collateral = await this.collateralPool.balanceOf(
+      borrower,
+      this.wFTM.address
+    );
+    expect(collateral.toString()).to.be.equal(etherToWei(300).toString());
+  });
+
+  it('should swap the collateral tokens of an indebted position', async function() {
+    await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(300), {
+      from: borrower
+    });
+    await this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(50), {
+      from: borrower
+    });
+
+    // the withdrawal alone would break the collateral to debt ratio
+    await this.fantomMint.multicall(
+      [WITHDRAW, DEPOSIT],
+      [this.wFTM.address, this.xFTM.address],
+      [etherToWei(300), etherToWei(300)],
+      { from: borrower }
+    );
+
+    const wFTM = await this.collateralPool.balanceOf(
+      borrower,
+      this.wFTM.address
+    );
+    expect(wFTM.toString()).to.be.equal('0');
+
+    const xFTM = await this.collateralPool.balanceOf(
+      borrower,
+      this.xFTM.address
+    );
+    expect(xFTM.toString()).to.be.equal(etherToWei(300).toString());
+  });
+
+  it('should reject a batch ending with insufficient collateral', async function() {
+    await expectRevert(
+      this.fantomMint.multicall(
+        [DEPOSIT, MINT],
+        [this.wFTM.address, this.fantomFUSD.address],
+        [etherToWei(300), etherToWei(150)],
+        { from: borrower }
+      ),
+      'insufficient collateral value'
+    );
+
+    // the collateral checks are active again after the batch
+    await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(30), {
+      from: borrower
+    });
+    await expectRevert(
+      this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(50), {
+        from: borrower
+      }),
+      'insufficient collateral value'
+    );
+  });
+
+  it('should allow deposits and repays of an unhealthy position', async function() {
+    await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(300), {
+      from: borrower
+    });
+    await this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(50), {
+      from: borrower
+    });
+    await this.fantomFUSD.approve(this.fantomMint.address, etherToWei(10), {
+      from: borrower
+    });
+
+    // the position stays under the collateral to debt ratio after the batch
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(0.2));
+    await this.oracle.setPrice(this.xFTM.address, etherToWei(0.2));
+
+    await this.fantomMint.multicall(
+      [DEPOSIT, REPAY],
+      [this.xFTM.address, this.fantomFUSD.address],
+      [etherToWei(100), etherToWei(10)],
+      { from: borrower }
+    );
+
+    const xFTM = await this.collateralPool.balanceOf(
+      borrower,
+      this.xFTM.address
+    );
+    expect(xFTM.toString()).to.be.equal(etherToWei(100).toString());
+
+    const debt = await this.debtPool.balanceOf(
+      borrower,
+      this.fantomFUSD.address
+    );
+    expect(debt.toString()).to.be.equal(etherToWei(40).toString());
+  });
+
+  it('should relay reward claims to the reward distribution', async function() {
+    await expectRevert(
+      this.fantomMint.multicall(
+        [DEPOSIT, REWARD_CLAIM],
+        [this.wFTM.address, this.wFTM.address],
+        [etherToWei(300), 0],
+        { from: borrower }
+      ),
+      'no rewards earned'
+    );
+  });
+
+  it('should reject steps not allowed in a batch', async function() {
+    const withdrawFee = web3.eth.abi.encodeFunctionSignature(
+      'withdrawFee(address)'
+    );
+
+    await expectRevert(
+      this.fantomMint.multicall(
+        [withdrawFee],
+        [this.fantomFUSD.address],
+        [0],
+        { from: borrower }
+      ),
+      'multicall step not allowed'
+    );
+  });
+
+  it('should reject incomplete steps', async function() {
+    await expectRevert(
+      this.fantomMint.multicall(
+        [DEPOSIT, MINT],
+        [this.wFTM.address],
+        [etherToWei(300)],
+        { from: borrower }
+      ),
+      'invalid multicall steps'
+    );
+  });
+});
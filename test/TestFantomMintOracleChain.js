@@ -0,0 +1,286 @@
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const FantomMintRewardDistribution = artifacts.require(
+  'FantomMintRewardDistribution'
+);
+const FantomDeFiTokenStorage = artifacts.require('FantomDeFiTokenStorage');
+const FantomFUSD = artifacts.require('FantomFUSD');
+const MockToken = artifacts.require('MockToken');
+const FantomMintOracleChain = artifacts.require('FantomMintOracleChain');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+
+contract('FantomMintOracleChain', function([owner, other, token]) {
+  beforeEach(async function() {
+    this.primary = await MockPriceOracleProxy.new({ from: owner });
+    this.secondary = await MockPriceOracleProxy.new({ from: owner });
+
+    this.chain = await FantomMintOracleChain.new({ from: owner });
+    await this.chain.initialize(owner);
+    await this.chain.setSources(
+      token,
+      [this.primary.address, this.secondary.address],
+      500,
+      { from: owner }
+    );
+
+    await this.primary.setPrice(token, etherToWei(1));
+    await this.secondary.setPrice(token, etherToWei(1.02));
+  });
+
+  it('should reject sources from non-owner', async function() {
+    await expectRevert.unspecified(
+      this.chain.setSources(token, [this.primary.address], 500, {
+        from: other
+      })
+    );
+  });
+
+  it('should provide the primary price while the sources agree', async function() {
+    const price = await this.chain.getPrice(token);
+    expect(price.toString()).to.be.equal(etherToWei(1).toString());
+    expect(await this.chain.isCircuitBroken(token)).to.be.equal(false);
+  });
+
+  it('should trip the breaker if the sources disagree', async function() {
+    await this.secondary.setPrice(token, etherToWei(1.2));
+    expect(await this.chain.isCircuitBroken(token)).to.be.equal(true);
+  });
+
+  it('should fall back to the secondary source', async function() {
+    await this.primary.setPrice(token, 0);
+
+    const price = await this.chain.getPrice(token);
+    expect(price.toString()).to.be.equal(etherToWei(1.02).toString());
+    expect(await this.chain.isCircuitBroken(token)).to.be.equal(false);
+  });
+
+  it('should provide the latest agreed price if all sources fail', async function() {
+    await this.chain.update(token);
+    await this.primary.setPrice(token, 0);
+    await this.secondary.setPrice(token, 0);
+
+    const price = await this.chain.getPrice(token);
+    expect(price.toString()).to.be.equal(etherToWei(1).toString());
+    expect(await this.chain.isCircuitBroken(token)).to.be.equal(true);
+  });
+
+  it('should not provide the latest agreed price older than the maximal age', async function() {
+    await this.chain.setMaxFallbackAge(3600, { from: owner });
+    await this.chain.update(token);
+    await this.primary.setPrice(token, 0);
+    await this.secondary.setPrice(token, 0);
+
+    await time.increase(time.duration.hours(2));
+
+    const price = await this.chain.getPrice(token);
+    expect(price.toString()).to.be.equal('0');
+  });
+
+  it('should reject invalid maximal fallback age', async function() {
+    await expectRevert.unspecified(
+      this.chain.setMaxFallbackAge(3600, { from: other })
+    );
+    await expectRevert(
+      this.chain.setMaxFallbackAge(0, { from: owner }),
+      'invalid fallback age'
+    );
+  });
+});
+
+contract('FantomMintOracleChain on FantomMint', function([owner, borrower]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.fantomMint = await FantomMint.new({ from: owner });
+    await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+
+    this.collateralPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.collateralPool.initialize(this.addressProvider.address, true);
+
+    this.debtPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.debtPool.initialize(this.addressProvider.address, true);
+
+    this.rewardDistribution = await FantomMintRewardDistribution.new({
+      from: owner
+    });
+    await this.rewardDistribution.initialize(
+      owner,
+      this.addressProvider.address
+    );
+
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+    await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+    await this.addressProvider.setFantomMint(this.fantomMint.address, {
+      from: owner
+    });
+    await this.addressProvider.setCollateralPool(this.collateralPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setDebtPool(this.debtPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+    await this.addressProvider.setRewardDistribution(
+      this.rewardDistribution.address,
+      { from: owner }
+    );
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.fantomFUSD.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      false,
+      true,
+      false
+    );
+
+    await this.wFTM.mint(borrower, etherToWei(300));
+    await this.wFTM.approve(this.fantomMint.address, etherToWei(300), {
+      from: borrower
+    });
+    // the fUSD price is confirmed by a secondary source
+    this.secondary = await MockPriceOracleProxy.new({ from: owner });
+    await this.secondary.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+    this.chain = await FantomMintOracleChain.new({ from: owner });
+    await this.chain.initialize(owner);
+    await this.chain.setSources(
+      this.fantomFUSD.address,
+      [this.oracle.address, this.secondary.address],
+      500,
+      { from: owner }
+    );
+    await this.addressProvider.setOracleChain(this.chain.address, {
+      from: owner
+    });
+    await this.tokenRegistry.updateToken(
+      this.fantomFUSD.address,
+      '',
+      this.chain.address,
+      18,
+      true,
+      false,
+      true,
+      { from: owner }
+    );
+
+    await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(200), {
+      from: borrower
+    });
+    await this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(50), {
+      from: borrower
+    });
+    await this.fantomFUSD.approve(this.fantomMint.address, etherToWei(10), {
+      from: borrower
+    });
+  });
+
+  it('should record the agreed price on the balance changes', async function() {
+    const price = await this.chain.lastPrice(this.fantomFUSD.address);
+    expect(price.toString()).to.be.equal(etherToWei(1).toString());
+  });
+
+  it('should allow deposit and repay while the breaker is tripped', async function() {
+    await this.secondary.setPrice(this.fantomFUSD.address, etherToWei(1.2));
+    expect(
+      await this.chain.isCircuitBroken(this.fantomFUSD.address)
+    ).to.be.equal(true);
+
+    await expectRevert(
+      this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(10), {
+        from: borrower
+      }),
+      'minting of the token prohibited'
+    );
+
+    await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(100), {
+      from: borrower
+    });
+    await this.fantomMint.mustRepay(this.fantomFUSD.address, etherToWei(10), {
+      from: borrower
+    });
+
+    const collateral = await this.collateralPool.balanceOf(
+      borrower,
+      this.wFTM.address
+    );
+    expect(collateral.toString()).to.be.equal(etherToWei(300).toString());
+
+    const debt = await this.debtPool.balanceOf(
+      borrower,
+      this.fantomFUSD.address
+    );
+    expect(debt.toString()).to.be.equal(etherToWei(40).toString());
+  });
+
+  it('should prohibit minting while the breaker is tripped on the collateral', async function() {
+    await this.secondary.setPrice(this.wFTM.address, etherToWei(1));
+    await this.chain.setSources(
+      this.wFTM.address,
+      [this.oracle.address, this.secondary.address],
+      500,
+      { from: owner }
+    );
+    await this.secondary.setPrice(this.wFTM.address, etherToWei(1.2));
+    expect(
+      await this.chain.isCircuitBroken(this.wFTM.address)
+    ).to.be.equal(true);
+    expect(
+      await this.chain.isCircuitBroken(this.fantomFUSD.address)
+    ).to.be.equal(false);
+
+    await expectRevert(
+      this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(10), {
+        from: borrower
+      }),
+      'minting of the token prohibited'
+    );
+
+    await this.secondary.setPrice(this.wFTM.address, etherToWei(1));
+    await this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(10), {
+      from: borrower
+    });
+    const debt = await this.debtPool.balanceOf(
+      borrower,
+      this.fantomFUSD.address
+    );
+    expect(debt.toString()).to.be.equal(etherToWei(60).toString());
+  });
+});
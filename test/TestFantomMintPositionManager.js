@@ -0,0 +1,260 @@
+const { expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const FantomMintRewardDistribution = artifacts.require(
+  'FantomMintRewardDistribution'
+);
+const FantomMintPositionManager = artifacts.require(
+  'FantomMintPositionManager'
+);
+const FantomMintPosition = artifacts.require('FantomMintPosition');
+const FantomDeFiTokenStorage = artifacts.require('FantomDeFiTokenStorage');
+const FantomFUSD = artifacts.require('FantomFUSD');
+const MockToken = artifacts.require('MockToken');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+
+contract('FantomMintPositionManager', function([owner, borrower, other]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.fantomMint = await FantomMint.new({ from: owner });
+    await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+
+    this.collateralPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.collateralPool.initialize(this.addressProvider.address, true);
+
+    this.debtPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.debtPool.initialize(this.addressProvider.address, true);
+
+    this.rewardDistribution = await FantomMintRewardDistribution.new({
+      from: owner
+    });
+    await this.rewardDistribution.initialize(
+      owner,
+      this.addressProvider.address
+    );
+
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+    await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+    this.positionManager = await FantomMintPositionManager.new({
+      from: owner
+    });
+    await this.positionManager.initialize(this.addressProvider.address);
+
+    await this.addressProvider.setFantomMint(this.fantomMint.address, {
+      from: owner
+    });
+    await this.addressProvider.setCollateralPool(this.collateralPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setDebtPool(this.debtPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+    await this.addressProvider.setRewardDistribution(
+      this.rewardDistribution.address,
+      { from: owner }
+    );
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.fantomFUSD.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      false,
+      true,
+      false
+    );
+
+    await this.wFTM.mint(borrower, etherToWei(300));
+    await this.wFTM.approve(this.positionManager.address, etherToWei(300), {
+      from: borrower
+    });
+  });
+
+  it('should keep several isolated positions of one wallet', async function() {
+    const { logs } = await this.positionManager.openPosition({
+      from: borrower
+    });
+    expectEvent.inLogs(logs, 'PositionOpened', {
+      owner: borrower,
+      positionId: '1'
+    });
+    await this.positionManager.openPosition({ from: borrower });
+
+    const count = await this.positionManager.balanceOf(borrower);
+    expect(count.toString()).to.be.equal('2');
+
+    await this.positionManager.mustDeposit(
+      1,
+      this.wFTM.address,
+      etherToWei(200),
+      { from: borrower }
+    );
+    await this.positionManager.mustDeposit(
+      2,
+      this.wFTM.address,
+      etherToWei(100),
+      { from: borrower }
+    );
+    await this.positionManager.mustMint(
+      1,
+      this.fantomFUSD.address,
+      etherToWei(50),
+      { from: borrower }
+    );
+
+    // the balances are kept under the position contracts
+    const first = await this.positionManager.positions(1);
+    const second = await this.positionManager.positions(2);
+
+    const collateral = await this.collateralPool.balanceOf(
+      first,
+      this.wFTM.address
+    );
+    expect(collateral.toString()).to.be.equal(etherToWei(200).toString());
+
+    const debt = await this.debtPool.balanceOf(
+      first,
+      this.fantomFUSD.address
+    );
+    expect(debt.toString()).to.be.equal(etherToWei(50).toString());
+
+    const otherDebt = await this.debtPool.totalOf(second);
+    expect(otherDebt.toString()).to.be.equal('0');
+
+    // the minted tokens are paid to the position owner
+    const fUSD = await this.fantomFUSD.balanceOf(borrower);
+    expect(fUSD.gt(etherToWei(49))).to.be.equal(true);
+
+    // the debt of the first position does not lock the collateral of the second one
+    await this.positionManager.mustWithdraw(
+      2,
+      this.wFTM.address,
+      etherToWei(100),
+      { from: borrower }
+    );
+    await expectRevert(
+      this.positionManager.mustWithdraw(
+        1,
+        this.wFTM.address,
+        etherToWei(100),
+        { from: borrower }
+      ),
+      'insufficient collateral value remains'
+    );
+  });
+
+  it('should move the position along with its token', async function() {
+    await this.positionManager.openPosition({ from: borrower });
+    await this.positionManager.mustDeposit(
+      1,
+      this.wFTM.address,
+      etherToWei(300),
+      { from: borrower }
+    );
+    await this.positionManager.mustMint(
+      1,
+      this.fantomFUSD.address,
+      etherToWei(50),
+      { from: borrower }
+    );
+
+    await this.positionManager.transferFrom(borrower, other, 1, {
+      from: borrower
+    });
+
+    await expectRevert(
+      this.positionManager.mustWithdraw(
+        1,
+        this.wFTM.address,
+        etherToWei(10),
+        { from: borrower }
+      ),
+      'position access denied'
+    );
+
+    // the new owner repays the debt and takes the collateral
+    await this.fantomFUSD.mint(other, etherToWei(50), { from: owner });
+    await this.fantomFUSD.approve(
+      this.positionManager.address,
+      etherToWei(50),
+      { from: other }
+    );
+    await this.positionManager.mustRepay(
+      1,
+      this.fantomFUSD.address,
+      etherToWei(50),
+      { from: other }
+    );
+    await this.positionManager.mustWithdraw(
+      1,
+      this.wFTM.address,
+      etherToWei(300),
+      { from: other }
+    );
+
+    const balance = await this.wFTM.balanceOf(other);
+    expect(balance.toString()).to.be.equal(etherToWei(300).toString());
+  });
+
+  it('should not let anyone else act on the position', async function() {
+    await this.positionManager.openPosition({ from: borrower });
+
+    await expectRevert(
+      this.positionManager.mustMint(
+        1,
+        this.fantomFUSD.address,
+        etherToWei(1),
+        { from: other }
+      ),
+      'position access denied'
+    );
+
+    // the position contract accepts calls of its manager only
+    const position = await FantomMintPosition.at(
+      await this.positionManager.positions(1)
+    );
+    await expectRevert(
+      position.mint(this.fantomFUSD.address, etherToWei(1), other, {
+        from: other
+      }),
+      'restricted to position manager'
+    );
+  });
+});
@@ -0,0 +1,213 @@
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintRewardDistribution = artifacts.require(
+  'FantomMintRewardDistribution'
+);
+const FantomDeFiTokenStorage = artifacts.require('FantomDeFiTokenStorage');
+const FantomFUSD = artifacts.require('FantomFUSD');
+const MockToken = artifacts.require('MockToken');
+const FantomMintPriceGuard = artifacts.require('FantomMintPriceGuard');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+
+contract('FantomMintPriceGuard', function([owner, other, token]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+
+    this.priceGuard = await FantomMintPriceGuard.new({ from: owner });
+    await this.priceGuard.initialize(owner, this.addressProvider.address);
+
+    await this.oracle.setPrice(token, etherToWei(1));
+  });
+
+  it('should reject price limits from non-owner', async function() {
+    await expectRevert.unspecified(
+      this.priceGuard.setPriceLimits(token, 3600, 2000, { from: other })
+    );
+  });
+
+  it('should trust any price without limits', async function() {
+    await time.increase(time.duration.days(30));
+    await this.oracle.setPrice(token, etherToWei(10));
+
+    expect(await this.priceGuard.isPriceTrusted(token)).to.be.equal(true);
+  });
+
+  it('should not trust a price older than the maximal age', async function() {
+    await this.priceGuard.setPriceLimits(token, 3600, 0, { from: owner });
+    expect(await this.priceGuard.isPriceTrusted(token)).to.be.equal(true);
+
+    await time.increase(time.duration.hours(2));
+    expect(await this.priceGuard.isPriceTrusted(token)).to.be.equal(false);
+  });
+
+  it('should not trust a price deviating over the limit', async function() {
+    await this.priceGuard.setPriceLimits(token, 0, 2000, { from: owner });
+
+    // 1.0 -> 1.1 is within 20%
+    await this.oracle.setPrice(token, etherToWei(1.1));
+    expect(await this.priceGuard.isPriceTrusted(token)).to.be.equal(true);
+
+    // 1.1 -> 0.5 is out of 20%
+    await this.oracle.setPrice(token, etherToWei(0.5));
+    expect(await this.priceGuard.isPriceTrusted(token)).to.be.equal(false);
+  });
+
+  it('should keep a deviating price fresh', async function() {
+    await this.priceGuard.setPriceLimits(token, 3600, 2000, { from: owner });
+
+    await this.oracle.setPrice(token, etherToWei(0.5));
+    expect(await this.priceGuard.isPriceTrusted(token)).to.be.equal(false);
+    expect(await this.priceGuard.isPriceFresh(token)).to.be.equal(true);
+
+    await time.increase(time.duration.hours(2));
+    expect(await this.priceGuard.isPriceFresh(token)).to.be.equal(false);
+  });
+});
+
+contract('FantomMintPriceGuard on FantomMint', function([owner, borrower]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.fantomMint = await FantomMint.new({ from: owner });
+    await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+
+    this.collateralPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.collateralPool.initialize(this.addressProvider.address, true);
+
+    this.debtPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.debtPool.initialize(this.addressProvider.address, true);
+
+    this.rewardDistribution = await FantomMintRewardDistribution.new({
+      from: owner
+    });
+    await this.rewardDistribution.initialize(
+      owner,
+      this.addressProvider.address
+    );
+
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+    await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+    await this.addressProvider.setFantomMint(this.fantomMint.address, {
+      from: owner
+    });
+    await this.addressProvider.setCollateralPool(this.collateralPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setDebtPool(this.debtPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+    await this.addressProvider.setRewardDistribution(
+      this.rewardDistribution.address,
+      { from: owner }
+    );
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.fantomFUSD.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      false,
+      true,
+      false
+    );
+
+    await this.wFTM.mint(borrower, etherToWei(300));
+    await this.wFTM.approve(this.fantomMint.address, etherToWei(300), {
+      from: borrower
+    });
+
+    this.priceGuard = await FantomMintPriceGuard.new({ from: owner });
+    await this.priceGuard.initialize(owner, this.addressProvider.address);
+    await this.addressProvider.setPriceGuard(this.priceGuard.address, {
+      from: owner
+    });
+    await this.priceGuard.setPriceLimits(this.wFTM.address, 0, 2000, {
+      from: owner
+    });
+
+    await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(300), {
+      from: borrower
+    });
+    await this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(50), {
+      from: borrower
+    });
+
+    // 1.0 -> 1.5 is out of 20%
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1.5));
+  });
+
+  it('should reject the mint on a deviating price', async function() {
+    await expectRevert(
+      this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(10), {
+        from: borrower
+      }),
+      'price not trusted'
+    );
+  });
+
+  it('should reject the withdraw on a deviating price', async function() {
+    await expectRevert(
+      this.fantomMint.mustWithdraw(this.wFTM.address, etherToWei(10), {
+        from: borrower
+      }),
+      'price not trusted'
+    );
+  });
+
+  it('should allow the mint once the price settles', async function() {
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1.6));
+
+    await this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(10), {
+      from: borrower
+    });
+  });
+});
@@ -0,0 +1,291 @@
+const { BN, expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const FantomMintRewardDistribution = artifacts.require(
+  'FantomMintRewardDistribution'
+);
+const FantomDeFiTokenStorage = artifacts.require('FantomDeFiTokenStorage');
+const FantomFUSD = artifacts.require('FantomFUSD');
+const MockToken = artifacts.require('MockToken');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+const FantomMintRateModel = artifacts.require('FantomMintRateModel');
+
+contract('FantomMintRateModel', function([owner, other, token]) {
+  before(async function() {
+    this.rateModel = await FantomMintRateModel.new({ from: owner });
+    await this.rateModel.initialize(owner);
+
+    // FIP-001 fUSD parameters with 50m fUSD reference supply
+    await this.rateModel.setRateParameters(
+      token,
+      0,
+      1750,
+      20000,
+      8000,
+      9000,
+      etherToWei(50000000),
+      { from: owner }
+    );
+  });
+
+  it('should reject parameters from non-owner', async function() {
+    await expectRevert.unspecified(
+      this.rateModel.setRateParameters(token, 0, 1750, 20000, 8000, 9000, 1, {
+        from: other
+      })
+    );
+  });
+
+  it('should reject kinks out of order', async function() {
+    await expectRevert(
+      this.rateModel.setRateParameters(token, 0, 1750, 20000, 9000, 8000, 1, {
+        from: owner
+      }),
+      'invalid kinks order'
+    );
+  });
+
+  it('should calculate utilization against the reference supply', async function() {
+    const utilization = await this.rateModel.utilization4dec(
+      token,
+      etherToWei(25000000)
+    );
+
+    expect(utilization.toString()).to.be.equal('5000');
+  });
+
+  it('should apply the multiplier below the first kink', async function() {
+    const rate = await this.rateModel.borrowRate4dec(
+      token,
+      etherToWei(25000000)
+    );
+
+    // 17.5% * 50% = 8.75%
+    expect(rate.toString()).to.be.equal('875');
+  });
+
+  it('should keep the rate flat between the kinks', async function() {
+    const rate = await this.rateModel.borrowRate4dec(
+      token,
+      etherToWei(45000000)
+    );
+
+    // 17.5% * 80% = 14%
+    expect(rate.toString()).to.be.equal('1400');
+  });
+
+  it('should apply the jump multiplier above the second kink', async function() {
+    const rate = await this.rateModel.borrowRate4dec(
+      token,
+      etherToWei(50000000)
+    );
+
+    // 17.5% * 80% + 200% * (100% - 90%) = 34%
+    expect(rate.toString()).to.be.equal('3400');
+  });
+
+  it('should charge no interest on unknown tokens', async function() {
+    const rate = await this.rateModel.borrowRatePerSecond(
+      other,
+      etherToWei(1000)
+    );
+
+    expect(rate.toString()).to.be.equal('0');
+  });
+});
+
+contract('FantomMintRateModel on FantomMint', function([owner, borrower]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.fantomMint = await FantomMint.new({ from: owner });
+    await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+
+    this.collateralPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.collateralPool.initialize(this.addressProvider.address, true);
+
+    this.debtPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.debtPool.initialize(this.addressProvider.address, true);
+
+    this.rewardDistribution = await FantomMintRewardDistribution.new({
+      from: owner
+    });
+    await this.rewardDistribution.initialize(
+      owner,
+      this.addressProvider.address
+    );
+
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+    await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+    await this.addressProvider.setFantomMint(this.fantomMint.address, {
+      from: owner
+    });
+    await this.addressProvider.setCollateralPool(this.collateralPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setDebtPool(this.debtPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+    await this.addressProvider.setRewardDistribution(
+      this.rewardDistribution.address,
+      { from: owner }
+    );
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.fantomFUSD.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      false,
+      true,
+      false
+    );
+
+    await this.wFTM.mint(borrower, etherToWei(300));
+    await this.wFTM.approve(this.fantomMint.address, etherToWei(300), {
+      from: borrower
+    });
+
+    // a flat 10% annual rate on fUSD
+    this.rateModel = await FantomMintRateModel.new({ from: owner });
+    await this.rateModel.initialize(owner);
+    await this.rateModel.setRateParameters(
+      this.fantomFUSD.address,
+      1000,
+      0,
+      0,
+      8000,
+      9000,
+      etherToWei(50000000),
+      { from: owner }
+    );
+    await this.addressProvider.setRateModel(this.rateModel.address, {
+      from: owner
+    });
+
+    // the first mint enables the interest accrual on fUSD
+    await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(200), {
+      from: borrower
+    });
+    await this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(50), {
+      from: borrower
+    });
+
+    this.ratePerSecond = await this.rateModel.borrowRatePerSecond(
+      this.fantomFUSD.address,
+      etherToWei(50)
+    );
+    this.accrualUpdated = await this.debtPool.accrualUpdated(
+      this.fantomFUSD.address
+    );
+  });
+
+  // expectedIndex calculates the accrual index of fUSD at the time
+  // of the given transaction receipt
+  const expectedIndex = async function(ctx, receipt) {
+    const block = await web3.eth.getBlock(receipt.receipt.blockNumber);
+    const elapsed = new BN(block.timestamp).sub(ctx.accrualUpdated);
+    return etherToWei(1).add(ctx.ratePerSecond.mul(elapsed));
+  };
+
+  it('should grow the debt and the accrual index over time', async function() {
+    await time.increase(time.duration.days(365));
+    const index = await expectedIndex(
+      this,
+      await this.fantomMint.accrueInterest(this.fantomFUSD.address)
+    );
+
+    // roughly 10% over a year
+    expect(index).to.be.bignumber.greaterThan(etherToWei(1.0999));
+    expect(index).to.be.bignumber.lessThan(etherToWei(1.1001));
+    expect(
+      await this.debtPool.accrualIndex(this.fantomFUSD.address)
+    ).to.be.bignumber.equal(index);
+    expect(
+      await this.debtPool.balanceOf(borrower, this.fantomFUSD.address)
+    ).to.be.bignumber.equal(etherToWei(50).mul(index).div(etherToWei(1)));
+  });
+
+  it('should add the accrued interest to the fee pool', async function() {
+    const feePool = await this.fantomMint.feePool(this.fantomFUSD.address);
+
+    await time.increase(time.duration.days(30));
+    const index = await expectedIndex(
+      this,
+      await this.fantomMint.accrueInterest(this.fantomFUSD.address)
+    );
+
+    const interest = etherToWei(50)
+      .mul(index)
+      .div(etherToWei(1))
+      .sub(etherToWei(50));
+    expect(interest).to.be.bignumber.greaterThan(new BN(0));
+    expect(
+      await this.fantomMint.feePool(this.fantomFUSD.address)
+    ).to.be.bignumber.equal(feePool.add(interest));
+    expect(
+      await this.debtPool.totalBalanceOf(this.fantomFUSD.address)
+    ).to.be.bignumber.equal(etherToWei(50).add(interest));
+  });
+
+  it('should leave the accrued interest as debt on repay', async function() {
+    await this.fantomFUSD.approve(this.fantomMint.address, etherToWei(40), {
+      from: borrower
+    });
+
+    await time.increase(time.duration.days(365));
+    const index = await expectedIndex(
+      this,
+      await this.fantomMint.mustRepay(this.fantomFUSD.address, etherToWei(40), {
+        from: borrower
+      })
+    );
+
+    // the scaled balance rounding may cost a single wei
+    const debt = await this.debtPool.balanceOf(
+      borrower,
+      this.fantomFUSD.address
+    );
+    const expected = etherToWei(50)
+      .mul(index)
+      .div(etherToWei(1))
+      .sub(etherToWei(40));
+    expect(expected.sub(debt).abs()).to.be.bignumber.lessThan(new BN(2));
+  });
+});
@@ -0,0 +1,842 @@
+const { expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const FantomMintRewardDistribution = artifacts.require(
+  'FantomMintRewardDistribution'
+);
+const FantomMintRouter = artifacts.require('FantomMintRouter');
+const FantomMintFlashMinter = artifacts.require('FantomMintFlashMinter');
+const FantomDeFiTokenStorage = artifacts.require('FantomDeFiTokenStorage');
+const FantomFUSD = artifacts.require('FantomFUSD');
+const MockToken = artifacts.require('MockToken');
+const MockWrappedFtm = artifacts.require('MockWrappedFtm');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+const MockSwapAdapter = artifacts.require('MockSwapAdapter');
+
+contract('FantomMintRouter', function([owner, borrower, other]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.fantomMint = await FantomMint.new({ from: owner });
+    await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+
+    this.collateralPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.collateralPool.initialize(this.addressProvider.address, true);
+
+    this.debtPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.debtPool.initialize(this.addressProvider.address, true);
+
+    this.rewardDistribution = await FantomMintRewardDistribution.new({
+      from: owner
+    });
+    await this.rewardDistribution.initialize(
+      owner,
+      this.addressProvider.address
+    );
+
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+    await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+    this.wrappedFtm = await MockWrappedFtm.new({ from: owner });
+    await this.wrappedFtm.initialize('Wrapped Fantom', 'WFTM', 18);
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.wrappedFtm.address, etherToWei(1));
+    await this.oracle.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+    this.router = await FantomMintRouter.new({ from: owner });
+    await this.router.initialize(this.addressProvider.address);
+
+    this.flashMinter = await FantomMintFlashMinter.new({ from: owner });
+    await this.flashMinter.initialize(owner, this.addressProvider.address);
+    await this.fantomFUSD.addMinter(this.flashMinter.address, { from: owner });
+
+    this.swapAdapter = await MockSwapAdapter.new({ from: owner });
+
+    await this.addressProvider.setFantomMint(this.fantomMint.address, {
+      from: owner
+    });
+    await this.addressProvider.setCollateralPool(this.collateralPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setDebtPool(this.debtPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+    await this.addressProvider.setRewardDistribution(
+      this.rewardDistribution.address,
+      { from: owner }
+    );
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+    await this.addressProvider.setMintRouter(this.router.address, {
+      from: owner
+    });
+    await this.addressProvider.setWrappedFtm(this.wrappedFtm.address, {
+      from: owner
+    });
+    await this.addressProvider.setFlashMinter(this.flashMinter.address, {
+      from: owner
+    });
+    await this.addressProvider.setSwapAdapter(this.swapAdapter.address, {
+      from: owner
+    });
+
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.wrappedFtm.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.fantomFUSD.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      false,
+      true,
+      false
+    );
+
+    await this.wFTM.mint(borrower, etherToWei(300));
+    await this.wFTM.approve(this.router.address, etherToWei(300), {
+      from: borrower
+    });
+  });
+
+  it('should deposit and mint in one transaction', async function() {
+    await this.router.mustDepositAndMint(
+      this.wFTM.address,
+      etherToWei(300),
+      this.fantomFUSD.address,
+      etherToWei(50),
+      { from: borrower }
+    );
+
+    const collateral = await this.collateralPool.balanceOf(
+      borrower,
+      this.wFTM.address
+    );
+    expect(collateral.toString()).to.be.equal(etherToWei(300).toString());
+
+    const debt = await this.debtPool.balanceOf(
+      borrower,
+      this.fantomFUSD.address
+    );
+    expect(debt.toString()).to.be.equal(etherToWei(50).toString());
+
+    // the minted tokens minus the fee are paid to the borrower
+    const fUSD = await this.fantomFUSD.balanceOf(borrower);
+    expect(fUSD.gt(etherToWei(49))).to.be.equal(true);
+
+    const routerBalance = await this.fantomFUSD.balanceOf(this.router.address);
+    expect(routerBalance.toString()).to.be.equal('0');
+  });
+
+  it('should not keep the deposit if the mint fails', async function() {
+    await expectRevert(
+      this.router.mustDepositAndMint(
+        this.wFTM.address,
+        etherToWei(300),
+        this.fantomFUSD.address,
+        etherToWei(200),
+        { from: borrower }
+      ),
+      'insufficient collateral value'
+    );
+
+    const balance = await this.wFTM.balanceOf(borrower);
+    expect(balance.toString()).to.be.equal(etherToWei(300).toString());
+  });
+
+  it('should close the whole position', async function() {
+    await this.router.mustDepositAndMint(
+      this.wFTM.address,
+      etherToWei(300),
+      this.fantomFUSD.address,
+      etherToWei(50),
+      { from: borrower }
+    );
+
+    // cover the minting fee
+    await this.fantomFUSD.mint(borrower, etherToWei(1), { from: owner });
+    await this.fantomFUSD.approve(this.router.address, etherToWei(51), {
+      from: borrower
+    });
+
+    await this.router.mustClosePosition({ from: borrower });
+
+    const debt = await this.debtPool.balanceOf(
+      borrower,
+      this.fantomFUSD.address
+    );
+    expect(debt.toString()).to.be.equal('0');
+
+    const balance = await this.wFTM.balanceOf(borrower);
+    expect(balance.toString()).to.be.equal(etherToWei(300).toString());
+  });
+
+  it('should return the error code of a low balance or allowance', async function() {
+    const lowBalance = await this.router.ERR_LOW_BALANCE();
+    const lowAllowance = await this.router.ERR_LOW_ALLOWANCE();
+
+    expect(
+      await this.router.depositAndMint.call(
+        this.wFTM.address,
+        etherToWei(400),
+        this.fantomFUSD.address,
+        etherToWei(50),
+        { from: borrower }
+      )
+    ).to.be.bignumber.equal(lowBalance);
+
+    await this.wFTM.approve(this.router.address, etherToWei(100), {
+      from: borrower
+    });
+    expect(
+      await this.router.depositAndMint.call(
+        this.wFTM.address,
+        etherToWei(200),
+        this.fantomFUSD.address,
+        etherToWei(50),
+        { from: borrower }
+      )
+    ).to.be.bignumber.equal(lowAllowance);
+
+    // the minting fee leaves the borrower short of the whole debt
+    await this.router.mustDepositAndMint(
+      this.wFTM.address,
+      etherToWei(100),
+      this.fantomFUSD.address,
+      etherToWei(20),
+      { from: borrower }
+    );
+    expect(
+      await this.router.closePosition.call({ from: borrower })
+    ).to.be.bignumber.equal(lowBalance);
+    expect(
+      await this.router.repayAndWithdraw.call(
+        this.fantomFUSD.address,
+        etherToWei(10),
+        this.wFTM.address,
+        etherToWei(10),
+        { from: borrower }
+      )
+    ).to.be.bignumber.equal(lowAllowance);
+  });
+
+  it('should revert on a low balance or allowance', async function() {
+    await expectRevert(
+      this.router.mustDepositAndMint(
+        this.wFTM.address,
+        etherToWei(400),
+        this.fantomFUSD.address,
+        etherToWei(50),
+        { from: borrower }
+      ),
+      'insufficient balance'
+    );
+
+    await this.wFTM.approve(this.router.address, etherToWei(100), {
+      from: borrower
+    });
+    await expectRevert(
+      this.router.mustDepositAndMint(
+        this.wFTM.address,
+        etherToWei(200),
+        this.fantomFUSD.address,
+        etherToWei(50),
+        { from: borrower }
+      ),
+      'insufficient allowance'
+    );
+  });
+
+  it('should ignore an account appended by anyone but the router', async function() {
+    await this.wFTM.mint(other, etherToWei(10));
+    await this.wFTM.approve(this.fantomMint.address, etherToWei(10), {
+      from: other
+    });
+
+    // deposit with the borrower address appended to the call data
+    const data = this.fantomMint.contract.methods
+      .mustDeposit(this.wFTM.address, etherToWei(10).toString())
+      .encodeABI();
+    await web3.eth.sendTransaction({
+      from: other,
+      to: this.fantomMint.address,
+      data: data + borrower.slice(2).toLowerCase(),
+      gas: 1000000
+    });
+
+    const deposited = await this.collateralPool.balanceOf(
+      other,
+      this.wFTM.address
+    );
+    expect(deposited.toString()).to.be.equal(etherToWei(10).toString());
+  });
+
+  it('should deposit native FTM as wFTM collateral', async function() {
+    const { tx } = await this.router.mustDepositFTM({
+      from: borrower,
+      value: etherToWei(100)
+    });
+
+    await expectEvent.inTransaction(tx, this.fantomMint, 'Deposited', {
+      token: this.wrappedFtm.address,
+      user: borrower,
+      amount: etherToWei(100)
+    });
+
+    const collateral = await this.collateralPool.balanceOf(
+      borrower,
+      this.wrappedFtm.address
+    );
+    expect(collateral.toString()).to.be.equal(etherToWei(100).toString());
+  });
+
+  it('should withdraw wFTM collateral as native FTM', async function() {
+    await this.router.mustDepositFTM({
+      from: borrower,
+      value: etherToWei(100)
+    });
+
+    const before = new web3.utils.BN(await web3.eth.getBalance(borrower));
+    const { tx } = await this.router.mustWithdrawFTM(etherToWei(100), {
+      from: borrower
+    });
+    const after = new web3.utils.BN(await web3.eth.getBalance(borrower));
+
+    await expectEvent.inTransaction(tx, this.fantomMint, 'Withdrawn', {
+      token: this.wrappedFtm.address,
+      user: borrower,
+      amount: etherToWei(100)
+    });
+
+    // the FTM is received minus the gas paid
+    expect(after.sub(before).gt(etherToWei(99))).to.be.equal(true);
+
+    const collateral = await this.collateralPool.balanceOf(
+      borrower,
+      this.wrappedFtm.address
+    );
+    expect(collateral.toString()).to.be.equal('0');
+  });
+
+  it('should pay out only the withdrawn native FTM', async function() {
+    // wFTM tokens sent to the router by mistake
+    await this.wrappedFtm.deposit({ from: other, value: etherToWei(5) });
+    await this.wrappedFtm.transfer(this.router.address, etherToWei(5), {
+      from: other
+    });
+
+    await this.router.mustDepositFTM({
+      from: borrower,
+      value: etherToWei(100)
+    });
+    await this.router.mustWithdrawFTM(etherToWei(40), { from: borrower });
+
+    const balance = await this.wrappedFtm.balanceOf(this.router.address);
+    expect(balance.toString()).to.be.equal(etherToWei(5).toString());
+
+    const collateral = await this.collateralPool.balanceOf(
+      borrower,
+      this.wrappedFtm.address
+    );
+    expect(collateral.toString()).to.be.equal(etherToWei(60).toString());
+  });
+
+  it('should not accept native FTM from anyone but wFTM', async function() {
+    await expectRevert(
+      web3.eth.sendTransaction({
+        from: other,
+        to: this.router.address,
+        value: etherToWei(1)
+      }),
+      'native FTM not accepted'
+    );
+  });
+
+  it('should deleverage the position with a flash loan', async function() {
+    await this.router.mustDepositAndMint(
+      this.wFTM.address,
+      etherToWei(300),
+      this.fantomFUSD.address,
+      etherToWei(90),
+      { from: borrower }
+    );
+    const minted = await this.fantomFUSD.balanceOf(borrower);
+
+    // the exchange sells wFTM for fUSD 1:1
+    await this.swapAdapter.setRate(
+      this.wFTM.address,
+      this.fantomFUSD.address,
+      etherToWei(1)
+    );
+    await this.fantomFUSD.mint(this.swapAdapter.address, etherToWei(100), {
+      from: owner
+    });
+
+    await this.router.mustDeleverage(
+      this.fantomFUSD.address,
+      etherToWei(90),
+      this.wFTM.address,
+      etherToWei(100),
+      100,
+      { from: borrower }
+    );
+
+    const debt = await this.debtPool.balanceOf(
+      borrower,
+      this.fantomFUSD.address
+    );
+    expect(debt.toString()).to.be.equal('0');
+
+    const collateral = await this.collateralPool.balanceOf(
+      borrower,
+      this.wFTM.address
+    );
+    expect(collateral.toString()).to.be.equal(etherToWei(200).toString());
+
+    // the swap output left after the loan and the fee is paid to the borrower
+    const fee = await this.flashMinter.flashFee(
+      this.fantomFUSD.address,
+      etherToWei(90)
+    );
+    const balance = await this.fantomFUSD.balanceOf(borrower);
+    expect(balance.toString()).to.be.equal(
+      minted
+        .add(etherToWei(10))
+        .sub(fee)
+        .toString()
+    );
+
+    const routerBalance = await this.fantomFUSD.balanceOf(this.router.address);
+    expect(routerBalance.toString()).to.be.equal('0');
+  });
+
+  it('should not deleverage over the allowed slippage', async function() {
+    await this.router.mustDepositAndMint(
+      this.wFTM.address,
+      etherToWei(300),
+      this.fantomFUSD.address,
+      etherToWei(90),
+      { from: borrower }
+    );
+
+    // the exchange pays 5% less than the oracle price
+    await this.swapAdapter.setRate(
+      this.wFTM.address,
+      this.fantomFUSD.address,
+      etherToWei(0.95)
+    );
+    await this.fantomFUSD.mint(this.swapAdapter.address, etherToWei(100), {
+      from: owner
+    });
+
+    await expectRevert(
+      this.router.mustDeleverage(
+        this.fantomFUSD.address,
+        etherToWei(90),
+        this.wFTM.address,
+        etherToWei(100),
+        100,
+        { from: borrower }
+      ),
+      'insufficient output amount'
+    );
+  });
+
+  it('should not accept flash loans it did not ask for', async function() {
+    await expectRevert(
+      this.router.onFlashLoan(
+        this.router.address,
+        this.fantomFUSD.address,
+        etherToWei(1),
+        0,
+        '0x',
+        { from: other }
+      ),
+      'unexpected flash loan'
+    );
+  });
+
+  it('should leverage the position up to the target ratio', async function() {
+    // the exchange sells fUSD for wFTM 1:1
+    await this.swapAdapter.setRate(
+      this.fantomFUSD.address,
+      this.wFTM.address,
+      etherToWei(1)
+    );
+    await this.wFTM.mint(this.swapAdapter.address, etherToWei(100));
+
+    await this.router.mustLeverage(
+      this.wFTM.address,
+      etherToWei(100),
+      this.fantomFUSD.address,
+      40000,
+      10,
+      100,
+      { from: borrower }
+    );
+
+    const collateral = await this.collateralPool.balanceOf(
+      borrower,
+      this.wFTM.address
+    );
+    const debt = await this.debtPool.balanceOf(
+      borrower,
+      this.fantomFUSD.address
+    );
+
+    // 100 wFTM at the ratio of 400% can carry up to ~33.3 fUSD of debt
+    expect(debt.gt(etherToWei(33))).to.be.equal(true);
+    expect(
+      collateral
+        .mul(new web3.utils.BN(10000))
+        .div(debt)
+        .gten(40000)
+    ).to.be.equal(true);
+
+    const routerBalance = await this.fantomFUSD.balanceOf(this.router.address);
+    expect(routerBalance.toString()).to.be.equal('0');
+  });
+
+  it('should not leverage below the lowest collateral ratio', async function() {
+    await expectRevert(
+      this.router.mustLeverage(
+        this.wFTM.address,
+        etherToWei(100),
+        this.fantomFUSD.address,
+        20000,
+        10,
+        100,
+        { from: borrower }
+      ),
+      'target ratio too low'
+    );
+  });
+
+  it('should let an operator deposit and repay for the account', async function() {
+    await this.router.mustDepositAndMint(
+      this.wFTM.address,
+      etherToWei(300),
+      this.fantomFUSD.address,
+      etherToWei(50),
+      { from: borrower }
+    );
+
+    const { logs } = await this.router.setOperator(
+      other,
+      (await this.router.OPERATOR_DEPOSIT()).add(
+        await this.router.OPERATOR_REPAY()
+      ),
+      { from: borrower }
+    );
+    expectEvent.inLogs(logs, 'OperatorChanged', {
+      account: borrower,
+      operator: other,
+      permissions: '3'
+    });
+
+    await this.wFTM.mint(other, etherToWei(100));
+    await this.wFTM.approve(this.router.address, etherToWei(100), {
+      from: other
+    });
+    await this.router.mustDepositFor(
+      borrower,
+      this.wFTM.address,
+      etherToWei(100),
+      { from: other }
+    );
+
+    await this.fantomFUSD.mint(other, etherToWei(20), { from: owner });
+    await this.fantomFUSD.approve(this.router.address, etherToWei(20), {
+      from: other
+    });
+    await this.router.mustRepayFor(
+      borrower,
+      this.fantomFUSD.address,
+      etherToWei(20),
+      { from: other }
+    );
+
+    const collateral = await this.collateralPool.balanceOf(
+      borrower,
+      this.wFTM.address
+    );
+    expect(collateral.toString()).to.be.equal(etherToWei(400).toString());
+
+    const debt = await this.debtPool.balanceOf(
+      borrower,
+      this.fantomFUSD.address
+    );
+    expect(debt.toString()).to.be.equal(etherToWei(30).toString());
+
+    // the operator itself has no position
+    const operatorCollateral = await this.collateralPool.balanceOf(
+      other,
+      this.wFTM.address
+    );
+    expect(operatorCollateral.toString()).to.be.equal('0');
+  });
+
+  it('should pay the tokens minted by an operator to the account', async function() {
+    await this.router.mustDepositAndMint(
+      this.wFTM.address,
+      etherToWei(300),
+      this.fantomFUSD.address,
+      etherToWei(10),
+      { from: borrower }
+    );
+    const minted = await this.fantomFUSD.balanceOf(borrower);
+
+    await this.router.setOperator(other, await this.router.OPERATOR_MINT(), {
+      from: borrower
+    });
+    await this.router.mustMintTo(
+      borrower,
+      this.fantomFUSD.address,
+      etherToWei(10),
+      { from: other }
+    );
+
+    const debt = await this.debtPool.balanceOf(
+      borrower,
+      this.fantomFUSD.address
+    );
+    expect(debt.toString()).to.be.equal(etherToWei(20).toString());
+
+    const balance = await this.fantomFUSD.balanceOf(borrower);
+    expect(balance.gt(minted.add(etherToWei(9)))).to.be.equal(true);
+
+    const operatorBalance = await this.fantomFUSD.balanceOf(other);
+    expect(operatorBalance.toString()).to.be.equal('0');
+  });
+
+  it('should restrict an operator to the permissions granted', async function() {
+    await this.router.setOperator(other, await this.router.OPERATOR_REPAY(), {
+      from: borrower
+    });
+
+    await expectRevert(
+      this.router.mustDepositFor(borrower, this.wFTM.address, etherToWei(1), {
+        from: other
+      }),
+      'operator not allowed'
+    );
+    await expectRevert(
+      this.router.mustMintTo(
+        borrower,
+        this.fantomFUSD.address,
+        etherToWei(1),
+        { from: other }
+      ),
+      'operator not allowed'
+    );
+
+    // revoked operators are not allowed to do anything
+    await this.router.setOperator(other, 0, { from: borrower });
+    await expectRevert(
+      this.router.mustRepayFor(
+        borrower,
+        this.fantomFUSD.address,
+        etherToWei(1),
+        { from: other }
+      ),
+      'operator not allowed'
+    );
+  });
+
+  it('should transfer the whole position with consent of the recipient', async function() {
+    await this.router.mustDepositAndMint(
+      this.wFTM.address,
+      etherToWei(300),
+      this.fantomFUSD.address,
+      etherToWei(50),
+      { from: borrower }
+    );
+
+    await this.router.approvePositionTransfer(borrower, true, { from: other });
+    const { logs } = await this.router.transferPosition(other, {
+      from: borrower
+    });
+    expectEvent.inLogs(logs, 'PositionTransferred', {
+      from: borrower,
+      to: other
+    });
+
+    const collateral = await this.collateralPool.balanceOf(
+      other,
+      this.wFTM.address
+    );
+    expect(collateral.toString()).to.be.equal(etherToWei(300).toString());
+
+    const debt = await this.debtPool.balanceOf(
+      other,
+      this.fantomFUSD.address
+    );
+    expect(debt.toString()).to.be.equal(etherToWei(50).toString());
+
+    const oldCollateral = await this.collateralPool.totalOf(borrower);
+    expect(oldCollateral.toString()).to.be.equal('0');
+
+    const oldDebt = await this.debtPool.totalOf(borrower);
+    expect(oldDebt.toString()).to.be.equal('0');
+
+    // the consent is used up by the transfer
+    const consent = await this.router.positionTransfers(other, borrower);
+    expect(consent).to.be.equal(false);
+  });
+
+  it('should not transfer a position the recipient could not hold', async function() {
+    await this.router.mustDepositAndMint(
+      this.wFTM.address,
+      etherToWei(300),
+      this.fantomFUSD.address,
+      etherToWei(50),
+      { from: borrower }
+    );
+
+    // the position drops below the collateral to debt ratio
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(0.4));
+
+    await this.router.approvePositionTransfer(borrower, true, { from: other });
+    await expectRevert(
+      this.router.transferPosition(other, { from: borrower }),
+      'insufficient collateral value'
+    );
+
+    const collateral = await this.collateralPool.balanceOf(
+      borrower,
+      this.wFTM.address
+    );
+    expect(collateral.toString()).to.be.equal(etherToWei(300).toString());
+  });
+
+  it('should not transfer a position without consent of the recipient', async function() {
+    await expectRevert(
+      this.router.transferPosition(other, { from: borrower }),
+      'position transfer not approved'
+    );
+
+    await expectRevert(
+      this.collateralPool.transferAll(borrower, other, { from: borrower }),
+      'token storage access restricted'
+    );
+  });
+
+  it('should keep the sub-accounts of a wallet isolated', async function() {
+    await this.router.mustDepositSub(1, this.wFTM.address, etherToWei(200), {
+      from: borrower
+    });
+    await this.router.mustDepositSub(2, this.wFTM.address, etherToWei(100), {
+      from: borrower
+    });
+    await this.router.mustMintSub(
+      1,
+      this.fantomFUSD.address,
+      etherToWei(50),
+      { from: borrower }
+    );
+
+    const first = await this.router.subAccountOf(borrower, 1);
+    const second = await this.router.subAccountOf(borrower, 2);
+    expect(first).to.not.be.equal(second);
+    expect(await this.router.subAccountOf(borrower, 0)).to.be.equal(borrower);
+
+    const collateral = await this.collateralPool.balanceOf(
+      first,
+      this.wFTM.address
+    );
+    expect(collateral.toString()).to.be.equal(etherToWei(200).toString());
+
+    const debt = await this.debtPool.balanceOf(
+      first,
+      this.fantomFUSD.address
+    );
+    expect(debt.toString()).to.be.equal(etherToWei(50).toString());
+
+    // the main account of the wallet is untouched
+    const mainCollateral = await this.collateralPool.totalOf(borrower);
+    expect(mainCollateral.toString()).to.be.equal('0');
+
+    // the minted tokens are paid to the wallet
+    const fUSD = await this.fantomFUSD.balanceOf(borrower);
+    expect(fUSD.gt(etherToWei(49))).to.be.equal(true);
+
+    // the debt of the first sub-account does not lock the collateral of the second one
+    await this.router.mustWithdrawSub(
+      2,
+      this.wFTM.address,
+      etherToWei(100),
+      { from: borrower }
+    );
+    await expectRevert(
+      this.router.mustWithdrawSub(1, this.wFTM.address, etherToWei(100), {
+        from: borrower
+      }),
+      'insufficient collateral value remains'
+    );
+
+    const balance = await this.wFTM.balanceOf(borrower);
+    expect(balance.toString()).to.be.equal(etherToWei(100).toString());
+
+    // the wallet repays the debt of the sub-account
+    await this.fantomFUSD.mint(borrower, etherToWei(1), { from: owner });
+    await this.fantomFUSD.approve(this.router.address, etherToWei(50), {
+      from: borrower
+    });
+    await this.router.mustRepaySub(
+      1,
+      this.fantomFUSD.address,
+      etherToWei(50),
+      { from: borrower }
+    );
+
+    const repaid = await this.debtPool.totalOf(first);
+    expect(repaid.toString()).to.be.equal('0');
+  });
+
+  it('should claim the sub-account rewards through the router only', async function() {
+    await expectRevert(
+      this.rewardDistribution.mustRewardClaimTo(borrower, other, {
+        from: other
+      }),
+      'restricted to mint router'
+    );
+  });
+});
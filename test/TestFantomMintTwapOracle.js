@@ -0,0 +1,230 @@
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+
+const { expect } = require('chai');
+
+const { etherToWei } = require('./utils/index');
+
+const FantomMint = artifacts.require('FantomMint');
+const FantomMintAddressProvider = artifacts.require('FantomMintAddressProvider');
+const FantomMintTokenRegistry = artifacts.require('FantomMintTokenRegistry');
+const FantomMintRewardDistribution = artifacts.require(
+  'FantomMintRewardDistribution'
+);
+const FantomMintTwapOracle = artifacts.require('FantomMintTwapOracle');
+const FantomDeFiTokenStorage = artifacts.require('FantomDeFiTokenStorage');
+const FantomFUSD = artifacts.require('FantomFUSD');
+const MockToken = artifacts.require('MockToken');
+const MockPriceOracleProxy = artifacts.require('MockPriceOracleProxy');
+
+contract('FantomMintTwapOracle', function([owner, other, token]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+
+    this.twapOracle = await FantomMintTwapOracle.new({ from: owner });
+    await this.twapOracle.initialize(owner, this.addressProvider.address);
+    await this.twapOracle.setEnabled(token, true, { from: owner });
+
+    await this.oracle.setPrice(token, etherToWei(1));
+  });
+
+  it('should reject token enabling from non-owner', async function() {
+    await expectRevert.unspecified(
+      this.twapOracle.setEnabled(token, false, { from: other })
+    );
+  });
+
+  it('should not provide an average before the observations are filled', async function() {
+    await this.twapOracle.update(token);
+
+    const twap = await this.twapOracle.consult(token);
+    expect(twap.toString()).to.be.equal('0');
+  });
+
+  it('should dampen a single bad price print', async function() {
+    // fill the observations ring with the regular price
+    for (let i = 0; i < 8; i++) {
+      await this.twapOracle.update(token);
+      await time.increase(time.duration.minutes(30));
+    }
+
+    // a single bad print recorded a while before the check
+    await this.oracle.setPrice(token, etherToWei(0.1));
+    await this.twapOracle.update(token);
+    await time.increase(time.duration.minutes(10));
+
+    const twap = await this.twapOracle.consult(token);
+    expect(twap.lt(etherToWei(1))).to.be.equal(true);
+    expect(twap.gt(etherToWei(0.9))).to.be.equal(true);
+  });
+
+  it('should not provide an average after the observations stopped', async function() {
+    // fill the observations ring with the regular price
+    for (let i = 0; i < 8; i++) {
+      await time.increase(time.duration.minutes(30));
+      await this.twapOracle.update(token);
+    }
+
+    await time.increase(time.duration.minutes(59));
+    expect((await this.twapOracle.consult(token)).toString()).to.be.equal(
+      etherToWei(1).toString()
+    );
+
+    // the latest observation is older than two observation periods
+    await time.increase(time.duration.minutes(2));
+    expect((await this.twapOracle.consult(token)).toString()).to.be.equal('0');
+  });
+});
+
+contract('FantomMint limits on the average price', function([owner, borrower]) {
+  beforeEach(async function() {
+    this.addressProvider = await FantomMintAddressProvider.new({ from: owner });
+    await this.addressProvider.initialize(owner);
+
+    this.fantomMint = await FantomMint.new({ from: owner });
+    await this.fantomMint.initialize(owner, this.addressProvider.address);
+
+    this.tokenRegistry = await FantomMintTokenRegistry.new({ from: owner });
+    await this.tokenRegistry.initialize(owner);
+
+    this.collateralPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.collateralPool.initialize(this.addressProvider.address, true);
+
+    this.debtPool = await FantomDeFiTokenStorage.new({ from: owner });
+    await this.debtPool.initialize(this.addressProvider.address, true);
+
+    this.rewardDistribution = await FantomMintRewardDistribution.new({
+      from: owner
+    });
+    await this.rewardDistribution.initialize(
+      owner,
+      this.addressProvider.address
+    );
+
+    this.fantomFUSD = await FantomFUSD.new({ from: owner });
+    await this.fantomFUSD.initialize(owner);
+    await this.fantomFUSD.addMinter(this.fantomMint.address, { from: owner });
+
+    this.wFTM = await MockToken.new({ from: owner });
+    await this.wFTM.initialize('wFTM', 'wFTM', 18);
+
+    this.oracle = await MockPriceOracleProxy.new({ from: owner });
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(1));
+    await this.oracle.setPrice(this.fantomFUSD.address, etherToWei(1));
+
+    await this.addressProvider.setFantomMint(this.fantomMint.address, {
+      from: owner
+    });
+    await this.addressProvider.setCollateralPool(this.collateralPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setDebtPool(this.debtPool.address, {
+      from: owner
+    });
+    await this.addressProvider.setTokenRegistry(this.tokenRegistry.address, {
+      from: owner
+    });
+    await this.addressProvider.setRewardDistribution(
+      this.rewardDistribution.address,
+      { from: owner }
+    );
+    await this.addressProvider.setPriceOracleProxy(this.oracle.address, {
+      from: owner
+    });
+
+    await this.tokenRegistry.addToken(
+      this.wFTM.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      true,
+      false,
+      false
+    );
+    await this.tokenRegistry.addToken(
+      this.fantomFUSD.address,
+      '',
+      this.oracle.address,
+      18,
+      true,
+      false,
+      true,
+      false
+    );
+
+    await this.wFTM.mint(borrower, etherToWei(300));
+    await this.wFTM.approve(this.fantomMint.address, etherToWei(300), {
+      from: borrower
+    });
+  
+    this.twapOracle = await FantomMintTwapOracle.new({ from: owner });
+    await this.twapOracle.initialize(owner, this.addressProvider.address);
+    await this.twapOracle.setEnabled(this.wFTM.address, true, { from: owner });
+    await this.addressProvider.setTwapOracle(this.twapOracle.address, {
+      from: owner
+    });
+
+    // fill the observations ring with the regular price
+    for (let i = 0; i < 8; i++) {
+      await this.twapOracle.update(this.wFTM.address);
+      await time.increase(time.duration.minutes(30));
+    }
+
+    // the spot price doubles, the average stays behind
+    await this.oracle.setPrice(this.wFTM.address, etherToWei(2));
+
+    await this.fantomMint.mustDeposit(this.wFTM.address, etherToWei(300), {
+      from: borrower
+    });
+  });
+
+  it('should mint the max on the lower of the spot and the average price', async function() {
+    // 300 wFTM at 1 USD on 300% ratio, the spot price would allow 200 fUSD
+    const max = await this.fantomMint.maxToMint(
+      borrower,
+      this.fantomFUSD.address,
+      30000
+    );
+    expect(max.lt(etherToWei(101))).to.be.equal(true);
+
+    await this.fantomMint.mustMintMax(this.fantomFUSD.address, 30000, {
+      from: borrower
+    });
+
+    expect(
+      await this.debtPool.balanceOf(borrower, this.fantomFUSD.address)
+    ).to.be.bignumber.equal(max);
+  });
+
+  it('should withdraw the max on the lower of the spot and the average price', async function() {
+    await this.fantomMint.mustMint(this.fantomFUSD.address, etherToWei(50), {
+      from: borrower
+    });
+
+    // 50 fUSD on 300% ratio needs 150 wFTM at 1 USD, the spot price would need 75 wFTM
+    const max = await this.fantomMint.maxToWithdraw(
+      borrower,
+      this.wFTM.address,
+      30000
+    );
+    expect(max.lt(etherToWei(151))).to.be.equal(true);
+
+    await this.fantomMint.mustWithdrawMax(this.wFTM.address, 30000, {
+      from: borrower
+    });
+
+    expect(await this.wFTM.balanceOf(borrower)).to.be.bignumber.equal(max);
+  });
+});